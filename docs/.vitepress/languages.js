@@ -0,0 +1,49 @@
+/**
+ * Language Registry
+ * The single list of site languages. The translation scripts, the VitePress
+ * `locales` block (config.ts) and the theme's `$langs` all read from here.
+ *
+ * Adding a language: add an entry with `enabled: true`, then run
+ *   npm run translate:nav -- --lang <code>
+ *   npm run translate:tips -- --lang <code>
+ *   npm run translate -- --lang <code>
+ *
+ * Entry fields:
+ *   name, nativeName   Display names
+ *   locale             BCP 47 tag (e.g. km-KH)
+ *   code               Language code sent to the translation provider
+ *   direction          Text direction, ltr or rtl
+ *   script             Writing system: latin, khmer, cjk or thai (QA checks
+ *                      translated prose against it)
+ *   enabled            Published on the site and translated by the scripts
+ */
+
+export const SOURCE_LANGUAGE = 'en'
+
+export const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', locale: 'en-US', code: 'en', direction: 'ltr', script: 'latin', enabled: true },
+  km: { name: 'Khmer', nativeName: 'ភាសាខ្មែរ', locale: 'km-KH', code: 'km', direction: 'ltr', script: 'khmer', enabled: true },
+  zh: { name: 'Chinese (Simplified)', nativeName: '中文', locale: 'zh-CN', code: 'zh-CN', direction: 'ltr', script: 'cjk', enabled: false },
+  ja: { name: 'Japanese', nativeName: '日本語', locale: 'ja-JP', code: 'ja', direction: 'ltr', script: 'cjk', enabled: false },
+  ko: { name: 'Korean', nativeName: '한국어', locale: 'ko-KR', code: 'ko', direction: 'ltr', script: 'cjk', enabled: false },
+  th: { name: 'Thai', nativeName: 'ภาษาไทย', locale: 'th-TH', code: 'th', direction: 'ltr', script: 'thai', enabled: false },
+  vi: { name: 'Vietnamese', nativeName: 'Tiếng Việt', locale: 'vi-VN', code: 'vi', direction: 'ltr', script: 'latin', enabled: false },
+  fr: { name: 'French', nativeName: 'Français', locale: 'fr-FR', code: 'fr', direction: 'ltr', script: 'latin', enabled: false },
+  es: { name: 'Spanish', nativeName: 'Español', locale: 'es-ES', code: 'es', direction: 'ltr', script: 'latin', enabled: false },
+  de: { name: 'German', nativeName: 'Deutsch', locale: 'de-DE', code: 'de', direction: 'ltr', script: 'latin', enabled: false },
+}
+
+// Enabled languages other than the source, in registry order
+export const TARGET_LANGUAGES = Object.fromEntries(
+  Object.entries(LANGUAGES).filter(([lang, info]) => lang !== SOURCE_LANGUAGE && info.enabled)
+)
+
+/**
+ * Glob ignore patterns for every language output directory (docs/{lang}/**),
+ * so listing English sources never picks up translated pages
+ */
+export function getTranslatedDirs() {
+  return Object.keys(LANGUAGES)
+    .filter(lang => lang !== SOURCE_LANGUAGE)
+    .map(lang => `docs/${lang}/**`)
+}
@@ -0,0 +1,831 @@
+/**
+ * Khmer navigation and sidebar
+ * Generated by scripts/translate-nav.mjs from locales/en.js - do not edit
+ * nav or sidebar here. Corrections go in `labels`, which is kept on rerun.
+ */
+
+export const labels = {
+  Home: 'ទំព័រដើម',
+  Guide: 'មគ្គុទេសក៍',
+  Frontend: 'ផ្នែកខាងមុខ',
+  HTML: 'HTML',
+  CSS: 'CSS',
+  JavaScript: 'JavaScript',
+  TypeScript: 'TypeScript',
+  React: 'React',
+  'Vue.js': 'Vue.js',
+  Backend: 'ផ្នែកខាងក្រោយ',
+  'Node.js': 'Node.js',
+  Express: 'Express',
+  NestJS: 'NestJS',
+  Hono: 'Hono',
+  Python: 'Python',
+  'C#': 'C#',
+  '.NET': '.NET',
+  DevOps: 'DevOps',
+  Docker: 'Docker',
+  AI: 'AI',
+  Author: 'អ្នកនិពន្ធ',
+  Fundamentals: 'មូលដ្ឋាន',
+  Introduction: 'សេចក្តីផ្តើម',
+  'What is a Website?': 'តើគេហទំព័រជាអ្វី?',
+  'How the Web Works': 'របៀបដែលវេបដំណើរការ',
+  'Web Development Overview': 'ឧបករណ៍អភិវឌ្ឍន៍វេប',
+  'Getting Started': 'ការចាប់ផ្តើម',
+  'Development Environment': 'បរិស្ថាននៃការអភិវឌ្ឍន៍',
+  'Command Line Basics': 'មូលដ្ឋាននៃបន្ទាត់ពាក្យបញ្ជា',
+  'Code Editors': 'កម្មវិធីកែសម្រួលលេខកូដ',
+  'Package Managers': 'អ្នកគ្រប់គ្រងកញ្ចប់',
+  'Essential Skills': 'ជំនាញសំខាន់ៗ',
+  'Developer Tools': 'ឧបករណ៍អ្នកអភិវឌ្ឍន៍',
+  'Version Control (Git)': 'ការគ្រប់គ្រងកំណែ (Git)',
+  'Debugging Basics': 'មូលដ្ឋាននៃការឆ្លុះបញ្ហា',
+  'APIs & Data Fetching': 'API និងការទទួលបានទិន្នន័យ',
+  'Working with Forms': 'ការងារជាមួយទម្រង់',
+  'JSON & Data Formats': 'JSON និងទម្រង់ទិន្នន័យ',
+  'Regular Expressions': 'កន្សោមទៀងទាត់',
+  'Web Storage': 'ការផ្ទុកទិន្នន័យលើវេប',
+  'Best Practices': 'ការអនុវត្តល្អបំផុត',
+  'Responsive Design': 'ការរចនាឆ្លើយតប',
+  'Web Accessibility': 'ភាពងាយស្រួលចូលប្រើវេប',
+  'Web Performance': 'ប្រសិទ្ធភាពវេប',
+  'Web Security': 'សុវត្ថិភាពវេប',
+  'Browser Compatibility': 'ភាពត្រូវគ្នានៃកម្មវិធីរុករក',
+  'SEO Basics': 'មូលដ្ឋាននៃ SEO',
+  Deployment: 'ការដាក់ពង្រាយ',
+  'Web Hosting & Deployment': 'ផ្ទុកវេបនិងការដាក់ពង្រាយ',
+  Tutorials: 'មេរៀនបង្រៀន',
+  'AI & Machine Learning': 'AI & ការរៀនម៉ាស៊ីន',
+  'Vue.js Tutorial': 'មេរៀន Vue.js',
+  Beginner: 'កម្រិតដំបូង',
+  'Template Syntax': 'វាក្យសម្ព័ន្ធគំរូ',
+  'Components & Props': 'សមាសភាគ និង Props',
+  Intermediate: 'កម្រិតមធ្យម',
+  'Reactivity & State': 'ប្រតិកម្ម និងស្ថានភាព',
+  'Event Handling': 'ការគ្រប់គ្រងព្រឹត្តិការណ៍',
+  'Computed & Watchers': 'Computed និង Watchers',
+  Advanced: 'កម្រិតខ្ពស់',
+  'Form Handling': 'ការគ្រប់គ្រងទម្រង់',
+  'Lifecycle Hooks': 'Hooks នៃវដ្តជីវិត',
+  Composables: 'អនុគមន៍ Composable',
+  'Vue Router': 'Vue Router',
+  'HTML Tutorial': 'មេរៀន HTML',
+  Basics: 'មូលដ្ឋាន',
+  'Text & Typography': 'អត្ថបទ និងពុម្ពអក្សរ',
+  'Links & Images': 'តំណភ្ជាប់ និងរូបភាព',
+  'Lists & Tables': 'បញ្ជី និងតារាង',
+  Forms: 'ទម្រង់',
+  'Semantic HTML': 'HTML តាមអត្ថន័យ',
+  Media: 'ពហុព័ត៌មាន',
+  'Advanced Features': 'មុខងារកម្រិតខ្ពស់',
+  'CSS Tutorial': 'មេរៀន CSS',
+  Tips: 'គន្លឹះ',
+  'Colors & Backgrounds': 'ពណ៌ និងផ្ទៃខាងក្រោយ',
+  Typography: 'ពុម្ពអក្សរ',
+  'Box Model': 'គំរូប្រអប់',
+  Layout: 'ប្លង់',
+  Flexbox: 'Flexbox',
+  Grid: 'ប្លង់ Grid',
+  Animations: 'ចលនា',
+  'Advanced Techniques': 'បច្ចេកទេសកម្រិតខ្ពស់',
+  'JavaScript Tutorial': 'មេរៀន JavaScript',
+  'Control Flow': 'លំហូរបញ្ជា',
+  Functions: 'អនុគមន៍',
+  Arrays: 'អារេ',
+  Objects: 'វត្ថុ',
+  'DOM Manipulation': 'ការកែប្រែ DOM',
+  'Async Programming': 'ការសរសេរកម្មវិធីអសមកាល',
+  'ES6+ Features': 'មុខងារ ES6+',
+  OOP: 'OOP',
+  'Advanced Patterns': 'លំនាំកម្រិតខ្ពស់',
+  'TypeScript Tutorial': 'មេរៀន TypeScript',
+  'Objects & Interfaces': 'វត្ថុ និង Interface',
+  Classes: 'ថ្នាក់',
+  Generics: 'ប្រភេទទូទៅ (Generics)',
+  'Type Manipulation': 'ការកែប្រែប្រភេទ',
+  Modules: 'ម៉ូឌុល',
+  Decorators: 'អ្នកតុបតែង (Decorators)',
+  'Declaration Files': 'ឯកសារប្រកាស',
+  'NestJS Tutorial': 'មេរៀន NestJS',
+  Controllers: 'ឧបករណ៍បញ្ជា (Controllers)',
+  'Providers & Services': 'Providers និង Services',
+  'Middleware & Guards': 'Middleware និង Guards',
+  'Pipes & Validation': 'Pipes និងការផ្ទៀងផ្ទាត់',
+  'Database Integration': 'ការភ្ជាប់មូលដ្ឋានទិន្នន័យ',
+  Authentication: 'ការផ្ទៀងផ្ទាត់អត្តសញ្ញាណ',
+  Testing: 'ការធ្វើតេស្ត',
+  'Advanced Topics': 'ប្រធានបទកម្រិតខ្ពស់',
+  'Hono Tutorial': 'មេរៀន Hono',
+  Routing: 'ការកំណត់ផ្លូវ',
+  Middleware: 'Middleware',
+  'Context API': 'Context API',
+  Validation: 'ការផ្ទៀងផ្ទាត់ទិន្នន័យ',
+  'React Tutorial': 'មេរៀន React',
+  JSX: 'JSX',
+  'State & useState': 'ស្ថានភាព និង useState',
+  'React Hooks': 'Hooks របស់ React',
+  'React Router': 'React Router',
+  'Data Fetching': 'ការទទួលបានទិន្នន័យ',
+  'Node.js Tutorial': 'មេរៀន Node.js',
+  'File System': 'ប្រព័ន្ធឯកសារ',
+  Events: 'ព្រឹត្តិការណ៍',
+  Streams: 'ស្ទ្រីម',
+  'HTTP Module': 'ម៉ូឌុល HTTP',
+  'NPM & Packages': 'NPM និងកញ្ចប់',
+  Debugging: 'ការឆ្លុះបញ្ហា',
+  'Express.js Tutorial': 'មេរៀន Express.js',
+  'Request & Response': 'សំណើ និងការឆ្លើយតប',
+  'Template Engines': 'ម៉ាស៊ីនគំរូ',
+  'Static Files': 'ឯកសារឋិតិវន្ត',
+  'Error Handling': 'ការគ្រប់គ្រងកំហុស',
+  'Python Tutorial': 'មេរៀន Python',
+  'Data Structures': 'រចនាសម្ព័ន្ធទិន្នន័យ',
+  Strings: 'ខ្សែអក្សរ',
+  'File I/O': 'ការអាន និងសរសេរឯកសារ',
+  Exceptions: 'ករណីលើកលែង',
+  'What is AI?': 'តើ AI ជាអ្វី?',
+  'ML Basics': 'មូលដ្ឋាននៃ ML',
+  'Python for AI': 'Python សម្រាប់ AI',
+  'Your First Model': 'ម៉ូដែលដំបូងរបស់អ្នក',
+  'Neural Networks': 'បណ្តាញសរសៃប្រសាទ',
+  'Deep Learning': 'ការរៀនស៊ីជម្រៅ',
+  'Working with LLMs': 'ការងារជាមួយ LLM',
+  'Fine-tuning Models': 'ការកែសម្រួលម៉ូដែល',
+  'AI Agents': 'ភ្នាក់ងារ AI',
+  'Production AI': 'AI ក្នុងផលិតកម្ម',
+  'C# Tutorial': 'មេរៀន C#',
+  'Variables & Types': 'អថេរ និងប្រភេទ',
+  Methods: 'មេតូដ',
+  'Classes & Objects': 'ថ្នាក់ និងវត្ថុ',
+  Inheritance: 'ការទទួលមរតក',
+  Interfaces: 'Interface',
+  LINQ: 'LINQ',
+  '.NET Tutorial': 'មេរៀន .NET',
+  'Project Structure': 'រចនាសម្ព័ន្ធគម្រោង',
+  'CLI Tools': 'ឧបករណ៍ CLI',
+  'Dependency Injection': 'ការចាក់បញ្ចូល Dependency',
+  Configuration: 'ការកំណត់រចនាសម្ព័ន្ធ',
+  Logging: 'ការកត់ត្រា',
+  'Entity Framework': 'Entity Framework',
+  'Docker Tutorial': 'មេរៀន Docker',
+  'Introduction to Docker': 'សេចក្តីផ្តើមអំពី Docker',
+  'Docker Images': 'Image របស់ Docker',
+  'Docker Containers': 'Container របស់ Docker',
+  'Dockerfile Basics': 'មូលដ្ឋាននៃ Dockerfile',
+  'Docker Volumes': 'Volume របស់ Docker',
+  'Docker Networking': 'បណ្តាញ Docker',
+  'Docker Compose': 'Docker Compose',
+  'Docker Registry': 'Registry របស់ Docker',
+  'Docker in Production': 'Docker ក្នុងផលិតកម្ម',
+  'Docker Orchestration': 'ការរៀបចំ Docker ជាក្រុម'
+}
+
+export const nav = [
+  { text: 'ទំព័រដើម', link: '/km/' },
+  { text: 'មគ្គុទេសក៍', link: '/km/guide/' },
+  {
+    text: 'ផ្នែកខាងមុខ',
+    items: [
+      { text: 'HTML', link: '/km/guide/html/' },
+      { text: 'CSS', link: '/km/guide/css/' },
+      { text: 'JavaScript', link: '/km/guide/javascript/' },
+      { text: 'TypeScript', link: '/km/guide/typescript/' },
+      { text: 'React', link: '/km/guide/react/' },
+      { text: 'Vue.js', link: '/km/guide/vue/' }
+    ]
+  },
+  {
+    text: 'ផ្នែកខាងក្រោយ',
+    items: [
+      { text: 'Node.js', link: '/km/guide/nodejs/' },
+      { text: 'Express', link: '/km/guide/express/' },
+      { text: 'NestJS', link: '/km/guide/nestjs/' },
+      { text: 'Hono', link: '/km/guide/hono/' },
+      { text: 'Python', link: '/km/guide/python/' },
+      { text: 'C#', link: '/km/guide/csharp/' },
+      { text: '.NET', link: '/km/guide/dotnet/' }
+    ]
+  },
+  {
+    text: 'DevOps',
+    items: [
+      { text: 'Docker', link: '/km/guide/docker/' }
+    ]
+  },
+  { text: 'AI', link: '/km/guide/ai/' },
+  { text: 'អ្នកនិពន្ធ', link: '/km/creator' }
+]
+
+export const sidebar = {
+  '/km/guide/': [
+    {
+      text: 'មូលដ្ឋាន',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/' },
+        { text: 'តើគេហទំព័រជាអ្វី?', link: '/km/guide/fundamentals/what-is-website' },
+        { text: 'របៀបដែលវេបដំណើរការ', link: '/km/guide/fundamentals/how-web-works' },
+        { text: 'ឧបករណ៍អភិវឌ្ឍន៍វេប', link: '/km/guide/fundamentals/web-development-overview' },
+        { text: 'ការចាប់ផ្តើម', link: '/km/guide/fundamentals/getting-started' }
+      ]
+    },
+    {
+      text: 'បរិស្ថាននៃការអភិវឌ្ឍន៍',
+      items: [
+        { text: 'មូលដ្ឋាននៃបន្ទាត់ពាក្យបញ្ជា', link: '/km/guide/environment/command-line' },
+        { text: 'កម្មវិធីកែសម្រួលលេខកូដ', link: '/km/guide/environment/code-editors' },
+        { text: 'អ្នកគ្រប់គ្រងកញ្ចប់', link: '/km/guide/environment/package-managers' }
+      ]
+    },
+    {
+      text: 'ជំនាញសំខាន់ៗ',
+      items: [
+        { text: 'ឧបករណ៍អ្នកអភិវឌ្ឍន៍', link: '/km/guide/skills/developer-tools' },
+        { text: 'ការគ្រប់គ្រងកំណែ (Git)', link: '/km/guide/skills/version-control' },
+        { text: 'មូលដ្ឋាននៃការឆ្លុះបញ្ហា', link: '/km/guide/skills/debugging' },
+        { text: 'API និងការទទួលបានទិន្នន័យ', link: '/km/guide/skills/apis-data-fetching' },
+        { text: 'ការងារជាមួយទម្រង់', link: '/km/guide/skills/forms' },
+        { text: 'JSON និងទម្រង់ទិន្នន័យ', link: '/km/guide/skills/json-data' },
+        { text: 'កន្សោមទៀងទាត់', link: '/km/guide/skills/regex' },
+        { text: 'ការផ្ទុកទិន្នន័យលើវេប', link: '/km/guide/skills/web-storage' }
+      ]
+    },
+    {
+      text: 'ការអនុវត្តល្អបំផុត',
+      items: [
+        { text: 'ការរចនាឆ្លើយតប', link: '/km/guide/best-practices/responsive-design' },
+        { text: 'ភាពងាយស្រួលចូលប្រើវេប', link: '/km/guide/best-practices/web-accessibility' },
+        { text: 'ប្រសិទ្ធភាពវេប', link: '/km/guide/best-practices/web-performance' },
+        { text: 'សុវត្ថិភាពវេប', link: '/km/guide/best-practices/web-security' },
+        {
+          text: 'ភាពត្រូវគ្នានៃកម្មវិធីរុករក',
+          link: '/km/guide/best-practices/browser-compatibility'
+        },
+        { text: 'មូលដ្ឋាននៃ SEO', link: '/km/guide/best-practices/seo-basics' }
+      ]
+    },
+    {
+      text: 'ការដាក់ពង្រាយ',
+      items: [
+        { text: 'ផ្ទុកវេបនិងការដាក់ពង្រាយ', link: '/km/guide/deployment/web-hosting' }
+      ]
+    },
+    {
+      text: 'មេរៀនបង្រៀន',
+      items: [
+        { text: 'HTML', link: '/km/guide/html/' },
+        { text: 'CSS', link: '/km/guide/css/' },
+        { text: 'JavaScript', link: '/km/guide/javascript/' },
+        { text: 'TypeScript', link: '/km/guide/typescript/' },
+        { text: 'React', link: '/km/guide/react/' },
+        { text: 'Node.js', link: '/km/guide/nodejs/' },
+        { text: 'Express', link: '/km/guide/express/' },
+        { text: 'NestJS', link: '/km/guide/nestjs/' },
+        { text: 'Hono', link: '/km/guide/hono/' },
+        { text: 'Python', link: '/km/guide/python/' },
+        { text: 'C#', link: '/km/guide/csharp/' },
+        { text: '.NET', link: '/km/guide/dotnet/' },
+        { text: 'Docker', link: '/km/guide/docker/' },
+        { text: 'AI & ការរៀនម៉ាស៊ីន', link: '/km/guide/ai/' },
+        { text: 'Vue.js', link: '/km/guide/vue/' }
+      ]
+    }
+  ],
+  '/km/guide/vue/': [
+    {
+      text: 'មេរៀន Vue.js',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/vue/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'ការចាប់ផ្តើម', link: '/km/guide/vue/01-introduction' },
+            { text: 'វាក្យសម្ព័ន្ធគំរូ', link: '/km/guide/vue/02-template-syntax' },
+            { text: 'សមាសភាគ និង Props', link: '/km/guide/vue/03-components' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'ប្រតិកម្ម និងស្ថានភាព', link: '/km/guide/vue/04-reactivity' },
+            { text: 'ការគ្រប់គ្រងព្រឹត្តិការណ៍', link: '/km/guide/vue/05-events' },
+            { text: 'Computed និង Watchers', link: '/km/guide/vue/06-computed-watchers' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ការគ្រប់គ្រងទម្រង់', link: '/km/guide/vue/07-forms' },
+            { text: 'Hooks នៃវដ្តជីវិត', link: '/km/guide/vue/08-lifecycle' },
+            { text: 'អនុគមន៍ Composable', link: '/km/guide/vue/09-composables' },
+            { text: 'Vue Router', link: '/km/guide/vue/10-routing' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/html/': [
+    {
+      text: 'មេរៀន HTML',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/html/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'មូលដ្ឋាន', link: '/km/guide/html/01-basics' },
+            { text: 'អត្ថបទ និងពុម្ពអក្សរ', link: '/km/guide/html/02-text' },
+            { text: 'តំណភ្ជាប់ និងរូបភាព', link: '/km/guide/html/03-links-images' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'បញ្ជី និងតារាង', link: '/km/guide/html/04-lists-tables' },
+            { text: 'ទម្រង់', link: '/km/guide/html/05-forms' },
+            { text: 'HTML តាមអត្ថន័យ', link: '/km/guide/html/06-semantic' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ពហុព័ត៌មាន', link: '/km/guide/html/07-media' },
+            { text: 'មុខងារកម្រិតខ្ពស់', link: '/km/guide/html/08-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/css/': [
+    {
+      text: 'មេរៀន CSS',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/css/' },
+        { text: 'គន្លឹះ', link: '/km/guide/css/tip' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'មូលដ្ឋាន', link: '/km/guide/css/01-basics' },
+            { text: 'ពណ៌ និងផ្ទៃខាងក្រោយ', link: '/km/guide/css/02-colors' },
+            { text: 'ពុម្ពអក្សរ', link: '/km/guide/css/03-typography' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'គំរូប្រអប់', link: '/km/guide/css/04-box-model' },
+            { text: 'ប្លង់', link: '/km/guide/css/05-layout' },
+            { text: 'Flexbox', link: '/km/guide/css/06-flexbox' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ប្លង់ Grid', link: '/km/guide/css/07-grid' },
+            { text: 'ការរចនាឆ្លើយតប', link: '/km/guide/css/08-responsive' },
+            { text: 'ចលនា', link: '/km/guide/css/09-animations' },
+            { text: 'បច្ចេកទេសកម្រិតខ្ពស់', link: '/km/guide/css/10-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/javascript/': [
+    {
+      text: 'មេរៀន JavaScript',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/javascript/' },
+        { text: 'គន្លឹះ', link: '/km/guide/javascript/tip' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'មូលដ្ឋាន', link: '/km/guide/javascript/01-basics' },
+            { text: 'លំហូរបញ្ជា', link: '/km/guide/javascript/02-control-flow' },
+            { text: 'អនុគមន៍', link: '/km/guide/javascript/03-functions' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'អារេ', link: '/km/guide/javascript/04-arrays' },
+            { text: 'វត្ថុ', link: '/km/guide/javascript/05-objects' },
+            { text: 'ការកែប្រែ DOM', link: '/km/guide/javascript/06-dom' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ការសរសេរកម្មវិធីអសមកាល', link: '/km/guide/javascript/07-async' },
+            { text: 'មុខងារ ES6+', link: '/km/guide/javascript/08-es6' },
+            { text: 'OOP', link: '/km/guide/javascript/09-oop' },
+            { text: 'លំនាំកម្រិតខ្ពស់', link: '/km/guide/javascript/10-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/typescript/': [
+    {
+      text: 'មេរៀន TypeScript',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/typescript/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'មូលដ្ឋាន', link: '/km/guide/typescript/01-basics' },
+            { text: 'អនុគមន៍', link: '/km/guide/typescript/02-functions' },
+            { text: 'វត្ថុ និង Interface', link: '/km/guide/typescript/03-interfaces' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'ថ្នាក់', link: '/km/guide/typescript/04-classes' },
+            { text: 'ប្រភេទទូទៅ (Generics)', link: '/km/guide/typescript/05-generics' },
+            { text: 'ការកែប្រែប្រភេទ', link: '/km/guide/typescript/06-type-manipulation' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ម៉ូឌុល', link: '/km/guide/typescript/07-modules' },
+            { text: 'អ្នកតុបតែង (Decorators)', link: '/km/guide/typescript/08-decorators' },
+            { text: 'ឯកសារប្រកាស', link: '/km/guide/typescript/09-declarations' },
+            { text: 'លំនាំកម្រិតខ្ពស់', link: '/km/guide/typescript/10-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/nestjs/': [
+    {
+      text: 'មេរៀន NestJS',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/nestjs/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'ការចាប់ផ្តើម', link: '/km/guide/nestjs/01-introduction' },
+            { text: 'ឧបករណ៍បញ្ជា (Controllers)', link: '/km/guide/nestjs/02-controllers' },
+            { text: 'Providers និង Services', link: '/km/guide/nestjs/03-providers' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'ម៉ូឌុល', link: '/km/guide/nestjs/04-modules' },
+            { text: 'Middleware និង Guards', link: '/km/guide/nestjs/05-middleware' },
+            { text: 'Pipes និងការផ្ទៀងផ្ទាត់', link: '/km/guide/nestjs/06-pipes' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ការភ្ជាប់មូលដ្ឋានទិន្នន័យ', link: '/km/guide/nestjs/07-database' },
+            { text: 'ការផ្ទៀងផ្ទាត់អត្តសញ្ញាណ', link: '/km/guide/nestjs/08-authentication' },
+            { text: 'ការធ្វើតេស្ត', link: '/km/guide/nestjs/09-testing' },
+            { text: 'ប្រធានបទកម្រិតខ្ពស់', link: '/km/guide/nestjs/10-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/hono/': [
+    {
+      text: 'មេរៀន Hono',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/hono/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'ការចាប់ផ្តើម', link: '/km/guide/hono/01-introduction' },
+            { text: 'ការកំណត់ផ្លូវ', link: '/km/guide/hono/02-routing' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'Middleware', link: '/km/guide/hono/03-middleware' },
+            { text: 'Context API', link: '/km/guide/hono/04-context' },
+            { text: 'ការផ្ទៀងផ្ទាត់ទិន្នន័យ', link: '/km/guide/hono/05-validation' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ការធ្វើតេស្ត', link: '/km/guide/hono/06-testing' },
+            { text: 'ការដាក់ពង្រាយ', link: '/km/guide/hono/07-deployment' },
+            { text: 'ប្រធានបទកម្រិតខ្ពស់', link: '/km/guide/hono/08-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/react/': [
+    {
+      text: 'មេរៀន React',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/react/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'ការចាប់ផ្តើម', link: '/km/guide/react/01-introduction' },
+            { text: 'JSX', link: '/km/guide/react/02-jsx' },
+            { text: 'សមាសភាគ និង Props', link: '/km/guide/react/03-components' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'ស្ថានភាព និង useState', link: '/km/guide/react/04-state' },
+            { text: 'ការគ្រប់គ្រងព្រឹត្តិការណ៍', link: '/km/guide/react/05-events' },
+            { text: 'Hooks របស់ React', link: '/km/guide/react/06-hooks' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ការគ្រប់គ្រងទម្រង់', link: '/km/guide/react/07-forms' },
+            { text: 'React Router', link: '/km/guide/react/08-routing' },
+            { text: 'ការទទួលបានទិន្នន័យ', link: '/km/guide/react/09-api' },
+            { text: 'លំនាំកម្រិតខ្ពស់', link: '/km/guide/react/10-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/nodejs/': [
+    {
+      text: 'មេរៀន Node.js',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/nodejs/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'ការចាប់ផ្តើម', link: '/km/guide/nodejs/01-introduction' },
+            { text: 'ម៉ូឌុល', link: '/km/guide/nodejs/02-modules' },
+            { text: 'ប្រព័ន្ធឯកសារ', link: '/km/guide/nodejs/03-file-system' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'ការសរសេរកម្មវិធីអសមកាល', link: '/km/guide/nodejs/04-async' },
+            { text: 'ព្រឹត្តិការណ៍', link: '/km/guide/nodejs/05-events' },
+            { text: 'ស្ទ្រីម', link: '/km/guide/nodejs/06-streams' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ម៉ូឌុល HTTP', link: '/km/guide/nodejs/07-http' },
+            { text: 'NPM និងកញ្ចប់', link: '/km/guide/nodejs/08-npm' },
+            { text: 'ការឆ្លុះបញ្ហា', link: '/km/guide/nodejs/09-debugging' },
+            { text: 'ប្រធានបទកម្រិតខ្ពស់', link: '/km/guide/nodejs/10-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/express/': [
+    {
+      text: 'មេរៀន Express.js',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/express/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'ការចាប់ផ្តើម', link: '/km/guide/express/01-introduction' },
+            { text: 'ការកំណត់ផ្លូវ', link: '/km/guide/express/02-routing' },
+            { text: 'Middleware', link: '/km/guide/express/03-middleware' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'សំណើ និងការឆ្លើយតប', link: '/km/guide/express/04-request-response' },
+            { text: 'ម៉ាស៊ីនគំរូ', link: '/km/guide/express/05-templates' },
+            { text: 'ឯកសារឋិតិវន្ត', link: '/km/guide/express/06-static-files' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ការគ្រប់គ្រងកំហុស', link: '/km/guide/express/07-error-handling' },
+            { text: 'ការផ្ទៀងផ្ទាត់អត្តសញ្ញាណ', link: '/km/guide/express/08-authentication' },
+            { text: 'ការភ្ជាប់មូលដ្ឋានទិន្នន័យ', link: '/km/guide/express/09-database' },
+            { text: 'ការដាក់ពង្រាយ', link: '/km/guide/express/10-deployment' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/python/': [
+    {
+      text: 'មេរៀន Python',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/python/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'មូលដ្ឋាន', link: '/km/guide/python/01-basics' },
+            { text: 'លំហូរបញ្ជា', link: '/km/guide/python/02-control-flow' },
+            { text: 'អនុគមន៍', link: '/km/guide/python/03-functions' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'រចនាសម្ព័ន្ធទិន្នន័យ', link: '/km/guide/python/04-data-structures' },
+            { text: 'ខ្សែអក្សរ', link: '/km/guide/python/05-strings' },
+            { text: 'ការអាន និងសរសេរឯកសារ', link: '/km/guide/python/06-file-io' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ម៉ូឌុល', link: '/km/guide/python/07-modules' },
+            { text: 'OOP', link: '/km/guide/python/08-oop' },
+            { text: 'ករណីលើកលែង', link: '/km/guide/python/09-exceptions' },
+            { text: 'ប្រធានបទកម្រិតខ្ពស់', link: '/km/guide/python/10-advanced' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/ai/': [
+    {
+      text: 'AI & ការរៀនម៉ាស៊ីន',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/ai/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'តើ AI ជាអ្វី?', link: '/km/guide/ai/01-introduction' },
+            { text: 'មូលដ្ឋាននៃ ML', link: '/km/guide/ai/02-ml-basics' },
+            { text: 'Python សម្រាប់ AI', link: '/km/guide/ai/03-python-for-ai' },
+            { text: 'ម៉ូដែលដំបូងរបស់អ្នក', link: '/km/guide/ai/04-first-model' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'បណ្តាញសរសៃប្រសាទ', link: '/km/guide/ai/05-neural-networks' },
+            { text: 'ការរៀនស៊ីជម្រៅ', link: '/km/guide/ai/06-deep-learning' },
+            { text: 'ការងារជាមួយ LLM', link: '/km/guide/ai/07-llms' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'ការកែសម្រួលម៉ូដែល', link: '/km/guide/ai/08-fine-tuning' },
+            { text: 'ភ្នាក់ងារ AI', link: '/km/guide/ai/09-agents' },
+            { text: 'AI ក្នុងផលិតកម្ម', link: '/km/guide/ai/10-production' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/csharp/': [
+    {
+      text: 'មេរៀន C#',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/csharp/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'ការចាប់ផ្តើម', link: '/km/guide/csharp/01-introduction' },
+            { text: 'អថេរ និងប្រភេទ', link: '/km/guide/csharp/02-variables' },
+            { text: 'លំហូរបញ្ជា', link: '/km/guide/csharp/03-control-flow' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'មេតូដ', link: '/km/guide/csharp/04-methods' },
+            { text: 'ថ្នាក់ និងវត្ថុ', link: '/km/guide/csharp/05-classes' },
+            { text: 'ការទទួលមរតក', link: '/km/guide/csharp/06-inheritance' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'Interface', link: '/km/guide/csharp/07-interfaces' },
+            { text: 'ប្រភេទទូទៅ (Generics)', link: '/km/guide/csharp/08-generics' },
+            { text: 'LINQ', link: '/km/guide/csharp/09-linq' },
+            { text: 'ការសរសេរកម្មវិធីអសមកាល', link: '/km/guide/csharp/10-async' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/dotnet/': [
+    {
+      text: 'មេរៀន .NET',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/dotnet/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'ការចាប់ផ្តើម', link: '/km/guide/dotnet/01-introduction' },
+            { text: 'រចនាសម្ព័ន្ធគម្រោង', link: '/km/guide/dotnet/02-project-structure' },
+            { text: 'ឧបករណ៍ CLI', link: '/km/guide/dotnet/03-cli' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'ការចាក់បញ្ចូល Dependency', link: '/km/guide/dotnet/04-dependency-injection' },
+            { text: 'ការកំណត់រចនាសម្ព័ន្ធ', link: '/km/guide/dotnet/05-configuration' },
+            { text: 'ការកត់ត្រា', link: '/km/guide/dotnet/06-logging' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'Middleware', link: '/km/guide/dotnet/07-middleware' },
+            { text: 'Entity Framework', link: '/km/guide/dotnet/08-entity-framework' },
+            { text: 'ការធ្វើតេស្ត', link: '/km/guide/dotnet/09-testing' },
+            { text: 'ការដាក់ពង្រាយ', link: '/km/guide/dotnet/10-deployment' }
+          ]
+        }
+      ]
+    }
+  ],
+  '/km/guide/docker/': [
+    {
+      text: 'មេរៀន Docker',
+      items: [
+        { text: 'សេចក្តីផ្តើម', link: '/km/guide/docker/' },
+        {
+          text: 'កម្រិតដំបូង',
+          collapsed: false,
+          items: [
+            { text: 'សេចក្តីផ្តើមអំពី Docker', link: '/km/guide/docker/01-introduction' },
+            { text: 'Image របស់ Docker', link: '/km/guide/docker/02-images' },
+            { text: 'Container របស់ Docker', link: '/km/guide/docker/03-containers' },
+            { text: 'មូលដ្ឋាននៃ Dockerfile', link: '/km/guide/docker/04-dockerfile' },
+            { text: 'Volume របស់ Docker', link: '/km/guide/docker/05-volumes' }
+          ]
+        },
+        {
+          text: 'កម្រិតមធ្យម',
+          collapsed: false,
+          items: [
+            { text: 'បណ្តាញ Docker', link: '/km/guide/docker/06-networking' },
+            { text: 'Docker Compose', link: '/km/guide/docker/07-compose' },
+            { text: 'Registry របស់ Docker', link: '/km/guide/docker/08-registry' }
+          ]
+        },
+        {
+          text: 'កម្រិតខ្ពស់',
+          collapsed: false,
+          items: [
+            { text: 'Docker ក្នុងផលិតកម្ម', link: '/km/guide/docker/09-production' },
+            { text: 'ការរៀបចំ Docker ជាក្រុម', link: '/km/guide/docker/10-orchestration' }
+          ]
+        }
+      ]
+    }
+  ]
+}
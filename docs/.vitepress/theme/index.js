@@ -1,6 +1,7 @@
 import { h } from 'vue'
 import Theme from 'vitepress/theme'
 import './style.css'
+import { LANGUAGES, SOURCE_LANGUAGE, TARGET_LANGUAGES } from '../languages.js'
 
 export default {
   extends: Theme,
@@ -13,23 +14,17 @@ export default {
 
   enhanceApp({ app, router, siteData }) {
     // Store language info globally
-    app.config.globalProperties.$langs = {
-      en: { name: 'English', nativeName: 'English' },
-      km: { name: 'Khmer', nativeName: 'ភាសាខ្មែរ' },
-      zh: { name: 'Chinese', nativeName: '中文' },
-      ja: { name: 'Japanese', nativeName: '日本語' },
-      ko: { name: 'Korean', nativeName: '한국어' },
-      vi: { name: 'Vietnamese', nativeName: 'Tiếng Việt' },
-      fr: { name: 'French', nativeName: 'Français' },
-      es: { name: 'Spanish', nativeName: 'Español' },
-      de: { name: 'German', nativeName: 'Deutsch' },
-    }
+    app.config.globalProperties.$langs = Object.fromEntries(
+      Object.entries(LANGUAGES)
+        .filter(([lang, info]) => lang === SOURCE_LANGUAGE || info.enabled)
+        .map(([lang, info]) => [lang, { name: info.name, nativeName: info.nativeName }])
+    )
 
     // Get current language from route
     app.config.globalProperties.$currentLang = () => {
       const path = router.currentRoute.value.path
       const match = path.match(/^\/([a-z]{2})\//)
-      return match ? match[1] : 'en'
+      return match && TARGET_LANGUAGES[match[1]] ? match[1] : SOURCE_LANGUAGE
     }
   },
 }
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Link Checking Script
+ * Verifies that every link of the site resolves, in every locale: page
+ * links, `#anchors`, images and other assets, from page bodies, frontmatter
+ * (home page hero and features) and the nav and sidebar (lib/link-check.mjs)
+ *
+ * Broken links are listed by the page that references them. Exits 1 when
+ * there are any.
+ *
+ * Usage:
+ *   npm run check:links                         # English and every enabled locale
+ *   npm run check:links -- --lang km            # One locale
+ *   npm run check:links -- --output links.json  # Also save the report as JSON
+ */
+
+import fs from 'fs/promises'
+import { loadSite, checkLocale } from './lib/link-check.mjs'
+import { LANGUAGES, SOURCE_LANGUAGE, TARGET_LANGUAGES } from '../docs/.vitepress/languages.js'
+
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const parsed = {
+    languages: [],
+    output: null,
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--lang':
+      case '-l':
+        parsed.languages = args[++i]?.split(',').filter(Boolean) || []
+        break
+      case '--output':
+      case '-o':
+        parsed.output = args[++i]
+        break
+      case '--help':
+      case '-h':
+        printHelp()
+        process.exit(0)
+    }
+  }
+
+  return parsed
+}
+
+function printHelp() {
+  console.log(`
+🔗 Link Checker
+
+Usage:
+  npm run check:links -- [options]
+
+Options:
+  --lang, -l      Locale(s), comma-separated (default: ${[SOURCE_LANGUAGE, ...Object.keys(TARGET_LANGUAGES)].join(', ')})
+  --output, -o    Save the report as JSON
+  --help, -h      Show this help message
+
+Checks markdown links and images, href/src in HTML blocks, hero and
+features links and icons in frontmatter, and the nav and sidebar in
+docs/.vitepress/locales/{lang}.js. Links are resolved against the docs
+tree and docs/public with the /doc01/ base dropped; #anchors must match a
+heading slug or HTML id of the target page.
+`)
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs()
+  const locales = options.languages.length > 0
+    ? options.languages
+    : [SOURCE_LANGUAGE, ...Object.keys(TARGET_LANGUAGES)]
+
+  for (const lang of locales) {
+    if (lang !== SOURCE_LANGUAGE && !TARGET_LANGUAGES[lang]) {
+      console.error(`❌ Error: Unsupported language "${lang}"`)
+      console.error(`Supported: ${[SOURCE_LANGUAGE, ...Object.keys(TARGET_LANGUAGES)].join(', ')}`)
+      process.exit(1)
+    }
+  }
+
+  console.log('\n' + '='.repeat(60))
+  console.log('🔗 LINK CHECK')
+  console.log('='.repeat(60))
+
+  const site = await loadSite()
+  const report = { timestamp: new Date().toISOString(), locales: {} }
+  let totalBroken = 0
+
+  for (const lang of locales) {
+    const { checked, broken } = await checkLocale(lang, site)
+    totalBroken += broken.length
+
+    // Group by the page that holds the link
+    const pages = {}
+    for (const { file, ...link } of broken) {
+      (pages[file] ||= []).push(link)
+    }
+    report.locales[lang] = { checked, broken: broken.length, pages }
+
+    console.log(`\n${LANGUAGES[lang].name}:`)
+    if (broken.length === 0) {
+      console.log(`  ✅ All ${checked} links resolve`)
+      continue
+    }
+    console.log(`  ❌ ${broken.length} of ${checked} links broken in ${Object.keys(pages).length} files`)
+    for (const [file, links] of Object.entries(pages)) {
+      console.log(`\n     ${file}`)
+      links.forEach(link => console.log(`       line ${link.line ?? '?'}: ${link.url} (${link.problem})`))
+    }
+  }
+
+  if (options.output) {
+    await fs.writeFile(options.output, JSON.stringify(report, null, 2) + '\n', 'utf-8')
+    console.log(`\n📄 Report saved: ${options.output}`)
+  }
+
+  console.log('\n' + '='.repeat(60))
+  console.log(totalBroken === 0 ? '✨ No broken links.' : `❌ ${totalBroken} broken links. Fix them in the files listed above.`)
+  console.log('='.repeat(60) + '\n')
+
+  return totalBroken === 0 ? 0 : 1
+}
+
+main().then(code => {
+  process.exitCode = code
+}).catch(error => {
+  console.error('\n❌ Fatal error:', error.message)
+  process.exit(1)
+})
@@ -2,75 +2,197 @@
 /**
  * Clean Translation Script
  * Removes existing translated files to regenerate fresh translations
+ *
+ * Cleans docs/{lang}/ of every language in docs/.vitepress/languages.js,
+ * or only the languages given with --lang. Pages a reviewer approved
+ * (`translation.reviewed: true`) are kept, with their lockfile entries and
+ * suggestions, unless --include-reviewed is given.
+ *
+ * Usage:
+ *   npm run clean:translations                        # All languages
+ *   npm run clean:translations -- --lang km           # Khmer only
+ *   npm run clean:translations -- --include-reviewed  # Reviewed pages too
  */
 
 import fs from 'fs/promises'
 import path from 'path'
 import { glob } from 'glob'
+import { getLockfilePath, loadLockfile, saveLockfile } from './lib/lockfile.mjs'
+import { readTranslationMeta, getSuggestionsPath } from './lib/review.mjs'
+import { LANGUAGES, SOURCE_LANGUAGE } from '../docs/.vitepress/languages.js'
 
-async function cleanTranslations() {
-  console.log('\n' + '='.repeat(60))
-  console.log('🗑️  TRANSLATION CLEANUP')
-  console.log('='.repeat(60) + '\n')
+// Every language with an output directory
+const TRANSLATED_LANGUAGES = Object.keys(LANGUAGES).filter(lang => lang !== SOURCE_LANGUAGE)
 
-  try {
-    // Get all Khmer translated files
-    const kmFiles = await glob('docs/km/**/*.md')
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const options = {
+    languages: TRANSLATED_LANGUAGES,
+    includeReviewed: false,
+  }
 
-    if (kmFiles.length === 0) {
-      console.log('ℹ️  No Khmer translations found to clean.')
-      console.log('='.repeat(60) + '\n')
-      return
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--lang':
+      case '-l':
+        options.languages = args[++i]?.split(',').filter(Boolean) || []
+        break
+      case '--include-reviewed':
+        options.includeReviewed = true
+        break
+      case '--help':
+      case '-h':
+        printHelp()
+        process.exit(0)
     }
+  }
 
-    console.log(`Found ${kmFiles.length} Khmer translation file(s) to remove:\n`)
+  return options
+}
 
-    // Remove each file
-    let removed = 0
-    for (const file of kmFiles) {
-      try {
-        await fs.unlink(file)
-        console.log(`  ✅ Removed: ${file}`)
-        removed++
-      } catch (error) {
-        console.log(`  ⚠️  Failed to remove: ${file} - ${error.message}`)
-      }
+function printHelp() {
+  console.log(`
+🗑️  Translation Cleanup
+
+Usage:
+  npm run clean:translations [-- options]
+
+Options:
+  --lang, -l    Language(s) to clean, comma-separated (default: all)
+                Supported: ${TRANSLATED_LANGUAGES.join(', ')}
+  --include-reviewed  Also remove pages a reviewer approved (kept by default)
+  --help, -h    Show this help message
+`)
+}
+
+/**
+ * Remove the translated pages, their suggestions, the lockfile and empty
+ * directories of one language. Returns the number of pages removed and kept.
+ */
+async function cleanLanguage(lang, options) {
+  const root = path.join('docs', lang)
+  const pages = await glob(`docs/${lang}/**/*.md`)
+
+  // Reviewed pages hold human work; they stay unless asked for
+  const files = []
+  const kept = []
+  for (const page of pages) {
+    const reviewed = !options.includeReviewed && readTranslationMeta(await fs.readFile(page, 'utf-8'))?.reviewed
+    if (reviewed) kept.push(page)
+    else files.push(page)
+  }
+
+  // Without pages, a lockfile or suggestions left behind still go
+  if (pages.length === 0) {
+    console.log(`ℹ️  No ${LANGUAGES[lang].name} translations found to clean.`)
+  } else {
+    console.log(`Found ${files.length} ${LANGUAGES[lang].name} translation file(s) to remove:\n`)
+  }
+  if (kept.length > 0) {
+    console.log(`  📝 Keeping ${kept.length} reviewed page(s) (--include-reviewed removes them too)`)
+  }
+
+  // Remove each file
+  let removed = 0
+  for (const file of files) {
+    try {
+      await fs.unlink(file)
+      console.log(`  ✅ Removed: ${file}`)
+      removed++
+    } catch (error) {
+      console.log(`  ⚠️  Failed to remove: ${file} - ${error.message}`)
     }
+  }
 
-    // Remove empty directories
-    const kmDirs = await glob('docs/km/**/*/') 
-    for (const dir of kmDirs.reverse()) {
-      try {
-        const files = await fs.readdir(dir)
-        if (files.length === 0) {
-          await fs.rmdir(dir)
-          console.log(`  ✅ Removed empty dir: ${dir}`)
-        }
-      } catch {
-        // Ignore errors on directory removal
-      }
+  // Remove suggestions, except those of the reviewed pages still there
+  const keptSuggestions = new Set(kept.map(getSuggestionsPath))
+  for (const suggestions of await glob(`docs/${lang}/**/*.suggestions.json`)) {
+    if (keptSuggestions.has(suggestions)) continue
+    await fs.unlink(suggestions)
+    console.log(`  ✅ Removed: ${suggestions}`)
+  }
+
+  // Remove the lockfile so the next run starts from scratch; reviewed
+  // pages keep their entries, which record what the reviewer checked
+  const lockPath = getLockfilePath(lang)
+  if (kept.length > 0) {
+    const lock = await loadLockfile(lang)
+    const keys = new Set(kept.map(page => path.relative(root, page).split(path.sep).join('/')))
+    lock.files = Object.fromEntries(Object.entries(lock.files).filter(([key]) => keys.has(key)))
+    await saveLockfile(lang, lock)
+    console.log(`  ✅ Kept ${Object.keys(lock.files).length} reviewed entr${Object.keys(lock.files).length === 1 ? 'y' : 'ies'} in: ${lockPath}`)
+  } else {
+    try {
+      await fs.unlink(lockPath)
+      console.log(`  ✅ Removed: ${lockPath}`)
+    } catch {
+      // No lockfile yet
     }
+  }
 
-    // Try to remove km root directory if empty
+  // Remove empty directories
+  const dirs = await glob(`docs/${lang}/**/*/`)
+  for (const dir of dirs.reverse()) {
     try {
-      const kmRoot = 'docs/km'
-      const files = await fs.readdir(kmRoot)
-      if (files.length === 0) {
-        await fs.rmdir(kmRoot)
-        console.log(`  ✅ Removed empty dir: ${kmRoot}`)
+      const entries = await fs.readdir(dir)
+      if (entries.length === 0) {
+        await fs.rmdir(dir)
+        console.log(`  ✅ Removed empty dir: ${dir}`)
       }
     } catch {
-      // Ignore if directory not empty or doesn't exist
+      // Ignore errors on directory removal
+    }
+  }
+
+  // Try to remove the language root directory if empty
+  try {
+    const entries = await fs.readdir(root)
+    if (entries.length === 0) {
+      await fs.rmdir(root)
+      console.log(`  ✅ Removed empty dir: ${root}`)
+    }
+  } catch {
+    // Ignore if directory not empty or doesn't exist
+  }
+
+  return { removed, kept: kept.length }
+}
+
+async function cleanTranslations() {
+  const options = parseArgs()
+
+  for (const lang of options.languages) {
+    if (!TRANSLATED_LANGUAGES.includes(lang)) {
+      console.error(`❌ Error: Unsupported language "${lang}"`)
+      console.error(`Supported: ${TRANSLATED_LANGUAGES.join(', ')}`)
+      process.exit(1)
+    }
+  }
+
+  console.log('\n' + '='.repeat(60))
+  console.log('🗑️  TRANSLATION CLEANUP')
+  console.log('='.repeat(60) + '\n')
+
+  try {
+    let removed = 0
+    let kept = 0
+    for (const lang of options.languages) {
+      const result = await cleanLanguage(lang, options)
+      removed += result.removed
+      kept += result.kept
     }
 
     console.log(`\n${'='.repeat(60)}`)
     console.log(`📊 Cleanup Summary`)
     console.log(`${'='.repeat(60)}`)
     console.log(`  Total removed: ${removed} file(s)`)
+    console.log(`  Reviewed pages kept: ${kept}`)
     console.log(`${'='.repeat(60)}\n`)
 
-    console.log('✨ Ready to regenerate fresh translations!')
-    console.log('   Run: npm run translate:km\n')
+    if (removed > 0) {
+      console.log('✨ Ready to regenerate fresh translations!')
+      console.log('   Run: npm run translate\n')
+    }
 
   } catch (error) {
     console.error(`❌ Error during cleanup: ${error.message}`)
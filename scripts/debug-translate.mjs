@@ -4,21 +4,25 @@
  * Validates translation setup and tests all components
  */
 
-import { translate } from '@vitalets/google-translate-api'
 import fs from 'fs/promises'
+import os from 'os'
 import path from 'path'
 import { glob } from 'glob'
 import { fileURLToPath } from 'url'
+import { loadProvider, createProvider } from './lib/providers.mjs'
+import { segmentMarkdown } from './lib/segmenter.mjs'
+import { TOKEN_PATTERN } from './lib/placeholders.mjs'
+import { createTranslator } from './lib/translator.mjs'
+import { createScheduler } from './lib/scheduler.mjs'
+import { loadLinkTargets } from './lib/links.mjs'
+import { loadLockfile, getFileStatus } from './lib/lockfile.mjs'
+import { TARGET_LANGUAGES, getTranslatedDirs } from '../docs/.vitepress/languages.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
 // Test configuration
 const TEST_CONFIG = {
-  languages: {
-    km: { name: 'Khmer', code: 'km' },
-    zh: { name: 'Chinese', code: 'zh-CN' },
-    ja: { name: 'Japanese', code: 'ja' },
-  },
+  languages: TARGET_LANGUAGES,
   testText: 'Hello World. This is a CSS tutorial about colors and styles.',
   testMarkdown: `---
 title: Test
@@ -28,6 +32,24 @@ title: Test
 
 This is a test paragraph with \`inline code\` and [links](https://example.com).
 
+::: tip What You'll Learn
+- Container keywords stay untouched, only the title and body are translated
+:::
+
+::: code-group
+\`\`\`\`md [README.md]
+\`\`\`js
+const nested = true
+\`\`\`
+\`\`\`\`
+
+~~~sh [npm]
+npm install
+~~~
+:::
+
+    indented code block
+
 \`\`\`css
 .container {
   color: red;
@@ -37,6 +59,16 @@ This is a test paragraph with \`inline code\` and [links](https://example.com).
 
 Another paragraph here.
 `,
+  // Link labels and image alts with inline code and emphasis, translated on their own
+  tokenText: 'See the [`useState` hook](/guide/react/), the ![`flex` **layout**](/flex.png) and <VideoPlayer title="The `grid` demo" /> for **details**.',
+  tokenKept: ['`useState`', '`flex`', '**', '](/guide/react/)', '](/flex.png)', '<VideoPlayer title="'],
+  // Short texts the scheduler batches into one request; one carries its own token
+  batchTexts: ['Home', 'Next page ⟦0⟧', 'Read more'],
+  // A page linking to another, in its text and frontmatter, that is translated after it
+  linkPages: {
+    'docs/guide/first.md': '---\nhero:\n  actions:\n    - text: Next\n      link: /guide/second\n---\n\n# First\n\nRead the [second page](./second) next.\n',
+    'docs/guide/second.md': '# Second\n\nThe end.\n',
+  },
 }
 
 /**
@@ -96,18 +128,23 @@ async function testTranslationAPI() {
   console.log('\n🔍 TEST 3: Translation API Test')
   console.log('='.repeat(60))
 
+  const args = process.argv.slice(2)
+  const providerIndex = args.findIndex(arg => arg === '--provider' || arg === '-p')
+  const provider = await loadProvider(providerIndex !== -1 ? args[providerIndex + 1] : null)
+  console.log(`\n  Provider: ${provider.name}`)
+
   const results = {}
 
   for (const [langCode, langInfo] of Object.entries(TEST_CONFIG.languages)) {
     try {
       console.log(`\n  Testing ${langInfo.name} (${langCode})...`)
-      const result = await translate(TEST_CONFIG.testText, { to: langInfo.code })
+      const translated = await provider.translate(TEST_CONFIG.testText, { to: langInfo.code })
       
-      if (result.text && result.text.length > 0) {
+      if (translated && translated.length > 0) {
         console.log(`  ✅ Translation successful`)
         console.log(`  Original: "${TEST_CONFIG.testText}"`)
-        console.log(`  Translated: "${result.text}"`)
-        results[langCode] = { passed: true, translated: result.text }
+        console.log(`  Translated: "${translated}"`)
+        results[langCode] = { passed: true, translated }
       } else {
         console.error(`  ❌ Empty translation result`)
         results[langCode] = { passed: false, error: 'Empty result' }
@@ -176,7 +213,7 @@ async function testCSSFiles() {
 
   try {
     const files = await glob('docs/css/**/*.md', {
-      ignore: ['docs/km/**', 'docs/zh/**', 'docs/ja/**'],
+      ignore: getTranslatedDirs(),
     })
 
     console.log(`\nFound ${files.length} CSS markdown file(s):`)
@@ -210,7 +247,7 @@ async function testOutputDirs() {
   console.log('\n🔍 TEST 6: Output Directories Check')
   console.log('='.repeat(60))
 
-  const langs = ['km', 'zh', 'ja']
+  const langs = Object.keys(TARGET_LANGUAGES)
   const outputDirs = langs.map(lang => `docs/${lang}`)
 
   for (const dir of outputDirs) {
@@ -234,8 +271,7 @@ async function testMarkdownParsing() {
   console.log('='.repeat(60))
 
   try {
-    // Simple markdown parser test
-    const parts = parseTestMarkdown(TEST_CONFIG.testMarkdown)
+    const parts = segmentMarkdown(TEST_CONFIG.testMarkdown)
     
     console.log(`\nParsed ${parts.length} parts:`)
     
@@ -251,7 +287,49 @@ async function testMarkdownParsing() {
     console.log(`  ✅ Code blocks: ${codeCount}`)
     console.log(`  ✅ Other sections: ${otherCount}`)
 
-    return { passed: true, parts }
+    // Joining the segments must give back the exact source
+    const roundTrip = parts.map(part => part.content).join('') === TEST_CONFIG.testMarkdown
+    if (roundTrip) {
+      console.log(`  ✅ Round-trip is byte-identical`)
+    } else {
+      console.error(`  ❌ Round-trip differs from source`)
+    }
+
+    return { passed: roundTrip, parts }
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`)
+    return { passed: false, error: error.message }
+  }
+}
+
+/**
+ * Test 8: Placeholder tokens never reach the translated text
+ */
+async function testTokenRestoration() {
+  console.log('\n🔍 TEST 8: Placeholder Restoration Test')
+  console.log('='.repeat(60))
+
+  try {
+    // Offline provider and a memory that remembers nothing
+    const memory = { get: () => undefined, set: async () => {} }
+    const translator = createTranslator({ provider: createProvider('pseudo'), memory })
+    const lang = Object.keys(TEST_CONFIG.languages)[0]
+
+    const issues = []
+    const translated = await translator.translateText(TEST_CONFIG.tokenText, lang, issues)
+    console.log(`  Original: "${TEST_CONFIG.tokenText}"`)
+    console.log(`  Translated: "${translated}"`)
+
+    const leftover = translated.match(TOKEN_PATTERN) || []
+    const lost = TEST_CONFIG.tokenKept.filter(kept => !translated.includes(kept))
+    const untranslated = translated === TEST_CONFIG.tokenText
+    if (leftover.length > 0) console.error(`  ❌ Tokens left in the text: ${leftover.join(', ')}`)
+    if (lost.length > 0) console.error(`  ❌ Lost: ${lost.join(', ')}`)
+    if (untranslated) console.error(`  ❌ Kept in English: ${issues.map(issue => issue.message).join('; ')}`)
+
+    const passed = leftover.length === 0 && lost.length === 0 && !untranslated
+    if (passed) console.log(`  ✅ Every token restored, link labels included`)
+    return { passed }
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`)
     return { passed: false, error: error.message }
@@ -259,29 +337,112 @@ async function testMarkdownParsing() {
 }
 
 /**
- * Simple markdown parser for testing
+ * Test 9: A link left in English points at the translation once its
+ * target is translated, although the linking page did not change
  */
-function parseTestMarkdown(content) {
-  const parts = []
-  const codeBlockRegex = /(```[\s\S]*?```|<style[\s\S]*?<\/style>)/gi
-  const segments = content.split(codeBlockRegex)
-
-  for (const segment of segments) {
-    if (segment.match(/^```/) || segment.match(/^<style/i)) {
-      parts.push({ type: 'code', content: segment })
-    } else if (segment.trim()) {
-      parts.push({ type: 'text', content: segment })
+async function testLinkRefresh() {
+  console.log('\n🔍 TEST 9: Link Refresh Test')
+  console.log('='.repeat(60))
+
+  const cwd = process.cwd()
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'debug-translate-'))
+  try {
+    // translatePage() works on docs/ of the current directory
+    process.chdir(root)
+    for (const [file, content] of Object.entries(TEST_CONFIG.linkPages)) {
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(file, content, 'utf-8')
     }
+
+    const memory = { get: () => undefined, set: async () => {} }
+    const linkTargets = {}
+    const translator = createTranslator({ provider: createProvider('pseudo'), memory, linkTargets })
+    const lang = Object.keys(TEST_CONFIG.languages)[0]
+    const [first, second] = Object.keys(TEST_CONFIG.linkPages)
+    const firstOutput = path.join('docs', lang, 'guide', 'first.md')
+    const lock = await loadLockfile(lang)
+
+    // Before: the second page has no translation, the link stays English
+    linkTargets[lang] = await loadLinkTargets(lang)
+    await translator.translatePage(first, lang, lock)
+    const before = await fs.readFile(firstOutput, 'utf-8')
+    console.log(`  Before: ${before.match(/\]\([^)]*\)/)?.[0]}`)
+
+    await translator.translatePage(second, lang, lock)
+    linkTargets[lang] = await loadLinkTargets(lang)
+    const { status } = getFileStatus(TEST_CONFIG.linkPages[first], [], lock.files['guide/first.md'], before, linkTargets[lang].translated)
+    console.log(`  Status once the target is translated: ${status}`)
+
+    // After: the unchanged first page is rewritten with the localized link
+    const result = await translator.translatePage(first, lang, lock)
+    const after = await fs.readFile(firstOutput, 'utf-8')
+    console.log(`  After: ${after.match(/\]\([^)]*\)/)?.[0]} (${result.translated} translated, ${result.reused} reused)`)
+
+    const checks = [
+      [before.includes('](/guide/second)') && before.includes('link: /guide/second'), 'links left in English before the target was translated'],
+      [status === 'stale', 'page reported stale once the target was translated'],
+      [after.includes(`](/${lang}/guide/second)`) && after.includes(`link: /${lang}/guide/second`), 'links point at the translation afterwards'],
+      [result.translated === 0, 'nothing retranslated'],
+      [!lock.files['guide/first.md'].missingLinks, 'no missing links left in the lockfile'],
+    ]
+    for (const [ok, label] of checks) {
+      console.log(`  ${ok ? '✅' : '❌'} ${label}`)
+    }
+    return { passed: checks.every(([ok]) => ok) }
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`)
+    return { passed: false, error: error.message }
+  } finally {
+    process.chdir(cwd)
+    await fs.rm(root, { recursive: true, force: true })
   }
+}
 
-  return parts
+/**
+ * Test 10: Batched texts come back in order, and a batch whose separators
+ * were reordered or mangled is sent again one text at a time
+ */
+async function testBatchSeparators() {
+  console.log('\n🔍 TEST 10: Batch Separator Test')
+  console.log('='.repeat(60))
+
+  // Upper-cases the text, then damages the separators of a batch (any reply of several lines)
+  const replies = {
+    kept: reply => reply,
+    reordered: reply => reply.split('\n').reverse().join('\n'),
+    mangled: reply => reply.replace(/⟦(\d+)⟧$/gm, '[$1]'),
+  }
+
+  try {
+    const results = await Promise.all(Object.entries(replies).map(async ([name, damage]) => {
+      const provider = {
+        name: 'test',
+        async translate(text) {
+          const reply = text.toUpperCase()
+          return reply.includes('\n') ? damage(reply) : reply
+        },
+      }
+      const scheduler = createScheduler(provider, { concurrency: 4, requestsPerSecond: 1000, burst: 1000 })
+      const translated = await Promise.all(TEST_CONFIG.batchTexts.map(text => scheduler.translate(text, { to: 'km' })))
+
+      const correct = translated.every((text, i) => text === TEST_CONFIG.batchTexts[i].toUpperCase())
+      const fallbacks = scheduler.stats.batchFallbacks
+      const passed = correct && scheduler.stats.batches === 1 && fallbacks === (name === 'kept' ? 0 : 1)
+      console.log(`  ${passed ? '✅' : '❌'} ${name}: ${translated.join(' | ')} (${fallbacks} fallback(s))`)
+      return passed
+    }))
+    return { passed: results.every(Boolean) }
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`)
+    return { passed: false, error: error.message }
+  }
 }
 
 /**
- * Test 8: Check package.json scripts
+ * Test 11: Check package.json scripts
  */
 async function testPackageJSON() {
-  console.log('\n🔍 TEST 8: Package.json Scripts Check')
+  console.log('\n🔍 TEST 11: Package.json Scripts Check')
   console.log('='.repeat(60))
 
   try {
@@ -327,6 +488,9 @@ async function runAllTests() {
     { name: 'CSS Files', fn: testCSSFiles },
     { name: 'Output Directories', fn: testOutputDirs },
     { name: 'Markdown Parsing', fn: testMarkdownParsing },
+    { name: 'Placeholder Restoration', fn: testTokenRestoration },
+    { name: 'Link Refresh', fn: testLinkRefresh },
+    { name: 'Batch Separators', fn: testBatchSeparators },
     { name: 'Package.json Scripts', fn: testPackageJSON },
   ]
 
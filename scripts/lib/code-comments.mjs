@@ -0,0 +1,186 @@
+/**
+ * Code Comments
+ * Finds the comments of a code block so they can be translated while the
+ * code itself stays byte-identical
+ *
+ * A small lexer per language family skips strings (and JavaScript regex
+ * literals) so `"// not a comment"` is left alone. Supported: js/ts,
+ * css/scss/less, html/xml, python and C#.
+ *
+ * findComments() returns one entry per comment, or per run of line
+ * comments on consecutive lines, with the source range of each line of
+ * comment text (markers, indentation and JSDoc `*` prefixes excluded,
+ * block comments end at their first `@tag` line):
+ *
+ *   { marker: '//', lines: [{ start, end }, ...] }
+ */
+
+const C_LIKE = { line: ['//'], block: [['/*', '*/']], strings: ['"', "'"] }
+
+export const COMMENT_SYNTAX = {
+  js: { ...C_LIKE, strings: ['"', "'", '`'], regex: true },
+  css: { line: [], block: [['/*', '*/']], strings: ['"', "'"] },
+  scss: { ...C_LIKE },
+  html: { line: [], block: [['<!--', '-->']], strings: [] },
+  python: { line: ['#'], block: [], strings: ['"""', "'''", '"', "'"] },
+  csharp: { ...C_LIKE },
+}
+
+const LANGUAGE_ALIASES = {
+  js: 'js', javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js',
+  ts: 'js', typescript: 'js', tsx: 'js',
+  css: 'css', scss: 'scss', less: 'scss',
+  html: 'html', xml: 'html', svg: 'html',
+  python: 'python', py: 'python',
+  csharp: 'csharp', cs: 'csharp', 'c#': 'csharp',
+}
+
+// Tool directives are not prose (`// eslint-disable-next-line`, `# noqa`)
+const DIRECTIVE_RE = /^(?:@ts-|eslint|prettier|istanbul|webpack|noqa|type:|pylint|#|!|region\b|endregion\b)/i
+
+// A `/` after one of these starts a regex literal, not a division
+const REGEX_PREFIX_RE = /(?:^|[(,=:[!&|?{};+\-*%<>~^]|\breturn|\btypeof)\s*$/
+
+/**
+ * Comment syntax for a fence language (`js`, `ts`, `py`…), or null
+ */
+export function getCommentSyntax(lang) {
+  const family = LANGUAGE_ALIASES[(lang || '').toLowerCase()]
+  return family ? COMMENT_SYNTAX[family] : null
+}
+
+/**
+ * Whether a comment's text is worth translating
+ */
+export function isTranslatableComment(text) {
+  return /\p{L}/u.test(text) && !DIRECTIVE_RE.test(text)
+}
+
+/**
+ * Index just past the string that opened with `quote` before `from`
+ */
+function skipString(code, from, quote) {
+  for (let i = from; i < code.length; i++) {
+    if (code[i] === '\\') {
+      i++
+    } else if (code.startsWith(quote, i)) {
+      return i + quote.length
+    } else if (code[i] === '\n' && quote.length === 1 && quote !== '`') {
+      return i
+    }
+  }
+  return code.length
+}
+
+/**
+ * Index just past a regex literal starting at `from` (the opening `/`)
+ */
+function skipRegex(code, from) {
+  let inClass = false
+  for (let i = from + 1; i < code.length; i++) {
+    if (code[i] === '\\') i++
+    else if (code[i] === '[') inClass = true
+    else if (code[i] === ']') inClass = false
+    else if (code[i] === '/' && !inClass) return i + 1
+    else if (code[i] === '\n') return i
+  }
+  return code.length
+}
+
+/**
+ * Range of the text in `code[start, end)`, without surrounding whitespace
+ */
+function trimRange(code, start, end) {
+  while (start < end && /\s/.test(code[start])) start++
+  while (end > start && /\s/.test(code[end - 1])) end--
+  return { start, end }
+}
+
+/**
+ * Text ranges of each line of a block comment body
+ */
+function blockLines(code, start, end) {
+  const lines = []
+  let lineStart = start
+  while (lineStart <= end) {
+    let lineEnd = code.indexOf('\n', lineStart)
+    if (lineEnd === -1 || lineEnd > end) lineEnd = end
+    let from = lineStart
+    while (from < lineEnd && /[ \t]/.test(code[from])) from++
+    // JSDoc continuation: ` * text`
+    if (code[from] === '*' && code[from + 1] !== '/') from++
+    const range = trimRange(code, from, lineEnd)
+    // JSDoc tags (`@param {number} a`) and what follows stay as written
+    if (code[range.start] === '@') break
+    if (range.start < range.end) lines.push(range)
+    lineStart = lineEnd + 1
+  }
+  return lines
+}
+
+/**
+ * Comments of `code` in the given language, in source order
+ */
+export function findComments(code, lang) {
+  const syntax = getCommentSyntax(lang)
+  if (!syntax) return []
+
+  const comments = []
+  let i = 0
+
+  while (i < code.length) {
+    const quote = syntax.strings.find(q => code.startsWith(q, i))
+    if (quote) {
+      i = skipString(code, i + quote.length, quote)
+      continue
+    }
+
+    const lineMarker = syntax.line.find(m => code.startsWith(m, i))
+    if (lineMarker && code[i - 1] !== ':') {
+      let end = code.indexOf('\n', i)
+      if (end === -1) end = code.length
+
+      let from = i
+      while (code.startsWith(lineMarker, from)) from += lineMarker.length
+      const range = trimRange(code, from, end)
+
+      // Join a comment that is alone on its line with the one just above
+      const lineStart = code.lastIndexOf('\n', i - 1) + 1
+      const alone = code.slice(lineStart, i).trim() === ''
+      const previous = comments[comments.length - 1]
+      if (range.start < range.end) {
+        if (alone && previous?.alone && previous.marker === lineMarker && previous.lineEnd === lineStart - 1) {
+          previous.lines.push(range)
+          previous.lineEnd = end
+        } else {
+          comments.push({ marker: lineMarker, lines: [range], alone, lineEnd: end })
+        }
+      }
+      i = end
+      continue
+    }
+
+    const block = syntax.block.find(([open]) => code.startsWith(open, i))
+    if (block) {
+      const [open, close] = block
+      const closeIndex = code.indexOf(close, i + open.length)
+      const end = closeIndex === -1 ? code.length : closeIndex
+      let bodyStart = i + open.length
+      // `/**` opens a JSDoc block
+      while (code[bodyStart] === open[open.length - 1] && open !== '<!--') bodyStart++
+      const lines = blockLines(code, bodyStart, end)
+      if (lines.length > 0) comments.push({ marker: open, lines })
+      i = closeIndex === -1 ? code.length : closeIndex + close.length
+      continue
+    }
+
+    if (syntax.regex && code[i] === '/' && REGEX_PREFIX_RE.test(code.slice(Math.max(0, i - 20), i))) {
+      i = skipRegex(code, i)
+      continue
+    }
+
+    i++
+  }
+
+  return comments.map(({ marker, lines }) => ({ marker, lines }))
+}
@@ -0,0 +1,206 @@
+/**
+ * Vue Components
+ * Which props and slots of the components embedded in pages are
+ * reader-facing text
+ *
+ * Component tags are copied as-is unless the component is whitelisted
+ * (`translationSettings.components` in translation.config.json, or
+ * DEFAULT_COMPONENTS). A whitelist entry names the props and slots to
+ * translate; `default` is the default slot, named slots are the
+ * `<template #name>` / `<template v-slot:name>` blocks inside the tag:
+ *
+ *   "VideoPlayer": { "props": ["title", "caption"], "slots": ["default"] }
+ *
+ * Only static values are translated: bound props (`:title="t"`), events
+ * and directives never are. Names match in either case style, so
+ * `VideoPlayer` also covers `<video-player>`.
+ *
+ * In HTML blocks the segmenter turns each prop value and each run of slot
+ * text into a text segment (findComponentText). Inline tags are handled
+ * by protectTags(), which keeps the tag itself as a placeholder token and
+ * hands back the prop values to translate.
+ */
+
+import { formatToken } from './placeholders.mjs'
+
+// Components of docs/.vitepress/theme; listed ones without props or slots
+// stay opaque everywhere, inline slot text included
+export const DEFAULT_COMPONENTS = {
+  VideoPlayer: { props: ['title', 'caption', 'alt'], slots: ['default', 'caption'] },
+  CssTip: { props: [], slots: [] },
+  JsTip: { props: [], slots: [] },
+  Counter: { props: [], slots: [] },
+}
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([A-Za-z][\w.:-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g
+const ATTR_PATTERN = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']
+const RAW_ELEMENTS = ['script', 'style', 'pre', 'code']
+
+/**
+ * PascalCase form of a tag name (`video-player` -> `VideoPlayer`)
+ */
+function toPascalCase(name) {
+  return name.replace(/(?:^|-)(\w)/g, (match, char) => char.toUpperCase())
+}
+
+/**
+ * Whitelist entry for a tag name, or null when the tag is not a listed component
+ */
+export function getComponentRule(name, components = DEFAULT_COMPONENTS) {
+  const rule = components[toPascalCase(name)]
+  return rule ? { props: rule.props || [], slots: rule.slots || [] } : null
+}
+
+/**
+ * Slot a `<template>` tag fills (`#caption`, `v-slot:caption`), or null
+ */
+function getSlotName(attrs) {
+  const match = attrs.match(/(?:^|\s)(?:#|v-slot:?)([\w-]*)/)
+  return match ? match[1] || 'default' : null
+}
+
+/**
+ * Translatable prop values of a tag: `{ name, start, end, text, quote }`,
+ * offsets relative to the tag. `attrsOffset` is where `attrs` starts in it.
+ */
+function findProps(attrs, attrsOffset, rule) {
+  const props = []
+  for (const match of attrs.matchAll(ATTR_PATTERN)) {
+    const [, name, double, single] = match
+    const text = double ?? single
+    if (!rule.props.includes(name) || text === undefined || !/\p{L}/u.test(text)) continue
+    const start = attrsOffset + match.index + match[0].length - text.length - 1
+    props.push({ name, start, end: start + text.length, text, quote: double !== undefined ? '"' : "'" })
+  }
+  return props
+}
+
+/**
+ * Reader-facing text of the whitelisted components in an HTML fragment:
+ * prop values (`{ start, end, component, prop, quote }`) and lines of slot
+ * text (`{ start, end, component, slot }`), in source order
+ */
+export function findComponentText(html, components = DEFAULT_COMPONENTS) {
+  const found = []
+  const stack = []
+  let textStart = 0
+
+  // Innermost component slot the text at this point belongs to
+  const currentSlot = () => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].raw) return null
+      if (stack[i].slot) return stack[i]
+    }
+    return null
+  }
+
+  const pushText = (start, end) => {
+    const frame = currentSlot()
+    if (!frame || !frame.rule.slots.includes(frame.slot)) return
+    let lineStart = start
+    for (const line of html.slice(start, end).split('\n')) {
+      const offset = line.length - line.trimStart().length
+      const text = line.trim()
+      if (/\p{L}/u.test(text)) {
+        found.push({ start: lineStart + offset, end: lineStart + offset + text.length, component: frame.component, slot: frame.slot })
+      }
+      lineStart += line.length + 1
+    }
+  }
+
+  for (const match of html.matchAll(TAG_PATTERN)) {
+    const [tag, closing, name, attrs = '', selfClosing] = match
+    pushText(textStart, match.index)
+    textStart = match.index + tag.length
+    if (!name) continue
+
+    const lower = name.toLowerCase()
+    if (closing) {
+      const open = stack.findLastIndex(frame => frame.name === lower)
+      if (open !== -1) stack.length = open
+      continue
+    }
+
+    const rule = getComponentRule(name, components)
+    if (rule) {
+      const offset = match.index + 1 + name.length
+      for (const prop of findProps(attrs, 0, rule)) {
+        found.push({ start: offset + prop.start, end: offset + prop.end, component: toPascalCase(name), prop: prop.name, quote: prop.quote })
+      }
+    }
+    if (selfClosing || VOID_ELEMENTS.includes(lower)) continue
+
+    const frame = { name: lower }
+    if (rule) {
+      Object.assign(frame, { component: toPascalCase(name), rule, slot: 'default' })
+    } else if (lower === 'template' && getSlotName(attrs)) {
+      const parent = stack[stack.length - 1]
+      if (parent?.rule) Object.assign(frame, { component: parent.component, rule: parent.rule, slot: getSlotName(attrs) })
+    } else if (RAW_ELEMENTS.includes(lower)) {
+      frame.raw = true
+    }
+    stack.push(frame)
+  }
+  pushText(textStart, html.length)
+
+  return found
+}
+
+/**
+ * Escape translated text for where it goes back: inside a `quote`d
+ * attribute value, or as slot text
+ */
+export function escapeComponentText(text, quote) {
+  const escaped = text.replace(/\s*\n\s*/g, ' ').replace(/</g, '&lt;')
+  if (quote === '"') return escaped.replace(/"/g, '&quot;')
+  if (quote === "'") return escaped.replace(/'/g, '&#39;')
+  return escaped
+}
+
+/**
+ * Replace the HTML tags of inline text with placeholder tokens (see
+ * lib/placeholders.mjs). An inline element of a listed component whose
+ * default slot is not whitelisted becomes one token, so its slot text stays
+ * as written. Tags with translatable props are added to `tags` as
+ * `{ index, tag, props }`; fill their token with restoreTag().
+ */
+export function protectTags(text, values, components = DEFAULT_COMPONENTS, tags = []) {
+  const processed = text.replace(/<([A-Za-z][\w.-]*)\b[^>]*(?<!\/)>[\s\S]*?<\/\1\s*>/g, (element, name) => {
+    const rule = getComponentRule(name, components)
+    return rule && !rule.slots.includes('default') ? protectElement(element, values, rule, name, tags) : element
+  })
+
+  return processed.replace(/<[^>]+>/g, tag => {
+    const match = tag.match(/^<([A-Za-z][\w.-]*)/)
+    const rule = match && getComponentRule(match[1], components)
+    const props = rule ? findProps(tag.slice(1 + match[1].length), 1 + match[1].length, rule) : []
+    if (props.length > 0) tags.push({ index: values.length, tag, props })
+    values.push(tag)
+    return formatToken(values.length - 1)
+  })
+}
+
+/**
+ * One token for a whole element; props of its opening tag still translate
+ */
+function protectElement(element, values, rule, name, tags) {
+  const openEnd = element.indexOf('>') + 1
+  const props = findProps(element.slice(1 + name.length, openEnd), 1 + name.length, rule)
+  if (props.length > 0) tags.push({ index: values.length, tag: element, props })
+  values.push(element)
+  return formatToken(values.length - 1)
+}
+
+/**
+ * A protected tag with its prop values replaced by `translations`
+ * (one per entry of `tag.props`, in order)
+ */
+export function restoreTag({ tag, props }, translations) {
+  let restored = tag
+  for (let i = props.length - 1; i >= 0; i--) {
+    const { start, end, quote } = props[i]
+    restored = restored.slice(0, start) + escapeComponentText(translations[i].trim(), quote) + restored.slice(end)
+  }
+  return restored
+}
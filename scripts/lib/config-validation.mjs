@@ -0,0 +1,193 @@
+/**
+ * Config Validation
+ * Checks the repository's config files against their JSON Schemas
+ * (scripts/schemas/) and against each other
+ *
+ * Every problem carries the file and the JSON path inside it, so it can be
+ * fixed without guessing:
+ *
+ *   { file: 'translation.config.json', path: '/providers/deepl/concurrency',
+ *     message: 'must be >= 1' }
+ *
+ * The cross-file checks cover what a schema cannot see: language codes
+ * used by a config must be registered in docs/.vitepress/languages.js,
+ * every VitePress locale needs a registry entry (and every enabled
+ * language a locale), and the pages a config lists must exist.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import Ajv from 'ajv'
+import { LANGUAGES, SOURCE_LANGUAGE, TARGET_LANGUAGES } from '../../docs/.vitepress/languages.js'
+
+export const SCHEMA_DIR = 'scripts/schemas'
+
+export const LANGUAGES_PATH = 'docs/.vitepress/languages.js'
+export const VITEPRESS_CONFIG_PATH = 'docs/.vitepress/config.ts'
+export const LOCALES_DIR = 'docs/.vitepress/locales'
+
+// Config file -> its schema in SCHEMA_DIR
+export const CONFIG_SCHEMAS = {
+  'translation.config.json': 'translation.config.schema.json',
+  'translate.config.json': 'translate.config.schema.json',
+  'css-tutorials.config.json': 'css-tutorials.config.schema.json',
+}
+
+const ajv = new Ajv({ allErrors: true })
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true).catch(() => false)
+}
+
+/**
+ * One ajv error as `{ path, message }`, naming the offending property
+ * or the allowed values where ajv only says "must …"
+ */
+function describeError(error) {
+  let { instancePath, message } = error
+  if (error.keyword === 'additionalProperties') {
+    message = `unknown property "${error.params.additionalProperty}"`
+  } else if (error.keyword === 'required') {
+    message = `missing required property "${error.params.missingProperty}"`
+  } else if (error.keyword === 'enum') {
+    message = `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`
+  }
+  if (error.propertyName !== undefined) {
+    instancePath = `${instancePath}/${error.propertyName}`
+    message = `property name ${message}`
+  }
+  return { path: instancePath || '/', message }
+}
+
+/**
+ * Validate `data` against a schema of SCHEMA_DIR. Returns the problems;
+ * `file` is the name they are reported under.
+ */
+export async function validateWithSchema(file, data, schemaFile) {
+  let validate = ajv.getSchema(schemaFile)
+  if (!validate) {
+    const schema = JSON.parse(await fs.readFile(path.join(SCHEMA_DIR, schemaFile), 'utf-8'))
+    validate = ajv.compile(schema)
+  }
+  if (validate(data)) return []
+
+  // The `propertyNames` summary repeats the error on the name itself
+  return validate.errors
+    .filter(error => error.keyword !== 'propertyNames')
+    .map(error => ({ file, ...describeError(error) }))
+}
+
+/**
+ * Read and validate one of CONFIG_SCHEMAS. Returns the parsed config
+ * (null when the file is missing or not JSON) and its problems.
+ */
+export async function validateConfigFile(file) {
+  let data
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf-8'))
+  } catch (error) {
+    const message = error.code === 'ENOENT' ? 'file not found' : `invalid JSON: ${error.message}`
+    return { data: null, problems: [{ file, path: '/', message }] }
+  }
+  return { data, problems: await validateWithSchema(file, data, CONFIG_SCHEMAS[file]) }
+}
+
+/**
+ * The language registry against languages.schema.json
+ */
+export async function validateLanguages() {
+  return validateWithSchema(LANGUAGES_PATH, LANGUAGES, 'languages.schema.json')
+}
+
+/**
+ * Languages used by the configs and the glossary that have no registry
+ * entry. `configs` maps config files to their parsed contents.
+ */
+export async function checkLanguageCodes(configs) {
+  const problems = []
+  const unknown = lang => !LANGUAGES[lang]
+
+  const supported = configs['css-tutorials.config.json']?.supportedLanguages || {}
+  for (const lang of Object.keys(supported).filter(unknown)) {
+    problems.push({ file: 'css-tutorials.config.json', path: `/supportedLanguages/${lang}`, message: `"${lang}" is not a language in ${LANGUAGES_PATH}` })
+  }
+
+  const glossaries = await fs.readdir('glossary').catch(() => [])
+  for (const file of glossaries.filter(file => file.endsWith('.json') && file !== 'common.json')) {
+    const lang = path.basename(file, '.json')
+    if (unknown(lang)) {
+      problems.push({ file: `glossary/${file}`, path: '/', message: `"${lang}" is not a language in ${LANGUAGES_PATH}` })
+    }
+  }
+
+  return problems
+}
+
+/**
+ * VitePress locales against the registry. config.ts builds `locales` from
+ * the enabled languages and imports locales/{lang}.js for each, so every
+ * locale module needs an entry and every enabled language a module.
+ */
+export async function checkLocales() {
+  const problems = []
+
+  let config = ''
+  try {
+    config = await fs.readFile(VITEPRESS_CONFIG_PATH, 'utf-8')
+  } catch {
+    return [{ file: VITEPRESS_CONFIG_PATH, path: '/', message: 'file not found' }]
+  }
+  if (!/\blocales\s*:/.test(config)) {
+    problems.push({ file: VITEPRESS_CONFIG_PATH, path: '/locales', message: 'no locales configured' })
+  }
+  if (!config.includes('./languages.js')) {
+    problems.push({ file: VITEPRESS_CONFIG_PATH, path: '/locales', message: `locales are not built from ${LANGUAGES_PATH}` })
+  }
+
+  const modules = (await fs.readdir(LOCALES_DIR).catch(() => []))
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'))
+  for (const lang of modules) {
+    if (!LANGUAGES[lang]) {
+      problems.push({ file: `${LOCALES_DIR}/${lang}.js`, path: '/', message: `locale "${lang}" has no entry in ${LANGUAGES_PATH}` })
+    }
+  }
+  for (const lang of [SOURCE_LANGUAGE, ...Object.keys(TARGET_LANGUAGES)]) {
+    if (!modules.includes(lang)) {
+      problems.push({ file: LANGUAGES_PATH, path: `/${lang}`, message: `enabled, but ${LOCALES_DIR}/${lang}.js is missing (npm run translate:nav -- --lang ${lang})` })
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Pages listed in css-tutorials.config.json that do not exist
+ */
+export async function checkTutorialFiles(tutorialsConfig) {
+  const problems = []
+  for (const [name, tutorial] of Object.entries(tutorialsConfig?.tutorials || {})) {
+    for (const [index, file] of (tutorial.files || []).entries()) {
+      const filePath = path.posix.join(tutorial.path, file)
+      if (!(await exists(filePath))) {
+        problems.push({ file: 'css-tutorials.config.json', path: `/tutorials/${name}/files/${index}`, message: `${filePath} not found` })
+      }
+    }
+  }
+  return problems
+}
+
+/**
+ * `npm run` scripts of package.json that run a missing script file
+ */
+export async function checkPackageScripts(pkg) {
+  const problems = []
+  for (const [name, command] of Object.entries(pkg.scripts || {})) {
+    for (const [, file] of command.matchAll(/\bnode\s+(\S+\.m?js)\b/g)) {
+      if (!(await exists(file))) {
+        problems.push({ file: 'package.json', path: `/scripts/${name}`, message: `${file} not found` })
+      }
+    }
+  }
+  return problems
+}
@@ -0,0 +1,51 @@
+/**
+ * Translation Config
+ * Cached access to translation.config.json for the scripts and lib modules
+ */
+
+import fs from 'fs/promises'
+
+export const CONFIG_PATH = 'translation.config.json'
+
+let cached = null
+
+/**
+ * Read translation.config.json (once per process).
+ * Returns an empty object when the file is missing.
+ */
+export async function loadTranslationConfig() {
+  if (!cached) {
+    try {
+      cached = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf-8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid ${CONFIG_PATH}: ${error.message}`)
+      }
+      cached = {}
+    }
+  }
+  return cached
+}
+
+/**
+ * segmentMarkdown() options from `translationSettings`
+ */
+export async function loadSegmentOptions() {
+  const { translationSettings = {} } = await loadTranslationConfig()
+  return {
+    frontmatterKeys: translationSettings.frontmatterKeys,
+    components: translationSettings.components,
+  }
+}
+
+/**
+ * QA settings from `qa`: the severity that fails the run (`failOn`:
+ * error, warning or none) and per-test severity overrides by test id
+ */
+export async function loadQaOptions() {
+  const { qa = {} } = await loadTranslationConfig()
+  return {
+    failOn: qa.failOn,
+    severity: qa.severity || {},
+  }
+}
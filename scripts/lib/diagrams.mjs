@@ -0,0 +1,118 @@
+/**
+ * Text Diagrams
+ * Box-drawing diagrams in code blocks ("FUNCTION ANATOMY" style)
+ *
+ * Diagrams are code blocks like any other, so they are never translated by
+ * default. A diagram can opt in to label translation (see segmenter.mjs);
+ * findLabels() then picks the prose runs of each line (`← Function call`,
+ * `└─ Parameter (input placeholder)`) and leaves code fragments, borders
+ * and arrows alone. fitLabel() pads a translated label back to the slot
+ * the English one had, measured in display columns, so the right-hand
+ * borders stay aligned.
+ *
+ * Display width: combining marks and format characters take no column
+ * (Khmer vowel signs, the coeng ្ and the subscript consonant after it),
+ * East Asian wide and fullwidth characters take two, everything else one.
+ */
+
+// Box drawing, block elements and the arrows diagrams use
+const BOX_CHAR = /[\u2500-\u259F]/
+const ASCII_BORDER = /^\s*[+|][-=+|\s]*[+|]\s*$/
+
+// Splits a diagram line into runs: box characters, arrows, ASCII borders
+// and gaps of two or more spaces
+const SEPARATOR = /[\u2500-\u259F\u2190-\u21FF\u25B2\u25B6\u25BA\u25BC\u25C0\u25C4|+]|-{2,}|={2,}|\s{2,}/g
+
+// Runs that look like code (`greet("Alice");`, `return a + b`) stay as they are
+const CODE_LIKE = /[{};=`$"<>]|\w\(|^(?:return|const|let|var|function|def|class|import)\b/
+
+const WIDE = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{1F300}-\u{1F64F}\u{1F900}-\u{1F9FF}\u{20000}-\u{3FFFD}]/u
+const ZERO_WIDTH = /[\p{Mn}\p{Me}\p{Cf}]/u
+const KHMER_COENG = '\u17D2'
+
+/**
+ * Columns `text` takes in a monospace font
+ */
+export function displayWidth(text) {
+  let width = 0
+  let subscript = false
+  for (const char of text) {
+    if (subscript) {
+      // The consonant after the coeng is drawn under the previous one
+      subscript = false
+      continue
+    }
+    if (char === KHMER_COENG) {
+      subscript = true
+    } else if (!ZERO_WIDTH.test(char)) {
+      width += WIDE.test(char) ? 2 : 1
+    }
+  }
+  return width
+}
+
+/**
+ * Whether a code block is a diagram: at least two lines drawn with box
+ * characters (or ASCII `+---+` borders), and most lines inside the box
+ */
+export function isDiagram(code) {
+  const lines = code.split('\n').filter(line => line.trim())
+  const drawn = lines.filter(line => BOX_CHAR.test(line) || ASCII_BORDER.test(line))
+  return drawn.length >= 2 && drawn.length >= lines.length * 0.5
+}
+
+/**
+ * Prose labels of one diagram line: `{ start, end, slotEnd, fixed }`.
+ * `end` is where the label text stops, `slotEnd` where the next drawn
+ * character starts; `fixed` is false when nothing follows on the line.
+ */
+export function findLabels(line) {
+  const labels = []
+  const separators = [...line.matchAll(SEPARATOR)]
+  let runStart = 0
+
+  for (const separator of [...separators, { index: line.length, 0: '' }]) {
+    const run = line.slice(runStart, separator.index)
+    const trimmed = run.trim()
+    if (/\p{L}/u.test(trimmed) && !CODE_LIKE.test(trimmed)) {
+      const start = runStart + run.indexOf(trimmed)
+      const end = start + trimmed.length
+      const rest = line.slice(end)
+      const padding = rest.length - rest.trimStart().length
+      labels.push({ start, end, slotEnd: end + padding, fixed: rest.trim() !== '' })
+    }
+    runStart = separator.index + separator[0].length
+  }
+
+  return labels
+}
+
+/**
+ * Fit a translated label into the slot of the English one (label plus
+ * the spaces after it). Returns null when it does not fit.
+ */
+export function fitLabel(translated, slot, fixed) {
+  const label = translated.replace(/\s*\n\s*/g, ' ').trim()
+  if (!fixed) return label
+
+  const width = displayWidth(slot)
+  const gap = slot.length - slot.trimEnd().length > 0 ? 1 : 0
+  const labelWidth = displayWidth(label)
+  if (labelWidth + gap > width) return null
+  return label + ' '.repeat(width - labelWidth)
+}
+
+/**
+ * Display width of each line of a diagram that ends in a border, by line
+ * index; the lines whose alignment matters
+ */
+export function getBorderWidths(code) {
+  const widths = new Map()
+  code.split('\n').forEach((line, i) => {
+    const last = line.trimEnd().slice(-1)
+    if (last && (BOX_CHAR.test(last) || last === '|' || last === '+')) {
+      widths.set(i, displayWidth(line.trimEnd()))
+    }
+  })
+  return widths
+}
@@ -0,0 +1,291 @@
+/**
+ * Translation Exchange
+ * XLIFF 1.2 and gettext PO files for translators working in CAT tools
+ *
+ * Every translatable segment of a page (lib/segmenter.mjs) becomes one
+ * unit. Units are grouped by page and identified by the hash of their
+ * English text (the segment hash of the lockfile), with `-2`, `-3`… for a
+ * text repeated on the same page:
+ *
+ *   { page: 'guide/css/index.md', id: '3f2a9c0d12345678', line: 12,
+ *     context: 'heading (h2)', source: '…', target: '…', maxWidth }
+ *
+ * XLIFF keeps one <file> per page (`original` is the page) and puts the
+ * context in a <note>. PO entries carry the page and id in msgctxt
+ * (`guide/css/index.md#3f2a9c0d12345678`), the source line as a `#:`
+ * reference and the context as a `#.` comment.
+ *
+ * Units hold the markdown of the segment as it is: inline code, link
+ * targets and HTML tags must come back unchanged, which checkTarget()
+ * verifies before a translation is imported.
+ */
+
+import { hashText } from './lockfile.mjs'
+import { displayWidth, fitLabel } from './diagrams.mjs'
+
+export const EXCHANGE_FORMATS = {
+  xliff: { extension: '.xlf', name: 'XLIFF 1.2' },
+  po: { extension: '.po', name: 'gettext PO' },
+}
+
+// Markup a translation must keep: [what, pattern, value of a match]
+const STRUCTURE = [
+  ['inline code', /`[^`\n]+`/g, match => match[0]],
+  ['link target', /\]\(([^)\s]+)[^)]*\)/g, match => match[1]],
+  ['HTML tag', /<\/?[A-Za-z][\w.-]*/g, match => `${match[0]}>`],
+  ['interpolation', /\{\{[\s\S]*?\}\}/g, match => match[0]],
+]
+
+/**
+ * What a segment is, for the translator
+ */
+function describeSegment(part) {
+  if (part.frontmatter) return `frontmatter ${part.frontmatter}`
+  if (part.heading) return `heading (h${part.heading.level})`
+  if (part.cell) return 'table cell'
+  if (part.container) return `${part.container} title`
+  if (part.component) return `<${part.component}> ${part.prop ? `${part.prop} prop` : `${part.slot} slot`}`
+  if (part.comment) return 'code comment'
+  if (part.diagram) return 'diagram label'
+  return 'text'
+}
+
+/**
+ * Columns a diagram label may take: its slot, less the space that must
+ * stay before the next border (see fitLabel() in lib/diagrams.mjs)
+ */
+function getMaxWidth(part) {
+  return displayWidth(part.content) - (part.content.endsWith(' ') ? 1 : 0)
+}
+
+/**
+ * Exchange units of one page from its segments
+ */
+export function getExchangeUnits(page, source, parts) {
+  const seen = new Map()
+  return parts.filter(part => part.translate).map((part) => {
+    const hash = hashText(part.text)
+    const count = (seen.get(hash) || 0) + 1
+    seen.set(hash, count)
+
+    const unit = {
+      page,
+      id: count === 1 ? hash : `${hash}-${count}`,
+      line: source.slice(0, part.start).split('\n').length,
+      context: describeSegment(part),
+      source: part.text,
+    }
+    // Diagram labels are padded back into a fixed number of columns
+    if (part.diagram && part.fixed) unit.maxWidth = getMaxWidth(part)
+    return unit
+  })
+}
+
+/**
+ * Segment hash a unit id stands for
+ */
+export function getUnitHash(id) {
+  return id.replace(/-\d+$/, '')
+}
+
+/**
+ * Problems that keep a translated unit from being imported: markup that
+ * went missing or was added, or a diagram label that does not fit
+ */
+export function checkTarget(part, target) {
+  const problems = []
+
+  for (const [what, pattern, toValue] of STRUCTURE) {
+    const expected = [...part.text.matchAll(pattern)].map(toValue)
+    const found = [...target.matchAll(pattern)].map(toValue)
+    for (const value of expected) {
+      const index = found.indexOf(value)
+      if (index === -1) problems.push(`${what} ${value} missing`)
+      else found.splice(index, 1)
+    }
+    for (const value of found) problems.push(`unexpected ${what} ${value}`)
+  }
+
+  if (part.diagram && fitLabel(target, part.content, part.fixed) === null) {
+    problems.push(`does not fit the diagram (${getMaxWidth(part)} columns)`)
+  }
+  return problems
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => escapeXml(data))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+function getAttribute(attrs, name) {
+  const match = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`))
+  return match ? unescapeXml(match[1] ?? match[2]) : null
+}
+
+/**
+ * XLIFF 1.2 document for `units` (grouped by page, in order)
+ */
+export function formatXliff(units, { sourceLanguage, targetLanguage }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+  ]
+  const pages = new Map()
+  for (const unit of units) {
+    if (!pages.has(unit.page)) pages.set(unit.page, [])
+    pages.get(unit.page).push(unit)
+  }
+
+  for (const [page, pageUnits] of pages) {
+    lines.push(`  <file original="${escapeXml(page)}" source-language="${sourceLanguage}" target-language="${targetLanguage}" datatype="x-markdown">`)
+    lines.push('    <body>')
+    for (const unit of pageUnits) {
+      const width = unit.maxWidth ? ` maxwidth="${unit.maxWidth}" size-unit="char"` : ''
+      lines.push(`      <trans-unit id="${unit.id}"${width}>`)
+      lines.push(`        <source xml:space="preserve">${escapeXml(unit.source)}</source>`)
+      if (unit.target) lines.push(`        <target xml:space="preserve">${escapeXml(unit.target)}</target>`)
+      lines.push(`        <note from="context">Line ${unit.line}: ${escapeXml(unit.context)}</note>`)
+      lines.push('      </trans-unit>')
+    }
+    lines.push('    </body>')
+    lines.push('  </file>')
+  }
+
+  lines.push('</xliff>', '')
+  return lines.join('\n')
+}
+
+/**
+ * Units of an XLIFF 1.2 document. `target` is null for untranslated units
+ * and for targets holding inline elements other than <mrk>, which are
+ * listed in `problem`.
+ */
+export function parseXliff(xml) {
+  const units = []
+  let targetLanguage = null
+
+  for (const file of xml.matchAll(/<file\b([^>]*)>([\s\S]*?)<\/file>/g)) {
+    const page = getAttribute(file[1], 'original')
+    targetLanguage ??= getAttribute(file[1], 'target-language')
+
+    for (const unit of file[2].matchAll(/<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g)) {
+      const source = unit[2].match(/<source\b[^>]*>([\s\S]*?)<\/source>/)
+      const target = unit[2].match(/<target\b[^>]*>([\s\S]*?)<\/target>/)
+      const entry = {
+        page,
+        id: getAttribute(unit[1], 'id'),
+        source: source ? unescapeXml(source[1]) : '',
+        target: null,
+      }
+
+      const text = target?.[1].replace(/<\/?mrk\b[^>]*>/g, '')
+      if (text && /<[A-Za-z/]/.test(text.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, ''))) entry.problem = 'target has inline XLIFF elements'
+      else if (text?.trim()) entry.target = unescapeXml(text)
+      units.push(entry)
+    }
+  }
+
+  return { targetLanguage, units }
+}
+
+function quotePo(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\n/g, '\\n')}"`
+}
+
+/**
+ * A PO keyword and its string, split after each newline like msgmerge does
+ */
+function formatPoString(keyword, text) {
+  const lines = text.split(/(?<=\n)/).filter(Boolean)
+  if (lines.length <= 1) return `${keyword} ${quotePo(text)}`
+  return [`${keyword} ""`, ...lines.map(quotePo)].join('\n')
+}
+
+/**
+ * gettext PO catalog for `units`
+ */
+export function formatPo(units, { targetLanguage, project }) {
+  const header = [
+    `Project-Id-Version: ${project}`,
+    `Language: ${targetLanguage}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+  ].join('\n')
+  const entries = [`msgid ""\n${formatPoString('msgstr', header)}`]
+
+  for (const unit of units) {
+    entries.push([
+      `#. ${unit.context}${unit.maxWidth ? `, at most ${unit.maxWidth} columns` : ''}`,
+      `#: docs/${unit.page}:${unit.line}`,
+      `msgctxt ${quotePo(`${unit.page}#${unit.id}`)}`,
+      formatPoString('msgid', unit.source),
+      formatPoString('msgstr', unit.target || ''),
+    ].join('\n'))
+  }
+
+  return entries.join('\n\n') + '\n'
+}
+
+function unquotePo(text) {
+  return text.slice(1, -1).replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t' })[char] ?? char)
+}
+
+/**
+ * Units of a PO catalog. Fuzzy entries count as untranslated; entries
+ * without a `page#id` msgctxt are skipped.
+ */
+export function parsePo(text) {
+  const units = []
+  let targetLanguage = null
+
+  for (const block of text.split(/\r?\n\s*\r?\n/)) {
+    const fields = {}
+    let current = null
+    let fuzzy = false
+
+    for (const line of block.split(/\r?\n/)) {
+      if (/^#,.*\bfuzzy\b/.test(line)) fuzzy = true
+      if (line.startsWith('#')) continue
+      const match = line.match(/^(msgctxt|msgid|msgstr)\s+(".*")\s*$/)
+      if (match) {
+        current = match[1]
+        fields[current] = unquotePo(match[2])
+      } else if (current && /^".*"\s*$/.test(line.trim())) {
+        fields[current] += unquotePo(line.trim())
+      }
+    }
+
+    if (fields.msgid === '' && fields.msgstr !== undefined) {
+      targetLanguage ??= fields.msgstr.match(/^Language:\s*(\S+)/m)?.[1] ?? null
+      continue
+    }
+    const context = fields.msgctxt?.match(/^(.+)#([\w-]+)$/)
+    if (!context || fields.msgid === undefined) continue
+
+    units.push({
+      page: context[1],
+      id: context[2],
+      source: fields.msgid,
+      target: !fuzzy && fields.msgstr?.trim() ? fields.msgstr : null,
+    })
+  }
+
+  return { targetLanguage, units }
+}
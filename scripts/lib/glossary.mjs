@@ -0,0 +1,129 @@
+/**
+ * Terminology Glossary
+ * Forced term translations and do-not-translate terms per language
+ *
+ * glossary/common.json holds terms protected in every language,
+ * glossary/{lang}.json adds language-specific entries:
+ *
+ *   {
+ *     "protected": ["React", "useState", "Flexbox"],
+ *     "terms": { "How the Web Works": "របៀបដែលវេបដំណើរការ" }
+ *   }
+ *
+ * Before text goes to the provider, matching terms are swapped for
+ * placeholder tokens (lib/placeholders.mjs); afterwards protected terms
+ * come back as written and forced terms as their glossary translation.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { segmentMarkdown } from './segmenter.mjs'
+import { protect, restoreTokens } from './placeholders.mjs'
+
+export const GLOSSARY_DIR = 'glossary'
+
+async function readGlossaryFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return {}
+    throw new Error(`Invalid glossary ${filePath}: ${error.message}`)
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Load the merged glossary for a language
+ */
+export async function loadGlossary(lang, dir = GLOSSARY_DIR) {
+  const common = await readGlossaryFile(path.join(dir, 'common.json'))
+  const own = await readGlossaryFile(path.join(dir, `${lang}.json`))
+
+  const protectedTerms = [...new Set([...(common.protected || []), ...(own.protected || [])])]
+  const terms = { ...(common.terms || {}), ...(own.terms || {}) }
+
+  // Longest first, so "Node.js" wins over "Node" and "Web Accessibility" over "Web"
+  const entries = [
+    ...protectedTerms.map(term => ({ term, replacement: term })),
+    ...Object.entries(terms).map(([term, replacement]) => ({ term, replacement })),
+  ].sort((a, b) => b.term.length - a.term.length)
+
+  // Terms are matched case-sensitively as whole words
+  const pattern = entries.length > 0
+    ? new RegExp(`(?<![\\w-])(${entries.map(e => escapeRegExp(e.term)).join('|')})(?![\\w-])`, 'g')
+    : null
+
+  return {
+    lang,
+    protected: protectedTerms,
+    terms,
+    pattern,
+    replacements: new Map(entries.map(e => [e.term, e.replacement])),
+  }
+}
+
+/**
+ * Replace glossary terms with placeholder tokens, recording each
+ * replacement in `matches` for restoreTerms(). `matches` may be shared
+ * with other protected values of the same text.
+ */
+export function protectTerms(text, glossary, matches) {
+  if (!glossary?.pattern) return text
+  return protect(text, glossary.pattern, matches, term => glossary.replacements.get(term))
+}
+
+/**
+ * Put protected terms and forced translations back
+ */
+export function restoreTerms(text, matches) {
+  return restoreTokens(text, matches)
+}
+
+function countOccurrences(text, term) {
+  const pattern = new RegExp(`(?<![\\w-])${escapeRegExp(term)}(?![\\w-])`, 'g')
+  return (text.match(pattern) || []).length
+}
+
+/**
+ * Page prose only: code blocks, HTML blocks and inline code stay English
+ */
+function getProse(content) {
+  return segmentMarkdown(content)
+    .filter(part => part.type !== 'code' && part.type !== 'html')
+    .map(part => part.content.replace(/`[^`\n]+`/g, ''))
+    .join('')
+}
+
+/**
+ * Compare a source page with its translation and list glossary violations:
+ * a protected term that lost occurrences, or a forced term whose
+ * glossary translation is missing.
+ */
+export function checkGlossary(sourcePage, translatedPage, glossary) {
+  const violations = []
+  const source = getProse(sourcePage)
+  const translated = getProse(translatedPage)
+
+  for (const term of glossary.protected) {
+    const expected = countOccurrences(source, term)
+    if (expected === 0) continue
+    const found = countOccurrences(translated, term)
+    if (found < expected) {
+      violations.push({ kind: 'protected', term, expected, found })
+    }
+  }
+
+  for (const [term, translation] of Object.entries(glossary.terms)) {
+    const expected = countOccurrences(source, term)
+    if (expected === 0) continue
+    const found = translated.split(translation).length - 1
+    if (found < expected) {
+      violations.push({ kind: 'term', term, translation, expected, found })
+    }
+  }
+
+  return violations
+}
@@ -0,0 +1,186 @@
+/**
+ * Link Checker
+ * Finds links that do not resolve on the built site, in every locale
+ *
+ * Links come from
+ *   - page bodies: markdown links and images, and the href/src of HTML
+ *     blocks (code blocks are skipped)
+ *   - page frontmatter: hero.image.src, hero.actions[].link,
+ *     features[].link and features[].icon.src (or icon.light / icon.dark)
+ *   - the nav and sidebar of each locale (docs/.vitepress/locales/{lang}.js)
+ *
+ * and resolve the way the site serves them, with the `/doc01/` base dropped:
+ *
+ *   pages     a .md page under docs/ (`/guide/css/`, `./02-jsx`, `page.html`)
+ *   anchors   `#slug` is a heading slug (getHeadings()) or an HTML id of
+ *             the target page
+ *   assets    any other extension: a file under docs/public or, for body
+ *             links, a file under docs/ that the build bundles
+ *
+ * Frontmatter images are handed to the browser as they are, so a relative
+ * `frameworks/html.png` resolves against the page URL: it works on `/` and
+ * breaks on `/km/`.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { glob } from 'glob'
+import { parseDocument } from 'yaml'
+import { getStructure, getHeadings, segmentMarkdown } from './segmenter.mjs'
+import { listPages, findPage, isExternalLink, getSitePath } from './links.mjs'
+import { SOURCE_LANGUAGE, getTranslatedDirs } from '../../docs/.vitepress/languages.js'
+
+export const LOCALES_DIR = 'docs/.vitepress/locales'
+
+const FRONTMATTER_RE = /^---\r?\n([\s\S]*?)\r?\n---/
+const HTML_LINK_RE = /\s(href|src)="([^"]*)"/g
+const HTML_ID_RE = /\sid="([^"]+)"/g
+
+/**
+ * Line number of an offset in `text`
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length
+}
+
+/**
+ * Line of the first occurrence of `value` in `text`, or null
+ */
+function lineOf(text, value) {
+  const offset = text.indexOf(value)
+  return offset === -1 ? null : lineAt(text, offset)
+}
+
+/**
+ * Everything the site serves: its pages (relative to docs/, for
+ * findPage()), files under docs/ and files under docs/public (as site paths)
+ */
+export async function loadSite() {
+  const toSitePath = file => `/${file.split(path.sep).join('/')}`
+  const files = await glob('docs/**/*', { nodir: true, ignore: ['docs/node_modules/**', 'docs/.vitepress/**'] })
+  return {
+    pages: new Set(await listPages('docs/**/*.md')),
+    files: new Set(files.map(file => toSitePath(path.relative('docs', file)))),
+    public: new Set(files.filter(file => file.startsWith(path.join('docs', 'public'))).map(file => toSitePath(path.relative('docs/public', file)))),
+    anchors: new Map(),
+  }
+}
+
+/**
+ * Heading slugs and HTML ids of a page, read once
+ */
+async function getAnchors(page, site) {
+  if (!site.anchors.has(page)) {
+    const source = await fs.readFile(path.join('docs', page), 'utf-8')
+    const ids = [...source.matchAll(HTML_ID_RE)].map(match => match[1])
+    site.anchors.set(page, new Set([...getHeadings(source).map(heading => heading.slug), ...ids]))
+  }
+  return site.anchors.get(page)
+}
+
+/**
+ * What is wrong with a link of `fromPage` (relative to docs/), or null.
+ * `from` is where the link was found: `body`, `frontmatter` or `nav`.
+ */
+export async function checkLink(url, fromPage, from, site) {
+  if (!url || url === '#' || (isExternalLink(url) && !url.startsWith('#'))) return null
+
+  const [, target, hash = ''] = url.match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/)
+  const sitePath = target ? getSitePath(target, fromPage) : null
+  const extension = sitePath ? path.posix.extname(sitePath) : ''
+
+  if (extension && extension !== '.md' && extension !== '.html') {
+    if (site.public.has(sitePath)) return null
+    if (from === 'body' && site.files.has(sitePath)) return null
+    return from === 'body' ? 'file not found' : `${sitePath} not found in docs/public`
+  }
+
+  const page = sitePath ? findPage(sitePath, site.pages) : fromPage
+  if (!page) return sitePath === target ? 'page not found' : `page not found (${sitePath})`
+  if (!hash) return null
+
+  const anchor = decodeURIComponent(hash)
+  return (await getAnchors(page, site)).has(anchor) ? null : `no #${anchor} in docs/${page}`
+}
+
+/**
+ * Links of a page: `{ line, url, from }`
+ */
+export function getPageLinks(source) {
+  const links = []
+  const structure = getStructure(source)
+  for (const { line, url } of [...structure.links, ...structure.images]) {
+    links.push({ line, url, from: 'body' })
+  }
+
+  for (const segment of segmentMarkdown(source)) {
+    if (segment.type !== 'html') continue
+    for (const match of segment.content.matchAll(HTML_LINK_RE)) {
+      links.push({ line: lineAt(source, segment.start + match.index), url: match[2], from: 'body' })
+    }
+  }
+
+  const frontmatter = source.match(FRONTMATTER_RE)
+  const data = frontmatter ? parseDocument(frontmatter[1]).toJS() : null
+  if (data && typeof data === 'object') {
+    const { hero = {}, features = [] } = data
+    const icons = icon => (icon && typeof icon === 'object' ? [icon.src, icon.light, icon.dark] : [])
+    const urls = [
+      hero?.image?.src,
+      ...(hero?.actions || []).map(action => action?.link),
+      ...(Array.isArray(features) ? features : []).flatMap(feature => [feature?.link, ...icons(feature?.icon)]),
+    ]
+    for (const url of urls.filter(url => typeof url === 'string')) {
+      links.push({ line: lineOf(frontmatter[0], url), url, from: 'frontmatter' })
+    }
+  }
+
+  return links.sort((a, b) => (a.line ?? 0) - (b.line ?? 0))
+}
+
+/**
+ * Links of a nav or sidebar tree
+ */
+function collectNavLinks(items, links = []) {
+  for (const item of items || []) {
+    if (item.link) links.push(item.link)
+    collectNavLinks(item.items, links)
+  }
+  return links
+}
+
+/**
+ * Check every page of a locale and its nav and sidebar. Returns the
+ * number of links checked and the broken ones,
+ * `{ file, line, url, problem }`, in page order.
+ */
+export async function checkLocale(lang, site) {
+  const broken = []
+  let checked = 0
+
+  const pattern = lang === SOURCE_LANGUAGE ? 'docs/**/*.md' : `docs/${lang}/**/*.md`
+  const ignore = lang === SOURCE_LANGUAGE ? getTranslatedDirs() : []
+  for (const page of (await listPages(pattern, ignore)).sort()) {
+    const file = `docs/${page}`
+    const source = await fs.readFile(file, 'utf-8')
+    for (const link of getPageLinks(source)) {
+      checked++
+      const problem = await checkLink(link.url, page, link.from, site)
+      if (problem) broken.push({ file, line: link.line, url: link.url, problem })
+    }
+  }
+
+  const navFile = `${LOCALES_DIR}/${lang}.js`
+  const navSource = await fs.readFile(navFile, 'utf-8')
+  const { nav = [], sidebar = {} } = await import(pathToFileURL(navFile).href)
+  const homePage = lang === SOURCE_LANGUAGE ? 'index.md' : `${lang}/index.md`
+  const navLinks = new Set([...collectNavLinks(nav), ...Object.values(sidebar).flatMap(items => collectNavLinks(items))])
+  for (const url of navLinks) {
+    checked++
+    const problem = await checkLink(url, homePage, 'nav', site)
+    if (problem) broken.push({ file: navFile, line: lineOf(navSource, `'${url}'`), url, problem })
+  }
+
+  return { checked, broken }
+}
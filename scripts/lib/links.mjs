@@ -0,0 +1,164 @@
+/**
+ * Internal Links
+ * Points the links of a translated page at the same language
+ *
+ * A link to another page of the site is rewritten when that page has a
+ * translation (on disk, or being written in the same run):
+ *
+ *   /guide/css/             -> /km/guide/css/
+ *   /doc01/guide/css/       -> /doc01/km/guide/css/
+ *   ./02-jsx                -> ./02-jsx                (already inside /km/)
+ *
+ * Without a translation the link keeps pointing at the English page
+ * (relative links become absolute so they leave /km/), and the caller is
+ * told so it can warn. External links, anchors and assets are untouched.
+ *
+ * Markdown links in the text go through localizeLinks(); the page links of
+ * the frontmatter (FRONTMATTER_LINK_KEYS, the home page's hero buttons and
+ * feature cards) through localizeFrontmatterLinks().
+ */
+
+import path from 'path'
+import { glob } from 'glob'
+import { getFrontmatterScalars } from './segmenter.mjs'
+import { getTranslatedDirs } from '../../docs/.vitepress/languages.js'
+
+// `base` in docs/.vitepress/config.ts
+export const SITE_BASE = '/doc01/'
+
+// Inline code spans are skipped; labels may hold one level of brackets,
+// and `[text](url "title")` keeps its title
+const LINK_PATTERN = /(`+)[\s\S]*?\1|(!?)\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*([^)\s]+)(\s+"[^"]*")?\s*\)/g
+
+// Frontmatter values that link to a page (VitePress home layout)
+export const FRONTMATTER_LINK_KEYS = ['hero.actions[].link', 'features[].link']
+
+/**
+ * Pages of the site, relative to docs/ (`guide/css/index.md`)
+ */
+export async function listPages(pattern, ignore = []) {
+  const files = await glob(pattern, {
+    ignore: ['docs/node_modules/**', 'docs/.vitepress/**', ...ignore],
+  })
+  return files.map(file => file.split(path.sep).join('/').replace(/^docs\//, ''))
+}
+
+/**
+ * English pages plus the pages translated to `lang`. `sourceFiles` are the
+ * pages this run translates, which count as translated already.
+ */
+export async function loadLinkTargets(lang, sourceFiles = []) {
+  const pages = new Set(await listPages('docs/**/*.md', getTranslatedDirs()))
+  const translated = new Set((await listPages(`docs/${lang}/**/*.md`)).map(page => page.slice(lang.length + 1)))
+  for (const file of sourceFiles) {
+    translated.add(file.split(path.sep).join('/').replace(/^docs\//, ''))
+  }
+  return { lang, pages, translated }
+}
+
+/**
+ * The page a site path points at (`/guide/css/` -> `guide/css/index.md`)
+ */
+export function findPage(sitePath, pages) {
+  const clean = sitePath.replace(/^\//, '').replace(/\.(md|html)$/, '')
+  const candidates = clean === '' || clean.endsWith('/')
+    ? [`${clean}index.md`]
+    : [`${clean}.md`, `${clean}/index.md`]
+  return candidates.find(page => pages.has(page)) || null
+}
+
+/**
+ * Whether a link leaves the site or stays on the page: `https:`,
+ * `mailto:`, `//cdn…`, `#anchor`
+ */
+export function isExternalLink(url) {
+  return /^[a-z][a-z\d+.-]*:|^\/\/|^#/i.test(url)
+}
+
+/**
+ * Site path of a link target (no query or hash) found in `fromPage`
+ * (relative to docs/): the base is dropped and relative links resolved
+ */
+export function getSitePath(target, fromPage) {
+  if (target.startsWith('/')) {
+    return target.startsWith(SITE_BASE) ? `/${target.slice(SITE_BASE.length)}` : target
+  }
+  const sitePath = path.posix.join(path.posix.dirname(`/${fromPage}`), target)
+  return target.endsWith('/') && !sitePath.endsWith('/') ? `${sitePath}/` : sitePath
+}
+
+/**
+ * Resolve a link found in `fromPage` (relative to docs/). Returns null for
+ * external links, bare anchors and anything that is not a page.
+ */
+export function resolveLink(url, fromPage, pages) {
+  if (isExternalLink(url)) return null
+
+  const [, target, suffix] = url.match(/^([^?#]*)(.*)$/)
+  const sitePath = getSitePath(target, fromPage)
+  const page = findPage(sitePath, pages)
+  return page ? { page, sitePath, suffix, relative: !target.startsWith('/'), hasBase: target.startsWith(SITE_BASE) } : null
+}
+
+/**
+ * What a link of `fromPage` (the English page, relative to docs/) points
+ * at, the same before and after localizeLink(): relative links resolved,
+ * the base and the `lang` prefix dropped. External links and anchors
+ * come back as they are.
+ */
+export function getLinkPath(url, fromPage, lang) {
+  if (isExternalLink(url)) return url
+
+  const [, target, suffix] = url.match(/^([^?#]*)(.*)$/)
+  let sitePath = getSitePath(target, fromPage)
+  if (sitePath.startsWith(`/${lang}/`)) sitePath = sitePath.slice(lang.length + 1)
+  return sitePath + suffix
+}
+
+/**
+ * Rewrite one link for `targets.lang`. Returns { url, missing } where
+ * `missing` is the page that has no translation yet.
+ */
+export function localizeLink(url, fromPage, targets) {
+  const link = resolveLink(url, fromPage, targets.pages)
+  if (!link) return { url, missing: null }
+
+  if (!targets.translated.has(link.page)) {
+    return { url: link.relative ? link.sitePath + link.suffix : url, missing: link.page }
+  }
+  if (link.relative) return { url, missing: null }
+
+  const prefix = link.hasBase ? SITE_BASE : '/'
+  return { url: `${prefix}${targets.lang}${link.sitePath}${link.suffix}`, missing: null }
+}
+
+/**
+ * Rewrite every markdown link (not images) in translated text. Pages
+ * without a translation are added to `missing`.
+ */
+export function localizeLinks(text, fromPage, targets, missing = []) {
+  return text.replace(LINK_PATTERN, (match, code, bang, label, url, title = '') => {
+    if (code || bang) return match
+    const result = localizeLink(url, fromPage, targets)
+    if (result.missing) missing.push(result.missing)
+    return `[${label}](${result.url}${title})`
+  })
+}
+
+/**
+ * Rewrite the page links of the frontmatter (FRONTMATTER_LINK_KEYS) of a
+ * page. Pages without a translation are added to `missing` as
+ * `{ url, page, offset }`, with the offset of the link in `source`.
+ */
+export function localizeFrontmatterLinks(source, fromPage, targets, missing = []) {
+  let result = source
+  // From the end, so the earlier offsets stay valid
+  for (const { value, start, end } of getFrontmatterScalars(source, FRONTMATTER_LINK_KEYS).reverse()) {
+    const written = source.slice(start, end)
+    const link = localizeLink(value, fromPage, targets)
+    if (link.missing) missing.unshift({ url: value, page: link.missing, offset: start })
+    if (link.url === value || !written.includes(value)) continue
+    result = result.slice(0, start) + written.replace(value, link.url) + result.slice(end)
+  }
+  return result
+}
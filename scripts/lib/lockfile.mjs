@@ -0,0 +1,212 @@
+/**
+ * Translation Lockfile
+ * Tracks which English source each translated page was built from
+ *
+ * One lockfile per language at docs/{lang}/translation.lock.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "files": {
+ *       "guide/css/index.md": {
+ *         "sourceHash": "…",          // hash of the whole English page
+ *         "outputHash": "…",          // hash of the page we wrote
+ *         "segments": [{ "hash", "layout", "start", "end" }],
+ *         "missingLinks": ["guide/css/02-colors.md"]   // only when some
+ *       }
+ *     }
+ *   }
+ *
+ * Each segment hash is taken over the English text of one translatable
+ * segment; start/end locate its translation in the written page. On the
+ * next run unchanged segments are copied from the existing page and only
+ * new or edited ones go to the provider.
+ *
+ * A copied translation keeps the layout it was written with (heading
+ * anchor, table-cell escaping, indentation), so `layout` hashes that
+ * layout (getLayoutKey() in lib/segmenter.mjs) and a segment is only
+ * reused where the layout is still the same.
+ *
+ * `missingLinks` are the pages the translation links to in English because
+ * they had no translation yet. Once one of them is translated the page is
+ * stale even though its English did not change, and the next run rewrites
+ * it from the reused segments with the links pointed at the new page.
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { restoreLayout, getLayoutKey } from './segmenter.mjs'
+
+const LOCKFILE_VERSION = 1
+
+/**
+ * Short, stable content hash
+ */
+export function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16)
+}
+
+/**
+ * Lockfile key for a source page: path relative to docs/, with `/`
+ */
+export function getSourceKey(sourcePath) {
+  return path.relative('docs', sourcePath).split(path.sep).join('/')
+}
+
+export function getLockfilePath(lang) {
+  return path.join('docs', lang, 'translation.lock.json')
+}
+
+export async function loadLockfile(lang) {
+  try {
+    const lock = JSON.parse(await fs.readFile(getLockfilePath(lang), 'utf-8'))
+    if (lock.version === LOCKFILE_VERSION) return lock
+  } catch {
+    // Missing or unreadable lockfile, start fresh
+  }
+  return { version: LOCKFILE_VERSION, files: {} }
+}
+
+export async function saveLockfile(lang, lock) {
+  const lockPath = getLockfilePath(lang)
+  await fs.mkdir(path.dirname(lockPath), { recursive: true })
+  await fs.writeFile(lockPath, JSON.stringify(lock, null, 2) + '\n', 'utf-8')
+}
+
+/**
+ * Read a file, or return null when it does not exist
+ */
+export async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Map of segment hash -> `[{ layout, text }]`, the translations from the
+ * previous run. Empty when the page was changed by hand since it was
+ * written, because the recorded offsets no longer point at the right text.
+ */
+export function getReusableTranslations(entry, output) {
+  const reuse = new Map()
+  if (!entry || output === null || hashText(output) !== entry.outputHash) return reuse
+
+  for (const { hash, layout, start, end } of entry.segments) {
+    if (!reuse.has(hash)) reuse.set(hash, [])
+    reuse.get(hash).push({ layout, text: output.slice(start, end) })
+  }
+  return reuse
+}
+
+/**
+ * Take the previous translation of `part` out of `reuse`, or undefined
+ * when there is none with the same layout
+ */
+function takeReusable(reuse, part, layout) {
+  const previous = reuse.get(hashText(part.text)) || []
+  const index = previous.findIndex(candidate => candidate.layout === layout)
+  return index === -1 ? undefined : previous.splice(index, 1)[0].text
+}
+
+/**
+ * Pages among the entry's `missingLinks` that `translated` (page paths
+ * relative to docs/, see loadLinkTargets() in lib/links.mjs) now has
+ */
+export function getTranslatedLinks(entry, translated) {
+  return (entry?.missingLinks || []).filter(page => translated.has(page))
+}
+
+/**
+ * Compare a source page with its lock entry without translating anything.
+ * `translated` is the set of pages with a translation, for the links.
+ *
+ * Status is one of:
+ *   missing    no translated page yet
+ *   untracked  translated page exists but has no lock entry
+ *   modified   translated page was edited after it was written
+ *   stale      English source changed since the last translation, or a
+ *              page it links to in English has been translated since
+ *   current    up to date
+ */
+export function getFileStatus(source, parts, entry, output, translated = new Set()) {
+  if (output === null) return { status: 'missing', changed: 0, links: 0 }
+  if (!entry) return { status: 'untracked', changed: 0, links: 0 }
+  if (hashText(output) !== entry.outputHash) return { status: 'modified', changed: 0, links: 0 }
+
+  const links = getTranslatedLinks(entry, translated).length
+  if (hashText(source) === entry.sourceHash) {
+    return { status: links > 0 ? 'stale' : 'current', changed: 0, links }
+  }
+  return { status: 'stale', changed: getChangedParts(parts, entry.segments.map(({ hash }) => hash)).length, links }
+}
+
+/**
+ * Translatable parts whose English is not among `hashes` (each hash
+ * counts once, so a repeated paragraph needs as many matches)
+ */
+export function getChangedParts(parts, hashes) {
+  const known = new Map()
+  for (const hash of hashes) known.set(hash, (known.get(hash) || 0) + 1)
+
+  return parts.filter((part) => {
+    if (!part.translate) return false
+    const hash = hashText(part.text)
+    if (!known.get(hash)) return true
+    known.set(hash, known.get(hash) - 1)
+    return false
+  })
+}
+
+/**
+ * Assemble a translated page from segments, reusing previous translations
+ * by hash and layout and calling `translate(text, part)` for the rest. Translations are
+ * requested all at once; the provider's scheduler decides how many run.
+ * A reused translation goes through `refresh(text, part)` when given.
+ * Returns the page plus the segment records for the lockfile.
+ */
+export async function renderTranslation(parts, reuse, translate, refresh = text => text) {
+  let reused = 0
+  let translated = 0
+
+  const texts = await Promise.all(parts.map(async (part) => {
+    if (!part.translate) return part.content
+
+    const text = takeReusable(reuse, part, hashText(getLayoutKey(part)))
+    if (text !== undefined) {
+      reused++
+      return refresh(text, part)
+    }
+    translated++
+    return restoreLayout(part, await translate(part.text, part))
+  }))
+
+  let output = ''
+  const segments = []
+  parts.forEach((part, i) => {
+    if (part.translate) {
+      segments.push({
+        hash: hashText(part.text),
+        layout: hashText(getLayoutKey(part)),
+        start: output.length,
+        end: output.length + texts[i].length,
+      })
+    }
+    output += texts[i]
+  })
+
+  return { output, segments, reused, translated }
+}
+
+/**
+ * Build the lock entry for a page that was just written
+ */
+export function createLockEntry(source, result) {
+  return {
+    sourceHash: hashText(source),
+    outputHash: hashText(result.output),
+    segments: result.segments,
+    ...(result.missingLinks?.length > 0 && { missingLinks: result.missingLinks }),
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Translation Memory
+ * Persistent store of every translation the scripts have received
+ *
+ * Entries are appended to .translation-cache/memory.jsonl, one JSON object
+ * per line:
+ *
+ *   { "hash", "lang", "provider", "source", "target", "createdAt" }
+ *
+ * `hash` is taken over the full source text, so two paragraphs that only
+ * share their opening words never collide. Entries are keyed by
+ * hash + language + provider; a Google translation is not served when the
+ * run uses another provider.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { hashText } from './lockfile.mjs'
+
+export const DEFAULT_MEMORY_DIR = '.translation-cache'
+const MEMORY_FILE = 'memory.jsonl'
+
+function getKey(hash, lang, provider) {
+  return `${hash}:${lang}:${provider}`
+}
+
+/**
+ * Character bigrams of a normalized string, for fuzzy matching
+ */
+function getBigrams(text) {
+  const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim()
+  const bigrams = new Map()
+  for (let i = 0; i < normalized.length - 1; i++) {
+    const bigram = normalized.slice(i, i + 2)
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1)
+  }
+  return bigrams
+}
+
+/**
+ * Dice coefficient of two texts (1 = identical, 0 = nothing in common)
+ */
+export function similarity(a, b) {
+  if (a === b) return 1
+  const bigramsA = getBigrams(a)
+  const bigramsB = getBigrams(b)
+  let total = 0
+  let shared = 0
+
+  for (const count of bigramsA.values()) total += count
+  for (const [bigram, count] of bigramsB) {
+    total += count
+    shared += Math.min(count, bigramsA.get(bigram) || 0)
+  }
+
+  return total === 0 ? 0 : (2 * shared) / total
+}
+
+/**
+ * Load the translation memory from disk
+ */
+export async function openMemory(dir = DEFAULT_MEMORY_DIR) {
+  const filePath = path.join(dir, MEMORY_FILE)
+  const entries = new Map()
+
+  try {
+    const content = await fs.readFile(filePath, 'utf-8')
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue
+      try {
+        const entry = JSON.parse(line)
+        entries.set(getKey(entry.hash, entry.lang, entry.provider), entry)
+      } catch {
+        // Skip a line left half-written by an interrupted run
+      }
+    }
+  } catch {
+    // No memory yet
+  }
+
+  return {
+    filePath,
+    entries,
+
+    /**
+     * Exact match on the full source text
+     */
+    get(source, lang, provider) {
+      return entries.get(getKey(hashText(source), lang, provider))?.target
+    },
+
+    /**
+     * Best match at or above `threshold` similarity, or null.
+     * Exact matches score 1.
+     */
+    findFuzzy(source, lang, provider, threshold = 0.8) {
+      const exact = entries.get(getKey(hashText(source), lang, provider))
+      if (exact) return { entry: exact, score: 1 }
+
+      let best = null
+      for (const entry of entries.values()) {
+        if (entry.lang !== lang || entry.provider !== provider) continue
+        // Texts of very different length cannot reach the threshold
+        const ratio = entry.source.length / source.length
+        if (ratio < threshold / (2 - threshold) || ratio > (2 - threshold) / threshold) continue
+
+        const score = similarity(source, entry.source)
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { entry, score }
+        }
+      }
+      return best
+    },
+
+    /**
+     * Store a translation and append it to disk right away,
+     * so an interrupted run keeps everything translated so far
+     */
+    async set(source, lang, provider, target) {
+      const hash = hashText(source)
+      const key = getKey(hash, lang, provider)
+      if (entries.get(key)?.target === target) return
+
+      const entry = { hash, lang, provider, source, target, createdAt: new Date().toISOString() }
+      entries.set(key, entry)
+      await fs.mkdir(dir, { recursive: true })
+      await fs.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf-8')
+    },
+
+    /**
+     * Drop entries whose source hash is not in `usedHashes` and
+     * rewrite the file. Returns the number of removed entries.
+     */
+    async prune(usedHashes) {
+      let removed = 0
+      for (const [key, entry] of entries) {
+        if (!usedHashes.has(entry.hash)) {
+          entries.delete(key)
+          removed++
+        }
+      }
+      await this.save()
+      return removed
+    },
+
+    /**
+     * Rewrite the whole file (also drops superseded duplicate lines)
+     */
+    async save() {
+      const lines = [...entries.values()].map(entry => JSON.stringify(entry) + '\n')
+      await fs.mkdir(dir, { recursive: true })
+      await fs.writeFile(filePath, lines.join(''), 'utf-8')
+    },
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Placeholder Tokens
+ * Protects inline code, HTML, links and glossary terms while text is at
+ * the translation provider
+ *
+ * Protected spans are swapped for `⟦n⟧` tokens, where n indexes the
+ * `values` array that holds what the token stands for. Translators leave
+ * bracketed numbers alone far more reliably than `__INLINE_CODE_0__`
+ * style markers, which tend to be translated, re-cased or split.
+ *
+ * Emphasis markers (`**`, `__`, `*`, `_`) become a pair of tokens around
+ * the emphasized words, so the words are translated in context while the
+ * markers come back unchanged. A pair must stay in order, and the
+ * whitespace a translator puts inside it is dropped (`** x **` would no
+ * longer render bold).
+ *
+ * translateVerified() checks that every token sent comes back exactly
+ * once. When one is missing, duplicated or unknown it retries, then
+ * translates sentence by sentence; a sentence that still loses a token
+ * stays in English. Each fallback is returned as an issue so the caller
+ * can report the segment instead of silently keeping English.
+ */
+
+export const TOKEN_PATTERN = /⟦\s*(\d+)\s*⟧/g
+
+// Emphasis runs, innermost found on later passes. Underscores only count
+// at word boundaries (snake_case stays as it is).
+const EMPHASIS_PATTERN = /(\*\*|(?<!\w)__|\*|(?<!\w)_)(?=\S)([^\n]*?\S)\1(?!\w)/g
+
+// Sentence and line boundaries used by the sentence fallback
+const SENTENCE_BREAK = /(?<=[.!?。।៕])(?=\s)|(?<=\n)/
+
+export function formatToken(index) {
+  return `⟦${index}⟧`
+}
+
+/**
+ * Replace every match of `pattern` with a token, storing the value from
+ * `toValue(...match)` (the match itself by default) in `values`
+ */
+export function protect(text, pattern, values, toValue = match => match) {
+  return text.replace(pattern, (...match) => {
+    values.push(toValue(...match))
+    return formatToken(values.length - 1)
+  })
+}
+
+/**
+ * Replace emphasis markers with token pairs, returning `[open, close]`
+ * index pairs for translateVerified(). Run after inline code is protected.
+ */
+export function protectEmphasis(text, values, pairs) {
+  let previous
+  let processed = text
+  do {
+    previous = processed
+    processed = processed.replace(EMPHASIS_PATTERN, (match, marker, inner) => {
+      values.push(marker, marker)
+      pairs.push([values.length - 2, values.length - 1])
+      return `${formatToken(values.length - 2)}${inner}${formatToken(values.length - 1)}`
+    })
+  } while (processed !== previous)
+  return processed
+}
+
+/**
+ * Indexes of the tokens in `text`, in order of appearance
+ */
+export function findTokens(text) {
+  return [...text.matchAll(TOKEN_PATTERN)].map(match => Number(match[1]))
+}
+
+/**
+ * Compare the tokens of a translation with those of its source.
+ * Returns a message per problem, empty when every token came back once
+ * and every pair of `pairs` found in the source is still in order.
+ */
+export function checkTokens(source, translated, pairs = []) {
+  const expected = new Set(findTokens(source))
+  const counts = new Map()
+  for (const index of findTokens(translated)) {
+    counts.set(index, (counts.get(index) || 0) + 1)
+  }
+
+  const problems = []
+  for (const index of expected) {
+    const count = counts.get(index) || 0
+    if (count === 0) problems.push(`${formatToken(index)} missing`)
+    else if (count > 1) problems.push(`${formatToken(index)} repeated ${count} times`)
+  }
+  for (const index of counts.keys()) {
+    if (!expected.has(index)) problems.push(`unknown token ${formatToken(index)}`)
+  }
+  if (problems.length > 0) return problems
+
+  const order = findTokens(translated)
+  for (const [open, close] of pairs) {
+    if (expected.has(open) && expected.has(close) && order.indexOf(close) < order.indexOf(open)) {
+      problems.push(`${formatToken(close)} before ${formatToken(open)}`)
+    }
+  }
+  return problems
+}
+
+/**
+ * Drop whitespace just inside each pair: `⟦0⟧ word ⟦1⟧` -> `⟦0⟧word⟦1⟧`
+ */
+function tightenPairs(text, pairs) {
+  let tightened = text.replace(TOKEN_PATTERN, (match, index) => formatToken(index))
+  for (const [open, close] of pairs) {
+    tightened = tightened
+      .replace(new RegExp(`(${formatToken(open)})\\s+`), '$1')
+      .replace(new RegExp(`\\s+(${formatToken(close)})`), '$1')
+  }
+  return tightened
+}
+
+/**
+ * Put the protected values back. Call after checkTokens() passed.
+ */
+export function restoreTokens(text, values) {
+  return text.replace(TOKEN_PATTERN, (match, index) => values[index] ?? match)
+}
+
+/**
+ * Split text into sentences; joining the parts gives the text back
+ */
+export function splitSentences(text) {
+  return text.split(SENTENCE_BREAK).filter(Boolean)
+}
+
+/**
+ * Translate one sentence, keeping its surrounding whitespace.
+ * Returns null when the tokens do not survive.
+ */
+async function translateSentence(sentence, translate, pairs) {
+  const [, leading, body, trailing] = sentence.match(/^(\s*)([\s\S]*?)(\s*)$/)
+  if (!/\p{L}/u.test(body.replace(TOKEN_PATTERN, ''))) return sentence
+
+  const translated = (await translate(body)).trim()
+  return checkTokens(body, translated, pairs).length === 0 ? leading + translated + trailing : null
+}
+
+/**
+ * Translate text containing tokens and verify they all come back.
+ * Options: `retries` before the sentence fallback, emphasis `pairs`.
+ *
+ * Returns { text, issues }: `text` still holds tokens (restore them with
+ * restoreTokens()), `issues` lists what went wrong, empty on a clean run.
+ * Provider errors are not caught.
+ */
+export async function translateVerified(text, translate, { retries = 1, pairs = [] } = {}) {
+  const issues = []
+  let problems = []
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const translated = await translate(text)
+    problems = checkTokens(text, translated, pairs)
+    if (problems.length === 0) return { text: tightenPairs(translated, pairs), issues }
+  }
+
+  // Whole segment failed: go sentence by sentence
+  const sentences = splitSentences(text)
+  const translated = await Promise.all(sentences.map(sentence => translateSentence(sentence, translate, pairs)))
+
+  const kept = translated.filter(sentence => sentence === null).length
+  if (kept === 0) {
+    issues.push({ kind: 'sentences', message: `Tokens damaged (${problems.join(', ')}), translated sentence by sentence` })
+  } else {
+    issues.push({
+      kind: 'untranslated',
+      message: `Tokens damaged (${problems.join(', ')}), ${kept} of ${sentences.length} sentence(s) kept in English`,
+    })
+  }
+
+  return {
+    text: tightenPairs(translated.map((sentence, i) => sentence ?? sentences[i]).join(''), pairs),
+    issues,
+  }
+}
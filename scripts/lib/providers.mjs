@@ -0,0 +1,248 @@
+/**
+ * Translation Providers
+ * One interface for every translation engine used by the scripts
+ *
+ * A provider is a plain object:
+ *   { name, translate(text, { from, to }) => Promise<string> }
+ *
+ * Supported providers:
+ *   google          Google Translate (free, no API key required)
+ *   deepl           DeepL-style HTTP API (DEEPL_API_KEY)
+ *   libretranslate  LibreTranslate-compatible server, e.g. http://localhost:5000
+ *   openai          OpenAI-compatible chat completions endpoint (OPENAI_API_KEY)
+ *   pseudo          Deterministic offline pseudo-translation for testing
+ *
+ * HTTP errors are thrown with a `status` property so callers can detect
+ * rate limiting (429) the same way for every provider, plus `retryAfterMs`
+ * when the response carried a Retry-After header.
+ */
+
+import { loadTranslationConfig } from './config.mjs'
+
+export const DEFAULT_PROVIDER = 'google'
+
+/**
+ * Build an Error carrying the HTTP status of a failed provider request
+ */
+async function httpError(providerName, response) {
+  let detail = ''
+  try {
+    detail = (await response.text()).slice(0, 200)
+  } catch {
+    // Body not readable, keep the status only
+  }
+  const error = new Error(`${providerName} request failed: ${response.status} ${response.statusText} ${detail}`.trim())
+  error.status = response.status
+
+  // Retry-After is either a number of seconds or an HTTP date
+  const retryAfter = response.headers.get('retry-after')
+  if (retryAfter) {
+    const ms = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now()
+    if (ms >= 0) error.retryAfterMs = ms
+  }
+  return error
+}
+
+/**
+ * Read an API key from the environment variable named in the options
+ */
+function readApiKey(options, fallbackEnv) {
+  if (options.apiKey) return options.apiKey
+  const envName = options.apiKeyEnv || fallbackEnv
+  return envName ? process.env[envName] : undefined
+}
+
+/**
+ * readApiKey() for providers that cannot work without a key: fails when
+ * the provider is created rather than on every segment
+ */
+function requireApiKey(provider, options, fallbackEnv) {
+  const apiKey = readApiKey(options, fallbackEnv)
+  if (!apiKey) {
+    throw new Error(`${provider} provider requires an API key (set ${options.apiKeyEnv || fallbackEnv})`)
+  }
+  return apiKey
+}
+
+/**
+ * Google Translate through @vitalets/google-translate-api
+ */
+function createGoogleProvider() {
+  let translateFn = null
+
+  return {
+    name: 'google',
+    async translate(text, { to }) {
+      if (!translateFn) {
+        // Imported lazily so offline providers work without the package
+        translateFn = (await import('@vitalets/google-translate-api')).translate
+      }
+      const result = await translateFn(text, { to })
+      return result.text
+    },
+  }
+}
+
+// Registry codes (docs/.vitepress/languages.js) that DeepL spells
+// differently as a target; the rest are upper-cased (pt-BR -> PT-BR)
+const DEEPL_TARGET_CODES = {
+  zh: 'ZH-HANS',
+  'zh-CN': 'ZH-HANS',
+  'zh-TW': 'ZH-HANT',
+  en: 'EN-US',
+  pt: 'PT-PT',
+}
+
+/**
+ * DeepL language code for a registry code. Source languages are the bare
+ * language (zh-CN -> ZH).
+ */
+function deeplCode(code, { source = false } = {}) {
+  if (source) return code.split('-')[0].toUpperCase()
+  return DEEPL_TARGET_CODES[code] || code.toUpperCase()
+}
+
+/**
+ * DeepL-style HTTP API (POST form data, `DeepL-Auth-Key` header)
+ */
+function createDeepLProvider(options = {}) {
+  const endpoint = options.endpoint || 'https://api-free.deepl.com/v2/translate'
+  const apiKey = requireApiKey('deepl', options, 'DEEPL_API_KEY')
+
+  return {
+    name: 'deepl',
+    async translate(text, { from, to }) {
+      const body = new URLSearchParams({ text, target_lang: deeplCode(to) })
+      if (from) body.set('source_lang', deeplCode(from, { source: true }))
+      if (options.formality) body.set('formality', options.formality)
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { Authorization: `DeepL-Auth-Key ${apiKey}` },
+        body,
+      })
+      if (!response.ok) throw await httpError('deepl', response)
+
+      const data = await response.json()
+      return data.translations.map(t => t.text).join('')
+    },
+  }
+}
+
+/**
+ * LibreTranslate-compatible server (POST JSON to /translate)
+ */
+function createLibreTranslateProvider(options = {}) {
+  const endpoint = options.endpoint || 'http://localhost:5000/translate'
+  const apiKey = readApiKey(options, 'LIBRETRANSLATE_API_KEY')
+
+  return {
+    name: 'libretranslate',
+    async translate(text, { from, to }) {
+      const payload = { q: text, source: from || 'auto', target: to, format: 'text' }
+      if (apiKey) payload.api_key = apiKey
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      })
+      if (!response.ok) throw await httpError('libretranslate', response)
+
+      const data = await response.json()
+      return data.translatedText
+    },
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions endpoint used as a translator
+ */
+function createOpenAIProvider(options = {}) {
+  const endpoint = options.endpoint || 'https://api.openai.com/v1/chat/completions'
+  const model = options.model || 'gpt-4o-mini'
+  const apiKey = requireApiKey('openai', options, 'OPENAI_API_KEY')
+
+  return {
+    name: 'openai',
+    async translate(text, { from, to }) {
+      const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` }
+
+      const system = [
+        `Translate the user's text from ${from || 'English'} to the language with code "${to}".`,
+        'Return only the translation.',
+        'Keep markdown syntax, line breaks and tokens like ⟦0⟧ exactly as they are.',
+      ].join(' ')
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          temperature: options.temperature ?? 0,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: text },
+          ],
+        }),
+      })
+      if (!response.ok) throw await httpError('openai', response)
+
+      const data = await response.json()
+      return data.choices[0].message.content
+    },
+  }
+}
+
+// Accented look-alikes used by the pseudo provider
+const PSEUDO_CHARS = {
+  a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú', c: 'ç', n: 'ñ', y: 'ý',
+  A: 'Á', E: 'É', I: 'Í', O: 'Ó', U: 'Ú', C: 'Ç', N: 'Ñ', Y: 'Ý',
+}
+
+/**
+ * Deterministic offline provider: accents vowels and tags the language,
+ * leaving placeholder tokens untouched so restoration can be tested
+ */
+function createPseudoProvider() {
+  return {
+    name: 'pseudo',
+    async translate(text, { to }) {
+      return text
+        .split(/(⟦\d+⟧)/)
+        .map((part, i) => (i % 2 === 1 ? part : part.replace(/[a-zA-Z]/g, ch => PSEUDO_CHARS[ch] || ch)))
+        .join('')
+        .replace(/^(\s*)(\S[\s\S]*?)(\s*)$/, `$1[${to}] $2$3`)
+    },
+  }
+}
+
+export const PROVIDERS = {
+  google: createGoogleProvider,
+  deepl: createDeepLProvider,
+  libretranslate: createLibreTranslateProvider,
+  openai: createOpenAIProvider,
+  pseudo: createPseudoProvider,
+}
+
+/**
+ * Create a provider by name
+ */
+export function createProvider(name = DEFAULT_PROVIDER, options = {}) {
+  const factory = PROVIDERS[name]
+  if (!factory) {
+    throw new Error(`Unknown translation provider "${name}". Supported: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+  return factory(options)
+}
+
+/**
+ * Resolve the provider for a run: `--provider` wins, then
+ * translation.config.json `provider`, then the default (google).
+ * Provider options come from translation.config.json `providers.<name>`.
+ */
+export async function loadProvider(cliName = null) {
+  const config = await loadTranslationConfig()
+  const name = cliName || config.provider || DEFAULT_PROVIDER
+  return createProvider(name, config.providers?.[name] || {})
+}
@@ -0,0 +1,160 @@
+/**
+ * QA Report
+ * The report of scripts/test-translations.mjs and its machine-readable
+ * formats
+ *
+ * The JSON report (translation-report-YYYY-MM-DD.json, or --format json)
+ * follows scripts/schemas/qa-report.schema.json:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "timestamp": "2026-…",
+ *     "options": { "languages": ["km"], "sample": null, "failOn": "error" },
+ *     "languages": { "km": { "name": "Khmer", … } },      // languages.js entries
+ *     "summary": { "tests": 8, "passed": 7, "errors": 1, "warnings": 0, "failed": true },
+ *     "tests": [{
+ *       "id": "tableStructure", "name": "Table Structure", "severity": "error",
+ *       "passed": false,
+ *       "results": { "km": { … } },                      // per-test counts
+ *       "findings": [{ "lang": "km", "file": "docs/km/…", "line": 12,
+ *                      "severity": "error", "message": "3 columns, expected 4" }]
+ *     }]
+ *   }
+ *
+ * A test passes when it has no findings. A test that crashed has `error`
+ * and counts as failed whatever its severity. `line` is left out when a
+ * finding is about a whole file.
+ */
+
+export const REPORT_SCHEMA_VERSION = 1
+
+export const SEVERITIES = ['warning', 'error']
+
+/**
+ * Whether `severity` reaches the `failOn` threshold (`none` never does)
+ */
+export function reachesThreshold(severity, failOn) {
+  return failOn !== 'none' && SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(failOn)
+}
+
+/**
+ * Assemble the report from the test runs
+ * (`{ id, name, severity, passed, results, findings, error }`)
+ */
+export function buildReport(tests, { languages, options }) {
+  const findings = tests.flatMap(test => test.findings || [])
+  const failed = tests.some(test => test.error)
+    || findings.some(finding => reachesThreshold(finding.severity, options.failOn))
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    timestamp: new Date().toISOString(),
+    options: { languages: options.languages, sample: options.sample, failOn: options.failOn },
+    languages,
+    summary: {
+      tests: tests.length,
+      passed: tests.filter(test => test.passed).length,
+      errors: findings.filter(finding => finding.severity === 'error').length,
+      warnings: findings.filter(finding => finding.severity === 'warning').length,
+      failed,
+    },
+    tests: tests.map(({ id, name, severity, passed, results, findings = [], error }) => (
+      error ? { id, name, severity, passed: false, error, findings } : { id, name, severity, passed, results, findings }
+    )),
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function describeFinding(finding) {
+  return `${finding.file}${finding.line ? `:${finding.line}` : ''} ${finding.message}`
+}
+
+/**
+ * JUnit XML: one test suite per test, one test case per language. Findings
+ * at or above the threshold are failures; the others go to system-out.
+ */
+export function formatJunit(report) {
+  const { failOn, languages } = report.options
+  const suites = report.tests.map(test => ({
+    test,
+    cases: languages.map((lang) => {
+      const findings = test.findings.filter(finding => finding.lang === lang)
+      const failing = findings.filter(finding => reachesThreshold(finding.severity, failOn))
+      return { lang, failing, other: findings.filter(finding => !failing.includes(finding)) }
+    }),
+  }))
+  const count = (suite, pick) => suite.cases.filter(pick).length
+  const failed = suite => count(suite, ({ failing }) => !suite.test.error && failing.length > 0)
+  const errored = suite => (suite.test.error ? suite.cases.length : 0)
+  const total = pick => suites.reduce((sum, suite) => sum + pick(suite), 0)
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>']
+  lines.push(`<testsuites name="Translation QA" tests="${total(suite => suite.cases.length)}" failures="${total(failed)}" errors="${total(errored)}" timestamp="${report.timestamp}">`)
+  for (const suite of suites) {
+    const { test } = suite
+    lines.push(`  <testsuite name="${escapeXml(test.name)}" tests="${suite.cases.length}" failures="${failed(suite)}" errors="${errored(suite)}">`)
+    for (const { lang, failing, other } of suite.cases) {
+      lines.push(`    <testcase classname="${test.id}" name="${lang}">`)
+      if (test.error) {
+        lines.push(`      <error message="${escapeXml(test.error)}"/>`)
+      } else if (failing.length > 0) {
+        lines.push(`      <failure message="${failing.length} finding(s)" type="${test.severity}">${escapeXml(failing.map(describeFinding).join('\n'))}</failure>`)
+      }
+      if (other.length > 0) {
+        lines.push(`      <system-out>${escapeXml(other.map(describeFinding).join('\n'))}</system-out>`)
+      }
+      lines.push('    </testcase>')
+    }
+    lines.push('  </testsuite>')
+  }
+  lines.push('</testsuites>', '')
+  return lines.join('\n')
+}
+
+/**
+ * SARIF 2.1.0 log: one rule per test, one result per finding
+ */
+export function formatSarif(report) {
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'translation-qa',
+          rules: report.tests.map(test => ({
+            id: test.id,
+            name: test.name.replace(/\s+/g, ''),
+            shortDescription: { text: test.name },
+            defaultConfiguration: { level: test.severity },
+          })),
+        },
+      },
+      invocations: [{
+        executionSuccessful: !report.tests.some(test => test.error),
+        toolExecutionNotifications: report.tests.filter(test => test.error).map(test => ({
+          level: 'error',
+          message: { text: `${test.name}: ${test.error}` },
+        })),
+      }],
+      results: report.tests.flatMap(test => test.findings.map(finding => ({
+        ruleId: test.id,
+        level: finding.severity,
+        message: { text: finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.file },
+            ...(finding.line ? { region: { startLine: finding.line } } : {}),
+          },
+        }],
+      }))),
+    }],
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Review Status
+ * Translation metadata carried by every translated page, and the side
+ * files holding machine suggestions for pages a reviewer has checked
+ *
+ * The translators stamp each page they write with a `translation` block at
+ * the end of its frontmatter:
+ *
+ *   translation:
+ *     sourceHash: "3f2a9c…"      # English page it was built from
+ *     provider: "google"
+ *     translatedAt: "2026-…"
+ *     reviewed: false
+ *     reviewer: null
+ *
+ * Once a native speaker has checked the page it is marked reviewed
+ * (npm run review -- approve <page> --reviewer <name>, or by hand). A
+ * reviewed page is never rewritten, not even with --force: the machine
+ * translations of the segments whose English changed since the review go
+ * to <page>.suggestions.json next to it, for the reviewer to merge.
+ */
+
+import fs from 'fs/promises'
+import { parseDocument } from 'yaml'
+import { hashText, getChangedParts } from './lockfile.mjs'
+import { restoreLayout } from './segmenter.mjs'
+
+const FRONTMATTER_RE = /^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/
+const META_BLOCK_RE = /^translation:[ \t]*\r?\n(?:[ \t]+.*\r?\n)*/m
+
+/**
+ * Side file for the suggestions of a translated page
+ * (docs/km/guide/css/index.md -> docs/km/guide/css/index.suggestions.json)
+ */
+export function getSuggestionsPath(outputPath) {
+  return outputPath.replace(/\.md$/, '.suggestions.json')
+}
+
+/**
+ * The `translation` block of a translated page, or null
+ */
+export function readTranslationMeta(page) {
+  const match = page.match(FRONTMATTER_RE)
+  if (!match) return null
+  const doc = parseDocument(match[0].replace(/^---\r?\n/, '').replace(/---(?:\r?\n)?$/, ''))
+  if (doc.errors.length > 0) return null
+  const meta = doc.toJS()?.translation
+  return meta && typeof meta === 'object' ? meta : null
+}
+
+function formatMeta(meta) {
+  const value = v => (v === null || v === undefined ? 'null' : typeof v === 'string' ? JSON.stringify(v) : String(v))
+  return [
+    'translation:',
+    `  sourceHash: ${value(meta.sourceHash)}`,
+    `  provider: ${value(meta.provider)}`,
+    `  translatedAt: ${value(meta.translatedAt)}`,
+    `  reviewed: ${meta.reviewed === true}`,
+    `  reviewer: ${value(meta.reviewer)}`,
+    ...(meta.reviewedAt ? [`  reviewedAt: ${value(meta.reviewedAt)}`] : []),
+    '',
+  ].join('\n')
+}
+
+/**
+ * Insert the `translation` block before the closing `---` of the
+ * frontmatter, adding a frontmatter when the page has none.
+ * Returns the page, where the block went and its length.
+ */
+function insertMeta(page, meta) {
+  const block = formatMeta(meta)
+  const match = page.match(FRONTMATTER_RE)
+  if (!match) {
+    const insert = `---\n${block}---\n\n`
+    return { page: insert + page, at: 0, length: insert.length }
+  }
+  const at = match[0].search(/---(?:\r?\n)?$/)
+  return { page: page.slice(0, at) + block + page.slice(at), at, length: block.length }
+}
+
+/**
+ * Stamp a freshly rendered translation (see renderTranslation() in
+ * lib/lockfile.mjs) with its metadata, keeping the segment offsets right
+ */
+export function stampTranslation(result, sourceHash, provider) {
+  const stamped = insertMeta(result.output, {
+    sourceHash,
+    provider,
+    translatedAt: new Date().toISOString(),
+    reviewed: false,
+    reviewer: null,
+  })
+  const shift = offset => (offset >= stamped.at ? offset + stamped.length : offset)
+  return {
+    ...result,
+    output: stamped.page,
+    segments: result.segments.map(segment => ({ ...segment, start: shift(segment.start), end: shift(segment.end) })),
+  }
+}
+
+/**
+ * Replace the `translation` block of a page with `meta`
+ */
+export function updateTranslationMeta(page, meta) {
+  const match = page.match(FRONTMATTER_RE)
+  let stripped = page
+  if (match) {
+    const frontmatter = match[0].replace(META_BLOCK_RE, '')
+    // A frontmatter that only held the block goes too; insertMeta() adds it back
+    stripped = /^---\r?\n---/.test(frontmatter)
+      ? page.slice(match[0].length).replace(/^\r?\n/, '')
+      : frontmatter + page.slice(match[0].length)
+  }
+  return insertMeta(stripped, meta).page
+}
+
+/**
+ * English segment hashes a reviewed page was checked against: those
+ * recorded at approval, else those it was machine-translated from
+ */
+export function getReviewedHashes(entry) {
+  return entry?.review?.segments ?? entry?.segments.map(segment => segment.hash) ?? null
+}
+
+/**
+ * Machine suggestions for a reviewed page. Translates the segments whose
+ * English is not among `reviewedHashes` (every segment when null) with
+ * `translate(text, part)` and writes them to the side file.
+ * Returns the number of suggestions; no file is written when there are none.
+ */
+export async function writeSuggestions(source, parts, reviewedHashes, outputPath, info, translate) {
+  const changed = reviewedHashes ? getChangedParts(parts, reviewedHashes) : parts.filter(part => part.translate)
+  if (changed.length === 0) return 0
+
+  const suggestions = await Promise.all(changed.map(async part => ({
+    line: source.slice(0, part.start).split('\n').length,
+    source: part.content,
+    suggestion: restoreLayout(part, await translate(part.text, part)),
+  })))
+
+  const data = {
+    page: info.page,
+    sourceHash: hashText(source),
+    provider: info.provider,
+    generatedAt: new Date().toISOString(),
+    reviewer: info.reviewer ?? null,
+    suggestions,
+  }
+  await fs.writeFile(getSuggestionsPath(outputPath), JSON.stringify(data, null, 2) + '\n', 'utf-8')
+  return suggestions.length
+}
@@ -0,0 +1,328 @@
+/**
+ * Translation Scheduler
+ * Runs provider requests in parallel under a token-bucket rate limit
+ *
+ * createScheduler() wraps a provider and returns a provider, so scripts
+ * swap it in without touching their translation code:
+ *
+ *   provider = await loadScheduler(await loadProvider(name))
+ *
+ * - At most `concurrency` requests are in flight at once
+ * - Each request takes a token; tokens refill at `requestsPerSecond`
+ *   up to `burst`
+ * - Single-line texts up to `batchChars` characters (link texts, image
+ *   alts, table cells, short titles) are queued for `batchWindowMs` and
+ *   sent as one request, one text per line, each followed by a `⟦n⟧`
+ *   token (lib/placeholders.mjs) numbered past the texts' own tokens. If
+ *   those separators do not all come back once and in order, each text is
+ *   sent on its own instead.
+ * - A 429 pauses the whole bucket for the provider's Retry-After (or an
+ *   exponential backoff) before the request is retried
+ * - Only 429s, 5xx responses and network errors are retried; anything
+ *   else (other 4xx, a rejected or missing API key) fails at once
+ *
+ * Limits come from DEFAULT_LIMITS, then translation.config.json
+ * `providers.<name>`, then command line overrides such as --concurrency.
+ */
+
+import { loadTranslationConfig } from './config.mjs'
+import { TOKEN_PATTERN, formatToken, findTokens } from './placeholders.mjs'
+
+const BASE_LIMITS = {
+  concurrency: 2,
+  requestsPerSecond: 1,
+  burst: 2,
+  batchChars: 200,
+  maxBatchChars: 1500,
+  batchWindowMs: 25,
+  maxRetries: 5,
+  retryDelayMs: 5000,
+}
+
+// Per-provider defaults, tuned to each service's free-tier limits
+export const DEFAULT_LIMITS = {
+  google: { concurrency: 2, requestsPerSecond: 1, burst: 2 },
+  deepl: { concurrency: 4, requestsPerSecond: 5, burst: 10 },
+  libretranslate: { concurrency: 4, requestsPerSecond: 10, burst: 10 },
+  openai: { concurrency: 4, requestsPerSecond: 2, burst: 4, batchChars: 500 },
+  pseudo: { concurrency: 8, requestsPerSecond: 1000, burst: 1000 },
+}
+
+const LIMIT_KEYS = Object.keys(BASE_LIMITS)
+
+async function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// Connection failures worth another attempt (Node and undici error codes)
+const NETWORK_ERRORS = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+]
+
+function isRateLimited(error) {
+  return error.status === 429 || error.statusCode === 429 || /Too Many Requests/i.test(error.message)
+}
+
+/**
+ * Whether a failed request may succeed when sent again: rate limits,
+ * server errors and dropped connections, never a rejected request
+ */
+function isRetryable(error) {
+  if (isRateLimited(error)) return true
+  const status = error.status ?? error.statusCode
+  if (status !== undefined) return status >= 500
+  return NETWORK_ERRORS.includes(error.code ?? error.cause?.code)
+}
+
+/**
+ * Join texts into one batch request, each followed by its separator
+ * token. Separators start at `base`, past every token the texts carry.
+ */
+function joinBatch(texts) {
+  const base = Math.max(-1, ...texts.flatMap(findTokens)) + 1
+  return { base, joined: texts.map((text, i) => `${text} ${formatToken(base + i)}`).join('\n') }
+}
+
+/**
+ * Split a batch reply back into `count` texts, or return null when the
+ * separators from `base` on are not all there once and in order, or text
+ * follows the last one
+ */
+function splitBatch(reply, base, count) {
+  const separators = [...reply.matchAll(TOKEN_PATTERN)].filter(match => Number(match[1]) >= base)
+  if (separators.length !== count || separators.some((match, i) => Number(match[1]) !== base + i)) return null
+
+  const last = separators[count - 1]
+  if (reply.slice(last.index + last[0].length).trim()) return null
+
+  let start = 0
+  return separators.map((match) => {
+    const part = reply.slice(start, match.index).trim()
+    start = match.index + match[0].length
+    return part
+  })
+}
+
+/**
+ * Token bucket: take() resolves once a token is available, in call order
+ */
+export function createTokenBucket(requestsPerSecond, burst) {
+  let tokens = burst
+  let last = Date.now()
+  let pausedUntil = 0
+  let queue = Promise.resolve()
+
+  function refill() {
+    const now = Date.now()
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * requestsPerSecond)
+    last = now
+  }
+
+  return {
+    take() {
+      queue = queue.then(async () => {
+        for (;;) {
+          const paused = pausedUntil - Date.now()
+          if (paused > 0) {
+            await delay(paused)
+            continue
+          }
+          refill()
+          if (tokens >= 1) {
+            tokens -= 1
+            return
+          }
+          await delay(((1 - tokens) / requestsPerSecond) * 1000)
+        }
+      })
+      return queue
+    },
+
+    /**
+     * Stop handing out tokens for `ms` and drain the bucket
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms)
+      tokens = 0
+    },
+  }
+}
+
+/**
+ * Run at most `concurrency` tasks at a time
+ */
+function createLimiter(concurrency) {
+  let active = 0
+  const waiting = []
+
+  return async function run(task) {
+    if (active < concurrency) {
+      active++
+    } else {
+      // The finishing task hands its slot over directly
+      await new Promise(resolve => waiting.push(resolve))
+    }
+    try {
+      return await task()
+    } finally {
+      const next = waiting.shift()
+      if (next) next()
+      else active--
+    }
+  }
+}
+
+/**
+ * Wrap a provider with concurrency, rate limiting, batching and retries
+ */
+export function createScheduler(provider, limits = {}) {
+  const settings = { ...BASE_LIMITS, ...limits }
+  const bucket = createTokenBucket(settings.requestsPerSecond, settings.burst)
+  const limit = createLimiter(settings.concurrency)
+  const batches = new Map()
+
+  const stats = {
+    startedAt: Date.now(),
+    texts: 0,
+    characters: 0,
+    requests: 0,
+    batches: 0,
+    batchedTexts: 0,
+    batchFallbacks: 0,
+    retries: 0,
+    rateLimited: 0,
+    failures: 0,
+  }
+
+  async function request(text, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await limit(async () => {
+          await bucket.take()
+          stats.requests++
+          return provider.translate(text, options)
+        })
+      } catch (error) {
+        if (attempt >= settings.maxRetries || !isRetryable(error)) {
+          stats.failures++
+          throw error
+        }
+        stats.retries++
+        if (isRateLimited(error)) {
+          stats.rateLimited++
+          const wait = error.retryAfterMs ?? settings.retryDelayMs * 2 ** attempt
+          console.warn(`    ⚠️  Rate limited by ${provider.name}, pausing ${(wait / 1000).toFixed(1)}s`)
+          bucket.pause(wait)
+        } else {
+          await delay(1000)
+        }
+      }
+    }
+  }
+
+  async function sendBatch(items, options) {
+    if (items.length === 1) {
+      return request(items[0].text, options).then(items[0].resolve, items[0].reject)
+    }
+
+    stats.batches++
+    stats.batchedTexts += items.length
+    const { base, joined } = joinBatch(items.map(item => item.text))
+
+    let parts
+    try {
+      parts = splitBatch(await request(joined, options), base, items.length)
+    } catch (error) {
+      // Already retried; sending each text on its own would fail the same way
+      items.forEach(item => item.reject(error))
+      return
+    }
+
+    if (parts) {
+      items.forEach((item, i) => item.resolve(parts[i].trim()))
+      return
+    }
+
+    stats.batchFallbacks++
+    await Promise.all(items.map(item => request(item.text, options).then(item.resolve, item.reject)))
+  }
+
+  function flush(key) {
+    const batch = batches.get(key)
+    if (!batch) return
+    batches.delete(key)
+    clearTimeout(batch.timer)
+    sendBatch(batch.items, batch.options)
+  }
+
+  function enqueue(text, options) {
+    const key = `${options.from || ''}:${options.to}`
+    return new Promise((resolve, reject) => {
+      let batch = batches.get(key)
+      if (batch && batch.chars + text.length > settings.maxBatchChars) {
+        flush(key)
+        batch = null
+      }
+      if (!batch) {
+        batch = { items: [], chars: 0, options }
+        batch.timer = setTimeout(() => flush(key), settings.batchWindowMs)
+        batches.set(key, batch)
+      }
+      batch.items.push({ text, resolve, reject })
+      batch.chars += text.length
+    })
+  }
+
+  return {
+    name: provider.name,
+    settings,
+    stats,
+
+    async translate(text, options) {
+      stats.texts++
+      stats.characters += text.length
+      if (settings.batchChars > 0 && text.length <= settings.batchChars && !text.includes('\n')) {
+        return enqueue(text, options)
+      }
+      return request(text, options)
+    },
+  }
+}
+
+/**
+ * Build the scheduler for a provider from the defaults, the provider's
+ * section in translation.config.json and `overrides` (unset keys ignored)
+ */
+export async function loadScheduler(provider, overrides = {}) {
+  const config = await loadTranslationConfig()
+  const configured = config.providers?.[provider.name] || {}
+  const limits = { ...DEFAULT_LIMITS[provider.name] }
+
+  for (const source of [configured, overrides]) {
+    for (const key of LIMIT_KEYS) {
+      if (source[key] !== undefined && source[key] !== null) limits[key] = source[key]
+    }
+  }
+
+  return createScheduler(provider, limits)
+}
+
+/**
+ * Throughput summary lines for the end of a run
+ */
+export function formatThroughput(stats) {
+  const seconds = Math.max((Date.now() - stats.startedAt) / 1000, 0.001)
+  return [
+    `Texts: ${stats.texts} (${stats.characters.toLocaleString('en-US')} characters)`,
+    `Requests: ${stats.requests} (${stats.batchedTexts} texts batched into ${stats.batches} request(s), ${stats.batchFallbacks} split again)`,
+    `Retries: ${stats.retries} (${stats.rateLimited} rate limited), failed: ${stats.failures}`,
+    `Speed: ${(stats.requests / seconds).toFixed(2)} requests/s, ${Math.round(stats.characters / seconds).toLocaleString('en-US')} characters/s over ${seconds.toFixed(1)}s`,
+  ]
+}
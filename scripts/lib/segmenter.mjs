@@ -0,0 +1,810 @@
+/**
+ * Markdown Segmenter
+ * Splits a markdown page into translatable inline runs and opaque nodes
+ *
+ * Built on markdown-it (the parser VitePress uses), so fences of any length,
+ * `~~~` fences, indented code, HTML blocks and VitePress `:::` containers are
+ * recognized the same way the site renders them.
+ *
+ * Every segment carries exact source offsets and the segments cover the
+ * whole page, so joining `segment.content` reproduces the input byte-for-byte:
+ *
+ *   { type: 'frontmatter' | 'code' | 'html' | 'markup' | 'text',
+ *     translate, start, end, content,
+ *     text, separators }   // text segments only
+ *
+ * For text segments `text` is the inline content with line prefixes
+ * (indentation, `> `) removed, and `separators` holds the source between
+ * consecutive lines so the prefixes can be put back with restoreLayout().
+ *
+ * Table cells are text segments of their own (tagged with `cell: true`);
+ * the pipes and the alignment row stay markup, and restoreLayout() escapes
+ * any `|` the translation adds so every row keeps its column count.
+ *
+ * Headings are tagged with `heading: { level, slug, custom }`. `slug` is
+ * the anchor VitePress gives the English heading; restoreLayout() appends
+ * it as `{#slug}` so links to `#function-declaration` keep working once the
+ * text is translated. A heading that already has a `{#custom-id}` keeps it
+ * as markup outside the segment (`custom: true`).
+ *
+ * Container lines stay opaque: in `::: tip What You'll Learn` only the title
+ * becomes a text segment (tagged with `container: 'tip'`), so the `:::`
+ * marker and the keyword can never reach the translator.
+ *
+ * Code blocks are opaque unless they opt in with `translate-comments` in
+ * the fence info (```js translate-comments) or the page sets
+ * `translateComments: true` in its frontmatter. Then each comment
+ * (lib/code-comments.mjs) becomes a text segment tagged with its marker
+ * (`comment: '//'`) and the code between comments stays `code`.
+ *
+ * Box diagrams (lib/diagrams.mjs) are tagged `diagram: true` and stay
+ * opaque the same way. With `translate-labels` in the fence info
+ * (```txt translate-labels) or `translateDiagrams: true` in the
+ * frontmatter, each prose label becomes a text segment spanning the label
+ * and its padding; restoreLayout() pads the translation back to the same
+ * display width, or keeps the English label when it does not fit.
+ *
+ * HTML blocks are opaque except for the props and slot text of whitelisted
+ * Vue components (lib/components.mjs, `options.components`), which become
+ * text segments tagged with the component and the prop or slot name
+ * (`component: 'VideoPlayer', prop: 'title'`).
+ *
+ * Frontmatter stays opaque except for the string values listed in
+ * `options.frontmatterKeys`. Each becomes a text segment tagged with its
+ * key path (`frontmatter: 'hero.tagline'`) whose `text` is the parsed
+ * value; restoreLayout() writes the translation back as a YAML scalar.
+ */
+
+import MarkdownIt from 'markdown-it'
+import { parseDocument, isMap, isSeq, isScalar } from 'yaml'
+import { findComments, isTranslatableComment } from './code-comments.mjs'
+import { isDiagram, findLabels, fitLabel, getBorderWidths } from './diagrams.mjs'
+import { DEFAULT_COMPONENTS, findComponentText, escapeComponentText } from './components.mjs'
+
+// VitePress custom containers (markdown-it-container names)
+export const CONTAINER_TYPES = ['tip', 'info', 'warning', 'danger', 'details', 'code-group', 'raw', 'v-pre']
+
+// Containers whose optional title is reader-facing text. The others take
+// no title, and `code-group` tab labels live in the fence info strings.
+export const TITLED_CONTAINERS = ['tip', 'info', 'warning', 'danger', 'details']
+
+const FRONTMATTER_RE = /^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/
+
+// Explicit heading anchor, e.g. `## Closures {#closures}` (markdown-it-attrs)
+const HEADING_ID_RE = /\s*\{#([^\s}]+)[^}]*\}\s*$/
+
+// Reader-facing frontmatter values. Paths are dot-separated, `[]` stands
+// for every item of a list. Keys like `layout`, `link` and `icon.src` are
+// never translated unless listed here.
+export const DEFAULT_FRONTMATTER_KEYS = [
+  'title',
+  'description',
+  'hero.text',
+  'hero.tagline',
+  'hero.image.alt',
+  'hero.actions[].text',
+  'features[].title',
+  'features[].details',
+  'features[].linkText',
+]
+
+/**
+ * Block rule for `::: name [title]` ... `:::` containers.
+ * Mirrors markdown-it-container: the first closing marker at least as long
+ * as the opening one ends the container.
+ */
+function containerRule(state, startLine, endLine, silent) {
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false
+
+  const start = state.bMarks[startLine] + state.tShift[startLine]
+  const max = state.eMarks[startLine]
+  const match = state.src.slice(start, max).match(/^(:{3,})\s*(\S+)(.*)$/)
+  if (!match || !CONTAINER_TYPES.includes(match[2])) return false
+  if (silent) return true
+
+  const marker = match[1]
+  let nextLine = startLine
+  let closed = false
+
+  while (++nextLine < endLine) {
+    const lineStart = state.bMarks[nextLine] + state.tShift[nextLine]
+    const lineEnd = state.eMarks[nextLine]
+
+    // Less indented non-empty line ends the container (e.g. inside a list)
+    if (lineStart < lineEnd && state.sCount[nextLine] < state.blkIndent) break
+    if (state.sCount[nextLine] - state.blkIndent >= 4) continue
+
+    const text = state.src.slice(lineStart, lineEnd).trim()
+    if (/^:{3,}$/.test(text) && text.length >= marker.length) {
+      closed = true
+      break
+    }
+  }
+
+  const oldParent = state.parentType
+  const oldLineMax = state.lineMax
+  state.parentType = 'container'
+  state.lineMax = nextLine
+
+  const open = state.push('container_open', 'div', 1)
+  open.markup = marker
+  open.block = true
+  open.info = `${match[2]}${match[3]}`.trim()
+  open.map = [startLine, nextLine + (closed ? 1 : 0)]
+
+  state.md.block.tokenize(state, startLine + 1, nextLine)
+
+  const close = state.push('container_close', 'div', -1)
+  close.markup = marker
+  close.block = true
+
+  state.parentType = oldParent
+  state.lineMax = oldLineMax
+  state.line = nextLine + (closed ? 1 : 0)
+  return true
+}
+
+const md = new MarkdownIt({ html: true })
+md.block.ruler.before('fence', 'container', containerRule, {
+  alt: ['paragraph', 'reference', 'blockquote', 'list'],
+})
+
+/**
+ * Offsets of the first character of every line (plus one past the end)
+ */
+function getLineStarts(source) {
+  const starts = [0]
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1)
+  }
+  starts.push(source.length)
+  return starts
+}
+
+/**
+ * Find the source range of each line of an inline token's content.
+ * Returns null when a line cannot be located (e.g. tab-expanded indentation).
+ */
+function locateInline(source, lineStarts, content, firstLine, inTable, cursors) {
+  const ranges = []
+  const lines = content.split('\n')
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = firstLine + i
+    const lineText = source.slice(lineStarts[lineNo], lineStarts[lineNo + 1]).replace(/\r?\n$/, '')
+    let index = -1
+    let length = lines[i].length
+
+    if (inTable) {
+      // Cells share a line: search forward from the previous cell
+      const from = cursors.get(lineNo) || 0
+      index = lineText.indexOf(lines[i], from)
+      if (index === -1) {
+        const escaped = lines[i].replace(/\|/g, '\\|')
+        index = lineText.indexOf(escaped, from)
+        length = escaped.length
+      }
+      if (index !== -1) cursors.set(lineNo, index + length)
+    } else {
+      // Paragraph and heading content is the tail of its source line
+      index = lineText.lastIndexOf(lines[i])
+    }
+
+    if (index === -1) return null
+    const start = lineStarts[lineNo] + index
+    ranges.push({ start, end: start + length })
+  }
+
+  return ranges
+}
+
+/**
+ * Find the title of a container opening line, e.g. `What You'll Learn`
+ * in `::: info What You'll Learn`. Returns null for untitled containers.
+ */
+function locateContainerTitle(source, lineStarts, token) {
+  const [name] = token.info.split(/\s+/, 1)
+  if (!TITLED_CONTAINERS.includes(name)) return null
+
+  const lineStart = lineStarts[token.map[0]]
+  const lineText = source.slice(lineStart, lineStarts[token.map[0] + 1]).replace(/\r?\n$/, '')
+  const markerIndex = lineText.indexOf(token.markup)
+  const match = lineText.slice(markerIndex + token.markup.length).match(/^(\s*\S+\s+)(\S.*?)\s*$/)
+  if (markerIndex === -1 || !match) return null
+
+  const start = lineStart + markerIndex + token.markup.length + match[1].length
+  return { name, start, end: start + match[2].length }
+}
+
+/**
+ * Collect the string scalars of a YAML node whose key path is listed in `keys`
+ */
+function collectScalars(node, keyPath, keys, found) {
+  if (isMap(node)) {
+    for (const pair of node.items) {
+      const key = isScalar(pair.key) ? pair.key.value : pair.key
+      if (typeof key !== 'string') continue
+      collectScalars(pair.value, keyPath ? `${keyPath}.${key}` : key, keys, found)
+    }
+  } else if (isSeq(node)) {
+    for (const item of node.items) {
+      collectScalars(item, `${keyPath}[]`, keys, found)
+    }
+  } else if (isScalar(node) && typeof node.value === 'string' && keys.includes(keyPath)) {
+    found.push({ keyPath, node })
+  }
+}
+
+/**
+ * The string values of the page's frontmatter whose key path is listed in
+ * `keys`: `{ keyPath, value, type, start, end }`, where start/end locate
+ * the value as written (quotes included) in `source`.
+ * Invalid YAML yields none.
+ */
+export function getFrontmatterScalars(source, keys) {
+  const frontmatter = source.match(FRONTMATTER_RE)?.[0]
+  if (!frontmatter) return []
+
+  const innerStart = frontmatter.indexOf('\n') + 1
+  const innerEnd = frontmatter.replace(/\r?\n$/, '').lastIndexOf('\n') + 1
+  const doc = parseDocument(source.slice(innerStart, innerEnd))
+  if (doc.errors.length > 0) return []
+
+  const found = []
+  collectScalars(doc.contents, '', keys, found)
+
+  return found.map(({ keyPath, node }) => {
+    const start = innerStart + node.range[0]
+    // Block scalar ranges include the trailing line break
+    const end = start + source.slice(start, innerStart + node.range[1]).trimEnd().length
+    return { keyPath, value: node.value, type: node.type, start, end }
+  })
+}
+
+/**
+ * Text segments for the translatable values of a frontmatter block.
+ * Invalid YAML yields none, so the block is copied unchanged.
+ */
+function segmentFrontmatter(source, keys) {
+  return getFrontmatterScalars(source, keys).map(({ keyPath, value, type, start, end }) => ({
+    type: 'text',
+    translate: /\p{L}/u.test(value),
+    start,
+    end,
+    text: value,
+    separators: [],
+    frontmatter: keyPath,
+    scalarType: type,
+  }))
+}
+
+/**
+ * Whether the page's frontmatter sets `key: true`
+ */
+function pageOptIn(frontmatter, key) {
+  if (!frontmatter) return false
+  const inner = frontmatter.replace(/^---\r?\n/, '').replace(/---(?:\r?\n)?$/, '')
+  const doc = parseDocument(inner)
+  return doc.errors.length === 0 && doc.get(key) === true
+}
+
+/**
+ * Whether the fence info carries `flag` (```js translate-comments)
+ */
+function hasFlag(token, flag) {
+  return token.type === 'fence' && new RegExp(`(?:^|\\s)${flag}(?:\\s|$)`).test(token.info)
+}
+
+/**
+ * Source range of the code inside a fence or indented code block
+ */
+function codeBody(source, lineStarts, token) {
+  if (token.type !== 'fence') {
+    return { start: lineStarts[token.map[0]], end: lineStarts[token.map[1]] }
+  }
+  const start = lineStarts[token.map[0] + 1]
+  let end = lineStarts[token.map[1]]
+  // Leave the closing fence out, so ``` is not read as a template string
+  const lastLine = lineStarts[token.map[1] - 1]
+  if (lastLine >= start && source.slice(lastLine, end).trim().startsWith(token.markup)) end = lastLine
+  return { start, end }
+}
+
+/**
+ * Code and comment segments of a fence that opted into comment translation
+ */
+function segmentFence(source, lineStarts, token) {
+  const { start, end } = codeBody(source, lineStarts, token)
+  const lang = token.info.trim().match(/^[^\s{:[]*/)[0]
+  const code = source.slice(start, end)
+  const nodes = []
+  let offset = lineStarts[token.map[0]]
+
+  for (const comment of findComments(code, lang)) {
+    const ranges = comment.lines.map(line => ({ start: start + line.start, end: start + line.end }))
+    const text = ranges.map(r => source.slice(r.start, r.end)).join('\n')
+    if (!isTranslatableComment(text)) continue
+
+    if (offset < ranges[0].start) {
+      nodes.push({ type: 'code', translate: false, start: offset, end: ranges[0].start })
+    }
+    nodes.push({
+      type: 'text',
+      translate: true,
+      start: ranges[0].start,
+      end: ranges[ranges.length - 1].end,
+      text,
+      separators: ranges.slice(1).map((r, i) => source.slice(ranges[i].end, r.start)),
+      comment: comment.marker,
+    })
+    offset = ranges[ranges.length - 1].end
+  }
+
+  nodes.push({ type: 'code', translate: false, start: offset, end: lineStarts[token.map[1]] })
+  return nodes
+}
+
+/**
+ * Code and label segments of a diagram that opted into label translation
+ */
+function segmentDiagram(source, lineStarts, token) {
+  const { start, end } = codeBody(source, lineStarts, token)
+  const nodes = []
+  let offset = lineStarts[token.map[0]]
+
+  for (let lineNo = lineStarts.indexOf(start); lineStarts[lineNo] < end; lineNo++) {
+    const lineStart = lineStarts[lineNo]
+    const line = source.slice(lineStart, lineStarts[lineNo + 1]).replace(/\r?\n$/, '')
+
+    for (const label of findLabels(line)) {
+      if (offset < lineStart + label.start) {
+        nodes.push({ type: 'code', translate: false, start: offset, end: lineStart + label.start, diagram: true })
+      }
+      nodes.push({
+        type: 'text',
+        translate: true,
+        start: lineStart + label.start,
+        end: lineStart + label.slotEnd,
+        text: line.slice(label.start, label.end),
+        separators: [],
+        diagram: true,
+        fixed: label.fixed,
+      })
+      offset = lineStart + label.slotEnd
+    }
+  }
+
+  nodes.push({ type: 'code', translate: false, start: offset, end: lineStarts[token.map[1]], diagram: true })
+  return nodes
+}
+
+/**
+ * HTML and text segments of an HTML block: the reader-facing props and
+ * slot text of whitelisted components become text
+ */
+function segmentHtml(source, lineStarts, token, components) {
+  const start = lineStarts[token.map[0]]
+  const end = lineStarts[token.map[1]]
+  const nodes = []
+  let offset = start
+
+  for (const found of findComponentText(source.slice(start, end), components)) {
+    if (offset < start + found.start) {
+      nodes.push({ type: 'html', translate: false, start: offset, end: start + found.start })
+    }
+    const node = {
+      type: 'text',
+      translate: true,
+      start: start + found.start,
+      end: start + found.end,
+      text: source.slice(start + found.start, start + found.end),
+      separators: [],
+      component: found.component,
+    }
+    if (found.prop) Object.assign(node, { prop: found.prop, quote: found.quote })
+    else node.slot = found.slot
+    nodes.push(node)
+    offset = start + found.end
+  }
+
+  nodes.push({ type: 'html', translate: false, start: offset, end })
+  return nodes
+}
+
+/**
+ * Encode a translated frontmatter value as a YAML scalar. Plain style is
+ * kept when it reads back unchanged, single quotes when the source used
+ * them; anything else becomes a double-quoted (JSON) string.
+ */
+function toYamlScalar(value, scalarType) {
+  if (scalarType === 'PLAIN' && !value.includes('\n')) {
+    const doc = parseDocument(`key: ${value}`)
+    if (doc.errors.length === 0 && doc.get('key') === value) return value
+  }
+  if (scalarType === 'QUOTE_SINGLE') {
+    return `'${value.replace(/'/g, "''")}'`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Heading slug, as VitePress computes it for its anchors
+ */
+export function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .replace(/[\u0000-\u001f]/g, '')
+    .replace(/[\s~`!@#$%^&*()\-_+=[\]{}|\\;:"'“”‘’<>,.?/]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .replace(/^(\d)/, '_$1')
+    .toLowerCase()
+}
+
+/**
+ * Level and anchor of every heading, keyed by the index of its inline
+ * token. Follows markdown-it-anchor: an explicit `{#id}` wins, otherwise
+ * the slug of the heading's text and code, with `-1`, `-2`… on repeats.
+ */
+function resolveHeadings(tokens) {
+  const headings = new Map()
+  const used = new Set()
+
+  tokens.forEach((token, i) => {
+    if (token.type !== 'heading_open') return
+    const inline = tokens[i + 1]
+    const custom = inline.content.match(HEADING_ID_RE)
+
+    let slug = custom ? custom[1] : slugify(
+      inline.children
+        .filter(child => child.type === 'text' || child.type === 'code_inline')
+        .map(child => child.content)
+        .join('')
+    )
+    if (!custom) {
+      const base = slug
+      for (let n = 1; used.has(slug); n++) slug = `${base}-${n}`
+    }
+    used.add(slug)
+
+    headings.set(i + 1, { level: Number(token.tag.slice(1)), slug, custom: Boolean(custom) })
+  })
+
+  return headings
+}
+
+/**
+ * Headings of a page in order: `{ line, level, slug }`
+ */
+export function getHeadings(source) {
+  const { tokens } = parseBody(source)
+  return [...resolveHeadings(tokens)].map(([index, heading]) => ({
+    line: tokens[index].map[0] + 1,
+    level: heading.level,
+    slug: heading.slug,
+  }))
+}
+
+/**
+ * Parse the page body with markdown-it. Frontmatter is blanked out
+ * (newlines kept) so token line numbers match the source.
+ */
+function parseBody(source) {
+  const frontmatterMatch = source.match(FRONTMATTER_RE)
+  if (!frontmatterMatch) {
+    return { tokens: md.parse(source, {}), bodyStart: 0, frontmatter: null }
+  }
+  const bodyStart = frontmatterMatch[0].length
+  const body = frontmatterMatch[0].replace(/[^\n]/g, '') + source.slice(bodyStart)
+  return { tokens: md.parse(body, {}), bodyStart, frontmatter: frontmatterMatch[0] }
+}
+
+/**
+ * Segment a markdown page
+ *
+ * Options:
+ *   frontmatterKeys  Frontmatter key paths to translate (default: DEFAULT_FRONTMATTER_KEYS)
+ *   components       Translatable component props and slots (default: DEFAULT_COMPONENTS)
+ */
+export function segmentMarkdown(source, options = {}) {
+  const { frontmatterKeys = DEFAULT_FRONTMATTER_KEYS, components = DEFAULT_COMPONENTS } = options
+  const segments = []
+  const lineStarts = getLineStarts(source)
+  const nodes = []
+
+  const { tokens, bodyStart, frontmatter } = parseBody(source)
+  const headings = resolveHeadings(tokens)
+  const pageComments = pageOptIn(frontmatter, 'translateComments')
+  const pageDiagrams = pageOptIn(frontmatter, 'translateDiagrams')
+  if (frontmatter) {
+    nodes.push(...segmentFrontmatter(source, frontmatterKeys))
+  }
+
+  const cursors = new Map()
+  let currentLine = 0
+  let inTable = false
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'table_open') inTable = true
+    if (token.type === 'table_close') inTable = false
+    if (token.map) currentLine = token.map[0]
+
+    if (token.type === 'container_open') {
+      const title = locateContainerTitle(source, lineStarts, token)
+      if (title) {
+        const text = source.slice(title.start, title.end)
+        nodes.push({
+          type: 'text',
+          translate: /\p{L}/u.test(text),
+          start: title.start,
+          end: title.end,
+          text,
+          separators: [],
+          container: title.name,
+        })
+      }
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      const body = codeBody(source, lineStarts, token)
+      const diagram = isDiagram(source.slice(body.start, body.end))
+      if (diagram && (pageDiagrams || hasFlag(token, 'translate-labels'))) {
+        nodes.push(...segmentDiagram(source, lineStarts, token))
+      } else if (!diagram && token.type === 'fence' && (pageComments || hasFlag(token, 'translate-comments'))) {
+        nodes.push(...segmentFence(source, lineStarts, token))
+      } else {
+        const node = { type: 'code', translate: false, start: lineStarts[token.map[0]], end: lineStarts[token.map[1]] }
+        if (diagram) node.diagram = true
+        nodes.push(node)
+      }
+    } else if (token.type === 'html_block') {
+      nodes.push(...segmentHtml(source, lineStarts, token, components))
+    } else if (token.type === 'inline' && token.content.trim()) {
+      const ranges = locateInline(source, lineStarts, token.content, currentLine, inTable, cursors)
+      if (!ranges) return
+
+      const heading = headings.get(index)
+      if (heading?.custom) {
+        // Keep `{#custom-id}` out of the translatable text
+        const last = ranges[ranges.length - 1]
+        last.end -= source.slice(last.start, last.end).match(HEADING_ID_RE)[0].length
+      }
+
+      const start = ranges[0].start
+      const end = ranges[ranges.length - 1].end
+      const text = ranges.map(r => source.slice(r.start, r.end)).join('\n')
+
+      const node = {
+        type: 'text',
+        // Runs without letters (numbers, stray markers) are left as they are
+        translate: /\p{L}/u.test(text),
+        start,
+        end,
+        text,
+        separators: ranges.slice(1).map((r, i) => source.slice(ranges[i].end, r.start)),
+      }
+      if (inTable) node.cell = true
+      if (heading) node.heading = heading
+      nodes.push(node)
+    }
+  })
+
+  // Fill the gaps between nodes with opaque frontmatter / markup
+  const pushGap = (start, end) => {
+    if (start < bodyStart) {
+      segments.push({
+        type: 'frontmatter',
+        translate: false,
+        start,
+        end: Math.min(end, bodyStart),
+        content: source.slice(start, Math.min(end, bodyStart)),
+      })
+      start = Math.min(end, bodyStart)
+    }
+    if (start < end) {
+      segments.push({
+        type: 'markup',
+        translate: false,
+        start,
+        end,
+        content: source.slice(start, end),
+      })
+    }
+  }
+
+  let offset = 0
+  for (const node of nodes.sort((a, b) => a.start - b.start)) {
+    if (node.start < offset) continue
+    pushGap(offset, node.start)
+    node.content = source.slice(node.start, node.end)
+    segments.push(node)
+    offset = node.end
+  }
+
+  pushGap(offset, source.length)
+
+  return segments
+}
+
+/**
+ * What restoreLayout() wraps around a translation of `segment`. Segments
+ * with the same key take the same layout, so a translation written for
+ * one fits the other; a heading whose slug moved (`-1` -> `-2`) or a text
+ * that moved into a table cell gets a new key.
+ */
+export function getLayoutKey(segment) {
+  if (segment.frontmatter) return `frontmatter:${segment.scalarType}`
+  if (segment.component) return `component:${segment.quote}`
+  if (segment.diagram) return `diagram:${segment.content}:${segment.fixed}`
+  if (segment.cell) return 'cell'
+  if (segment.heading) return segment.heading.custom ? 'heading' : `heading:${segment.heading.slug}`
+  return `${segment.comment ? 'comment' : 'text'}:${JSON.stringify(segment.separators || [])}`
+}
+
+/**
+ * Put a translated text segment back into its source layout, restoring
+ * the per-line prefixes (indentation, blockquote markers) it was read with
+ */
+export function restoreLayout(segment, translated) {
+  const { separators = [] } = segment
+  if (segment.frontmatter) {
+    return toYamlScalar(translated.replace(/\s*\n\s*/g, ' ').trim(), segment.scalarType)
+  }
+  if (segment.component) {
+    // Attribute values and slot text stay on their line, HTML-escaped
+    return escapeComponentText(translated.trim(), segment.quote)
+  }
+  if (segment.diagram) {
+    // Keep the borders of the diagram in place
+    return fitLabel(translated, segment.content, segment.fixed) ?? segment.content
+  }
+  if (segment.cell) {
+    // A cell is one line, and a bare pipe would start a new column
+    return translated.replace(/\s*\n\s*/g, ' ').trim().replace(/(?<!\\)\|/g, '\\|')
+  }
+  if (segment.comment) {
+    // The translation must not close the comment early
+    translated = translated.replace(/\*\//g, '* /').replace(/-->/g, '-- >')
+  }
+  if (segment.heading && !segment.heading.custom) {
+    return `${translated.replace(/\s*\n\s*/g, ' ').trim()} {#${segment.heading.slug}}`
+  }
+  if (separators.length === 0) {
+    return translated.replace(/\s*\n\s*/g, ' ')
+  }
+
+  const lines = translated.split('\n')
+  if (lines.length === separators.length + 1) {
+    return lines.map((line, i) => (i === 0 ? line : separators[i - 1] + line)).join('')
+  }
+  return lines.join(separators[0])
+}
+
+/**
+ * Column count of every row of every table, counted from the source lines
+ * (markdown-it pads or drops cells, so its tokens always look regular)
+ */
+export function getTableShapes(source) {
+  const lines = source.split('\n')
+  return parseBody(source).tokens
+    .filter(token => token.type === 'table_open')
+    .map(token => ({
+      line: token.map[0] + 1,
+      rows: lines.slice(token.map[0], token.map[1]).map(line =>
+        line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).length
+      ),
+    }))
+}
+
+/**
+ * Compare the tables of a page and its translation. Returns one issue per
+ * table that disappeared or whose rows changed column count.
+ */
+export function compareTables(source, translated) {
+  const expected = getTableShapes(source)
+  const found = getTableShapes(translated)
+  const issues = []
+
+  expected.forEach((table, i) => {
+    const other = found[i]
+    if (!other) {
+      issues.push({ line: table.line, message: 'table missing from translation' })
+      return
+    }
+    if (other.rows.length !== table.rows.length) {
+      issues.push({ line: other.line, message: `${other.rows.length} rows, expected ${table.rows.length}` })
+      return
+    }
+    const row = table.rows.findIndex((columns, r) => other.rows[r] !== columns)
+    if (row !== -1) {
+      issues.push({ line: other.line + row, message: `${other.rows[row]} columns, expected ${table.rows[row]}` })
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Box diagrams of a page: first code line and border widths by row
+ */
+function getDiagrams(source) {
+  const lineStarts = getLineStarts(source)
+  return parseBody(source).tokens
+    .filter(token => token.type === 'fence' || token.type === 'code_block')
+    .map(token => ({ token, body: codeBody(source, lineStarts, token) }))
+    .filter(({ body }) => isDiagram(source.slice(body.start, body.end)))
+    .map(({ token, body }) => ({
+      line: token.map[0] + (token.type === 'fence' ? 2 : 1),
+      borders: getBorderWidths(source.slice(body.start, body.end)),
+    }))
+}
+
+/**
+ * Compare the box diagrams of a page and its translation. Returns one
+ * issue per diagram that disappeared or whose right-hand borders moved.
+ */
+export function compareDiagrams(source, translated) {
+  const expected = getDiagrams(source)
+  const found = getDiagrams(translated)
+  const issues = []
+
+  expected.forEach((diagram, i) => {
+    const other = found[i]
+    if (!other) {
+      issues.push({ line: diagram.line, message: 'diagram missing from translation' })
+      return
+    }
+    for (const [row, width] of diagram.borders) {
+      if (other.borders.has(row) && other.borders.get(row) !== width) {
+        issues.push({ line: other.line + row, message: `border at column ${other.borders.get(row)}, expected ${width}` })
+        return
+      }
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Outline of a page for comparing it with its translation, in page order:
+ *   headings    { line, level, slug }
+ *   code        { line, info, content, translatable }  (line of the first
+ *               code line; translatable: comments or diagram labels opted
+ *               in, so the content may differ)
+ *   containers  { line, name, depth }
+ *   links       { line, url }
+ *   images      { line, url }
+ */
+export function getStructure(source) {
+  const { tokens, frontmatter } = parseBody(source)
+  const lineStarts = getLineStarts(source)
+  const pageComments = pageOptIn(frontmatter, 'translateComments')
+  const pageDiagrams = pageOptIn(frontmatter, 'translateDiagrams')
+  const structure = { headings: getHeadings(source), code: [], containers: [], links: [], images: [] }
+  let depth = 0
+  let line = 1
+
+  tokens.forEach((token) => {
+    if (token.map) line = token.map[0] + 1
+
+    if (token.type === 'container_open') {
+      structure.containers.push({ line, name: token.info.split(/\s/)[0], depth: depth++ })
+    } else if (token.type === 'container_close') {
+      depth--
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      const body = codeBody(source, lineStarts, token)
+      const content = source.slice(body.start, body.end)
+      const translatable = isDiagram(content)
+        ? pageDiagrams || hasFlag(token, 'translate-labels')
+        : token.type === 'fence' && (pageComments || hasFlag(token, 'translate-comments'))
+      // Line of the first line of code, as in getDiagrams()
+      structure.code.push({ line: token.map[0] + (token.type === 'fence' ? 2 : 1), info: token.info.trim(), content, translatable })
+    } else if (token.type === 'inline') {
+      for (const child of token.children) {
+        if (child.type === 'link_open') structure.links.push({ line, url: child.attrGet('href') })
+        if (child.type === 'image') structure.images.push({ line, url: child.attrGet('src') })
+      }
+    }
+  })
+
+  return structure
+}
@@ -0,0 +1,122 @@
+/**
+ * Structural Diff
+ * Compares the outline of an English page with its translation: headings,
+ * code blocks, containers, tables, links and images must all survive
+ * translation unchanged
+ *
+ * Each outline (getStructure() in lib/segmenter.mjs) is diffed in page
+ * order, so one lost heading shows as one line instead of shifting every
+ * heading after it. The result is a list of diff lines:
+ *
+ *   { kind: 'headings', sign: '-', line: 12, text: 'h2 #selectors' }
+ *
+ * `-` is English structure missing from the translation (line in the
+ * English page), `+` is structure only the translation has (line in the
+ * translated page), `!` is a mismatch described in `text`. A code block
+ * whose content changed gives a `-`/`+` pair with the first line that
+ * differs.
+ */
+
+import { getStructure, compareTables } from './segmenter.mjs'
+import { getLinkPath } from './links.mjs'
+
+export const STRUCTURE_KINDS = ['headings', 'code', 'containers', 'tables', 'links', 'images']
+
+/**
+ * Longest common subsequence of `a` and `b` by key: pairs of indexes
+ */
+function matchInOrder(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const pairs = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) pairs.push([i++, j++])
+    else if (lengths[i + 1][j] >= lengths[i][j + 1]) i++
+    else j++
+  }
+  return pairs
+}
+
+/**
+ * Diff two lists of `{ line }` items by `key(item)`. Unmatched items
+ * between two matches are paired up by `pair(expected, found)` when given
+ * and the counts agree; the rest are missing (`-`) or added (`+`).
+ */
+function diffItems(kind, expected, found, key, label, pair = null) {
+  const diff = []
+  const pairs = matchInOrder(expected.map(key), found.map(key))
+  let i = 0
+  let j = 0
+
+  for (const [nextI, nextJ] of [...pairs, [expected.length, found.length]]) {
+    const missing = expected.slice(i, nextI)
+    const added = found.slice(j, nextJ)
+    if (pair && missing.length === added.length) {
+      missing.forEach((item, n) => diff.push(...pair(item, added[n])))
+    } else {
+      diff.push(...missing.map(item => ({ kind, sign: '-', line: item.line, text: label(item) })))
+      diff.push(...added.map(item => ({ kind, sign: '+', line: item.line, text: label(item) })))
+    }
+    i = nextI + 1
+    j = nextJ + 1
+  }
+  return diff
+}
+
+/**
+ * First line where two code blocks differ, as a `-`/`+` pair
+ */
+function diffCode(expected, found) {
+  const label = block => `\`\`\`${block.info}`
+  if (expected.info !== found.info) {
+    return [
+      { kind: 'code', sign: '-', line: expected.line, text: label(expected) },
+      { kind: 'code', sign: '+', line: found.line, text: label(found) },
+    ]
+  }
+
+  const a = expected.content.split('\n')
+  const b = found.content.split('\n')
+  const at = Math.max(a.findIndex((line, i) => line !== b[i]), 0)
+  return [
+    { kind: 'code', sign: '-', line: expected.line + at, text: `${label(expected)}: ${a[at] ?? '(end of block)'}` },
+    { kind: 'code', sign: '+', line: found.line + at, text: `${label(found)}: ${b[at] ?? '(end of block)'}` },
+  ]
+}
+
+/**
+ * Structural diff of an English page and its translation to `lang`.
+ * `page` is the English page relative to docs/, for resolving links.
+ */
+export function compareStructure(source, translated, page, lang) {
+  const expected = getStructure(source)
+  const found = getStructure(translated)
+  const link = item => getLinkPath(item.url, page, lang)
+  const diff = []
+
+  diff.push(...diffItems('headings', expected.headings, found.headings,
+    heading => `h${heading.level} #${heading.slug}`,
+    heading => `h${heading.level} #${heading.slug}`))
+
+  // Blocks that translate comments or labels only need to stay in place
+  const codeKey = block => (block.translatable ? `\`\`\`${block.info}` : `\`\`\`${block.info}\n${block.content}`)
+  diff.push(...diffItems('code', expected.code, found.code, codeKey,
+    block => `\`\`\`${block.info} (${block.content.split('\n').length - 1} lines)`, diffCode))
+
+  diff.push(...diffItems('containers', expected.containers, found.containers,
+    container => `${container.depth} ${container.name}`,
+    container => `${'  '.repeat(container.depth)}::: ${container.name}`))
+
+  diff.push(...compareTables(source, translated).map(issue => ({ kind: 'tables', sign: '!', line: issue.line, text: issue.message })))
+  diff.push(...diffItems('links', expected.links, found.links, link, link))
+  diff.push(...diffItems('images', expected.images, found.images, link, link))
+
+  return diff
+}
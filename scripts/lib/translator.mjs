@@ -0,0 +1,290 @@
+/**
+ * Markdown Translator
+ * Translates the segments of a page through a provider, shared by
+ * translate.mjs, translate-all.mjs and translate-css.mjs
+ *
+ * createTranslator() binds the run's provider (usually a scheduler,
+ * lib/scheduler.mjs), translation memory, glossaries and link targets:
+ *
+ *   const translator = createTranslator({ provider, memory, glossaries, linkTargets, segmentOptions })
+ *   const result = await translator.translateMarkdown(content, 'km', 'guide/index.md', reuse)
+ *   const page = await translator.translatePage('docs/guide/index.md', 'km', lock)
+ *
+ * `glossaries` and `linkTargets` are keyed by target language and read on
+ * each call, so they can be filled after the translator is created.
+ * `patterns` are extra regular expressions whose matches are never sent to
+ * the provider (translate-css.mjs keeps CSS property names this way).
+ *
+ * translatePage() is the whole run for one page, shared by the translate
+ * scripts: it checks the lockfile, reuses unchanged segments, writes the
+ * page and its lock entry, and returns what happened for the caller to
+ * report.
+ *
+ * Link texts, image alts and component props are translated as labels of
+ * their own, from their plain markdown: a label never carries a token of
+ * the text around it, so restoring the text's tokens once restores
+ * everything. A token left in the finished text is an issue and the
+ * segment stays in English.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { protectTerms } from './glossary.mjs'
+import { protect, protectEmphasis, restoreTokens, findTokens, formatToken, translateVerified } from './placeholders.mjs'
+import { protectTags, restoreTag } from './components.mjs'
+import { segmentMarkdown, compareTables, compareDiagrams } from './segmenter.mjs'
+import { localizeLinks, localizeFrontmatterLinks } from './links.mjs'
+import { readTranslationMeta, stampTranslation, getReviewedHashes, writeSuggestions } from './review.mjs'
+import {
+  renderTranslation,
+  getSourceKey,
+  readIfExists,
+  hashText,
+  getReusableTranslations,
+  getTranslatedLinks,
+  createLockEntry,
+  saveLockfile,
+} from './lockfile.mjs'
+import { TARGET_LANGUAGES } from '../../docs/.vitepress/languages.js'
+
+const INLINE_CODE_PATTERN = /`([^`]+)`/g
+
+/**
+ * Tokens of `translated` that `source` did not have, i.e. never restored
+ */
+function findLeftoverTokens(source, translated) {
+  const known = findTokens(source)
+  return findTokens(translated).filter(index => {
+    const at = known.indexOf(index)
+    if (at === -1) return true
+    known.splice(at, 1)
+    return false
+  })
+}
+
+export function createTranslator({ provider, memory, glossaries = {}, linkTargets = {}, segmentOptions = {}, patterns = [] }) {
+  /**
+   * Translate link texts, image alts and component props, keeping their
+   * inline code, the caller's patterns and glossary terms. They are short, so the scheduler
+   * batches them into a few requests.
+   */
+  async function translateLabels(labels, targetLang, issues) {
+    const langCode = TARGET_LANGUAGES[targetLang].code
+    return Promise.all(labels.map(async (label) => {
+      if (!label.trim()) return label
+      const values = []
+      let protectedLabel = label
+      for (const pattern of [...patterns, INLINE_CODE_PATTERN]) {
+        protectedLabel = protect(protectedLabel, pattern, values)
+      }
+      protectedLabel = protectTerms(protectedLabel, glossaries[targetLang], values)
+      const result = await translateVerified(protectedLabel, text => provider.translate(text, { to: langCode }))
+      for (const issue of result.issues) {
+        issues.push({ ...issue, message: `Label "${label}": ${issue.message}` })
+      }
+      return restoreTokens(result.text, values)
+    }))
+  }
+
+  /**
+   * Translate text while preserving markdown formatting.
+   * Inline code, links, images, HTML, emphasis markers and glossary terms
+   * travel as placeholder tokens that must all come back (lib/placeholders.mjs).
+   * Anything that fell back to English is pushed to `issues`.
+   * Retries and rate limiting happen in the scheduler (lib/scheduler.mjs).
+   */
+  async function translateText(text, targetLang, issues = []) {
+    if (!text.trim()) return text
+
+    // Entries written before leftover tokens were checked may still hold some
+    const remembered = memory.get(text, targetLang, provider.name)
+    if (remembered !== undefined && findLeftoverTokens(text, remembered).length === 0) {
+      return remembered
+    }
+
+    const langCode = TARGET_LANGUAGES[targetLang].code
+    const values = []
+
+    // Preserve the caller's patterns first
+    let processedText = text
+    for (const pattern of patterns) {
+      processedText = protect(processedText, pattern, values)
+    }
+
+    // Preserve inline code
+    processedText = protect(processedText, INLINE_CODE_PATTERN, values)
+
+    // Preserve links and images; their text is translated on its own
+    const links = []
+    processedText = protect(processedText, /(!?)\[([^\]]*)\]\(([^)]+)\)/g, values, (match, bang, linkText, url) => {
+      links.push({ index: values.length, bang, text: restoreTokens(linkText, values), url })
+      return match
+    })
+
+    // Preserve HTML tags; whitelisted component props are translated on their own
+    const tags = []
+    processedText = protectTags(processedText, values, segmentOptions.components, tags)
+
+    // Preserve bold / italic markers around the words they emphasize
+    const pairs = []
+    processedText = protectEmphasis(processedText, values, pairs)
+
+    // Preserve glossary terms (do-not-translate and forced translations)
+    processedText = protectTerms(processedText, glossaries[targetLang], values)
+
+    try {
+      // Link texts, image alts and props are translated alongside the text itself
+      const [result, linkTexts, propTexts] = await Promise.all([
+        translateVerified(processedText, part => provider.translate(part, { to: langCode }), { pairs }),
+        translateLabels(links.map(link => link.text), targetLang, issues),
+        translateLabels(tags.flatMap(tag => tag.props.map(prop => restoreTokens(prop.text, values))), targetLang, issues),
+      ])
+      issues.push(...result.issues)
+
+      links.forEach(({ index, bang, url }, i) => {
+        values[index] = `${bang}[${linkTexts[i]}](${url})`
+      })
+      let next = 0
+      for (const tag of tags) {
+        values[tag.index] = restoreTokens(restoreTag(tag, propTexts.slice(next, next += tag.props.length)), values)
+      }
+
+      const translatedText = restoreTokens(result.text, values)
+      const leftover = findLeftoverTokens(text, translatedText)
+      if (leftover.length > 0) {
+        issues.push({ kind: 'tokens', message: `${leftover.map(formatToken).join(', ')} left in the translation, kept in English` })
+        return text
+      }
+      if (issues.length === 0) {
+        await memory.set(text, targetLang, provider.name, translatedText)
+      }
+      return translatedText
+    } catch (error) {
+      // The scheduler already retried
+      issues.push({ kind: 'error', message: `Translation error: ${error.message}` })
+      return text
+    }
+  }
+
+  /**
+   * Translate markdown content of `page` (relative to docs/), reusing
+   * unchanged segments from `reuse`. Internal links, frontmatter links
+   * included, are pointed at the target language, in reused segments too,
+   * since their target may have been translated since. `failures` lists
+   * the segments with issues, by source line; `missingLinks` the pages
+   * still linked in English.
+   */
+  async function translateMarkdown(content, targetLang, page, reuse = new Map()) {
+    const failures = []
+    const missingLinks = new Set()
+    const lineAt = (text, offset) => text.slice(0, offset).split('\n').length
+    const linkMessage = target => `${target} has no ${TARGET_LANGUAGES[targetLang].name} translation, link left in English`
+
+    // Frontmatter links are no segments; rewriting them keeps every line where it was
+    const frontmatterMissing = []
+    const source = localizeFrontmatterLinks(content, page, linkTargets[targetLang], frontmatterMissing)
+    for (const { url, page: target, offset } of frontmatterMissing) {
+      failures.push({ line: lineAt(content, offset), text: url, kind: 'link', message: linkMessage(target) })
+      missingLinks.add(target)
+    }
+
+    const parts = segmentMarkdown(source, segmentOptions)
+    const result = await renderTranslation(parts, reuse, async (text, part) => {
+      const issues = []
+      const missing = []
+      const translated = localizeLinks(await translateText(text, targetLang, issues), page, linkTargets[targetLang], missing)
+      for (const target of missing) {
+        issues.push({ kind: 'link', message: linkMessage(target) })
+        missingLinks.add(target)
+      }
+      const line = lineAt(source, part.start)
+      failures.push(...issues.map(issue => ({ line, text, ...issue })))
+      return translated
+    }, (text) => {
+      const missing = []
+      const localized = localizeLinks(text, page, linkTargets[targetLang], missing)
+      missing.forEach(target => missingLinks.add(target))
+      return localized
+    })
+    failures.sort((a, b) => a.line - b.line)
+    return { ...result, failures, missingLinks: [...missingLinks].sort() }
+  }
+
+  /**
+   * Translate the English page `sourcePath` to `targetLang` and record it in
+   * `lock`. An existing page is only rewritten when its English changed or
+   * a page it links to in English got a translation, and never when it was
+   * edited by hand or is not in the lockfile, unless `force` is set (which
+   * also retranslates every segment). A reviewed page is kept and gets a
+   * suggestions file instead (lib/review.mjs).
+   *
+   * Returns { outputPath, skipped, reason } for a page left alone (reason:
+   * empty, reviewed, untracked, edited or current; reviewed pages add
+   * `reviewer`, whether their English is `outdated` and the number of
+   * `suggestions`), { outputPath, success, created,
+   * translated, reused, failures, tableIssues, diagramIssues } for a page
+   * written, or { outputPath, error }.
+   */
+  async function translatePage(sourcePath, targetLang, lock, { force = false } = {}) {
+    const key = getSourceKey(sourcePath)
+    const outputPath = path.join('docs', targetLang, key)
+
+    try {
+      const content = await fs.readFile(sourcePath, 'utf-8')
+      if (!content.trim()) return { outputPath, skipped: true, reason: 'empty' }
+
+      const entry = lock.files[key]
+      const existing = await readIfExists(outputPath)
+
+      // Reviewed pages are never overwritten, not even with `force`; the
+      // segments changed since the review become suggestions
+      const meta = existing === null ? null : readTranslationMeta(existing)
+      if (meta?.reviewed) {
+        if (!force && hashText(content) === meta.sourceHash) {
+          return { outputPath, skipped: true, reason: 'reviewed', reviewer: meta.reviewer, outdated: false, suggestions: 0 }
+        }
+        const suggestions = await writeSuggestions(
+          content,
+          segmentMarkdown(content, segmentOptions),
+          force ? null : getReviewedHashes(entry),
+          outputPath,
+          { page: key, provider: provider.name, reviewer: meta.reviewer },
+          async text => localizeLinks(await translateText(text, targetLang), key, linkTargets[targetLang]),
+        )
+        return { outputPath, skipped: true, reason: 'reviewed', reviewer: meta.reviewer, outdated: true, suggestions }
+      }
+
+      // Existing pages are only refreshed when the lockfile says they are stale
+      if (!force && existing !== null) {
+        if (!entry) return { outputPath, skipped: true, reason: 'untracked' }
+        if (hashText(existing) !== entry.outputHash) return { outputPath, skipped: true, reason: 'edited' }
+        if (hashText(content) === entry.sourceHash && getTranslatedLinks(entry, linkTargets[targetLang].translated).length === 0) {
+          return { outputPath, skipped: true, reason: 'current' }
+        }
+      }
+
+      const reuse = force ? new Map() : getReusableTranslations(entry, existing)
+      const result = stampTranslation(await translateMarkdown(content, targetLang, key, reuse), hashText(content), provider.name)
+
+      await fs.mkdir(path.dirname(outputPath), { recursive: true })
+      await fs.writeFile(outputPath, result.output, 'utf-8')
+      lock.files[key] = createLockEntry(content, result)
+      await saveLockfile(targetLang, lock)
+
+      return {
+        outputPath,
+        success: true,
+        created: existing === null,
+        translated: result.translated,
+        reused: result.reused,
+        failures: result.failures,
+        tableIssues: compareTables(content, result.output),
+        diagramIssues: compareDiagrams(content, result.output),
+      }
+    } catch (error) {
+      return { outputPath, error: error.message }
+    }
+  }
+
+  return { translateLabels, translateText, translateMarkdown, translatePage }
+}
@@ -0,0 +1,69 @@
+/**
+ * Interface Strings
+ * The English texts outside the pages that get translated: the tips of the
+ * CssTip and JsTip components (translate-tips.mjs) and the nav and sidebar
+ * labels (translate-nav.mjs). translation-memory.mjs counts them as in use
+ * when pruning.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { pathToFileURL } from 'url'
+
+// English tip files; the locale files sit next to them
+export const TIP_FILES = [
+  'docs/.vitepress/components/css/cssTips.json',
+  'docs/.vitepress/components/js/jsTips.json',
+]
+
+// Fields shown as prose; the rest is code and preview HTML
+export const TRANSLATED_FIELDS = ['title', 'description']
+
+export const LOCALES_DIR = 'docs/.vitepress/locales'
+
+/**
+ * Every distinct label (`text`) in a nav or sidebar tree
+ */
+export function collectLabels(node, labels = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectLabels(item, labels))
+  } else if (node && typeof node === 'object') {
+    if (typeof node.text === 'string') labels.add(node.text)
+    Object.values(node).forEach(value => collectLabels(value, labels))
+  }
+  return labels
+}
+
+/**
+ * English texts the tips and nav translations send to the translation
+ * memory. Missing files contribute nothing.
+ */
+export async function getInterfaceTexts() {
+  const texts = new Set()
+
+  for (const file of TIP_FILES) {
+    let tips
+    try {
+      tips = JSON.parse(await fs.readFile(file, 'utf-8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') continue
+      throw new Error(`Invalid ${file}: ${error.message}`)
+    }
+    for (const tip of tips) {
+      for (const field of TRANSLATED_FIELDS) {
+        if (typeof tip[field] === 'string') texts.add(tip[field])
+      }
+    }
+  }
+
+  const navFile = path.resolve(LOCALES_DIR, 'en.js')
+  try {
+    await fs.access(navFile)
+  } catch {
+    return texts
+  }
+  const en = await import(pathToFileURL(navFile).href)
+  collectLabels([en.nav, en.sidebar], texts)
+
+  return texts
+}
@@ -0,0 +1,152 @@
+/**
+ * Untranslated Text
+ * Finds prose in a translated page that is still English, such as the
+ * paragraphs translateText() hands back unchanged when the provider fails
+ *
+ * Each translatable segment of the page (lib/segmenter.mjs) is stripped of
+ * what legitimately stays English: inline code, link targets, HTML tags,
+ * interpolations, the glossary's protected terms and code-like names
+ * (`useState`, `MySQL`, `console.log()`, `CSS`). What is left is checked
+ * against the writing system of the language (`script` in
+ * docs/.vitepress/languages.js):
+ *
+ *   khmer, cjk, thai   Letters of that script must outnumber Latin letters
+ *   latin              A stop-word language guess must not say English
+ *
+ * The language guess is offline and deliberately small: it counts the most
+ * common function words of each Latin-script language in the registry.
+ * Short runs (labels, table cells) have too little text to judge and are
+ * skipped.
+ */
+
+import { segmentMarkdown } from './segmenter.mjs'
+
+// Letters of each writing system (Latin is what English falls back to)
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/gu,
+  khmer: /\p{Script=Khmer}/gu,
+  cjk: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu,
+  thai: /\p{Script=Thai}/gu,
+}
+
+// Function words by language, for identifyLanguage()
+const STOP_WORDS = {
+  en: 'the and of to is in that it for with as are this be on you your can by an or from not will when how what which we use',
+  fr: 'le la les des et est un une du que qui pour dans pas sur avec vous ce cette sont par au aux il elle nous ou',
+  es: 'el los las y es un una que por para con se del al como su sus lo más pero está son este esta puede',
+  de: 'der die das und ist ein eine nicht mit zu den dem von für auf es im sie wir sich auch als wird oder wenn kann sind',
+  vi: 'và của là có không được các một những cho trong với để này người khi đã sẽ bạn cũng như từ thì đó hay nó',
+}
+const STOP_WORD_SETS = Object.fromEntries(
+  Object.entries(STOP_WORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+)
+
+// Fewer Latin letters than this (after stripping) is too little to judge
+const MIN_LATIN_LETTERS = 20
+// Fewer words than this is too little for a language guess
+const MIN_WORDS = 6
+// Below this share of the page language's letters a run counts as untranslated
+const MIN_SCRIPT_RATIO = 0.5
+
+// What stays English in a translation, whatever the language
+const KEPT_PATTERNS = [
+  /(`+)[\s\S]*?\1/g,                         // inline code
+  /\]\([^)]*\)/g,                            // link and image targets
+  /<https?:[^>]*>|https?:\/\/\S+/g,          // autolinks, bare URLs
+  /<\/?[A-Za-z][^>]*>/g,                     // HTML tags
+  /\{\{[\s\S]*?\}\}/g,                       // Vue interpolations
+  /\{#[^}]*\}/g,                             // heading ids
+  /[\w$.-]+\(\)/g,                           // calls: console.log()
+  /\b\w+(?:[._]\w+)+\b/g,                    // dotted and snake_case names
+  /\b\w*(?:[a-z][A-Z]|[A-Z]{2}[a-z])\w*\b/g, // mixed case: useState, PyTorch, IDisposable
+  /\b[A-Z]{2,}s?\b/g,                        // acronyms: CSS, APIs
+]
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Pattern matching the glossary's protected terms, or null
+ */
+function getProtectedPattern(glossary) {
+  const terms = [...(glossary?.protected || [])].sort((a, b) => b.length - a.length)
+  return terms.length > 0
+    ? new RegExp(`(?<![\\w-])(${terms.map(escapeRegExp).join('|')})(?![\\w-])`, 'g')
+    : null
+}
+
+/**
+ * The prose of a segment that should have been translated
+ */
+export function stripKeptText(text, glossary) {
+  let prose = text
+  for (const pattern of KEPT_PATTERNS) prose = prose.replace(pattern, ' ')
+  const terms = getProtectedPattern(glossary)
+  if (terms) prose = prose.replace(terms, ' ')
+  return prose.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Letters of `script` in `text`
+ */
+export function countScript(text, script) {
+  return text.match(SCRIPT_PATTERNS[script])?.length ?? 0
+}
+
+/**
+ * Best guess at the Latin-script language of `text` by stop words, or
+ * null when there is too little text or no clear winner
+ */
+export function identifyLanguage(text) {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || []
+  if (words.length < MIN_WORDS) return null
+
+  const scores = Object.entries(STOP_WORD_SETS)
+    .map(([lang, stopWords]) => [lang, words.filter(word => stopWords.has(word)).length])
+    .sort((a, b) => b[1] - a[1])
+  const [[best, score], [, runnerUp]] = scores
+  return score >= 2 && score > runnerUp ? best : null
+}
+
+/**
+ * Why `prose` is not in a language written in `script`, or null
+ */
+function checkProse(prose, script, lang) {
+  if (script === 'latin') {
+    return lang !== 'en' && identifyLanguage(prose) === 'en' ? 'reads as English' : null
+  }
+
+  const latin = countScript(prose, 'latin')
+  if (latin < MIN_LATIN_LETTERS) return null
+  const own = countScript(prose, script)
+  const ratio = own / (own + latin)
+  return ratio < MIN_SCRIPT_RATIO ? `${Math.round(ratio * 100)}% ${script} script` : null
+}
+
+/**
+ * Untranslated runs of a page translated to `lang` (a languages.js entry
+ * key, written in `script`):
+ *
+ *   [{ line: 12, text: 'Flexbox makes it easy to…', reason: '0% khmer script' }]
+ *
+ * `options` are the segmenter options the page was translated with.
+ */
+export function findUntranslated(page, { lang, script, glossary, options = {} }) {
+  const found = []
+  for (const segment of segmentMarkdown(page, options)) {
+    if (segment.type !== 'text' || !segment.translate) continue
+
+    const prose = stripKeptText(segment.text, glossary)
+    const reason = checkProse(prose, script, lang)
+    if (!reason) continue
+
+    const text = segment.text.replace(/\s+/g, ' ').trim()
+    found.push({
+      line: page.slice(0, segment.start).split('\n').length,
+      text: text.length > 60 ? `${text.slice(0, 60)}…` : text,
+      reason,
+    })
+  }
+  return found
+}
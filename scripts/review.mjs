@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * Translation Review
+ * Review backlog per language, and approval of pages a native speaker
+ * has checked (see scripts/lib/review.mjs)
+ *
+ * Usage:
+ *   npm run review                                              # Backlog for every enabled language
+ *   npm run review -- report --lang km --json                   # Machine-readable backlog
+ *   npm run review -- approve docs/km/guide/css/index.md --reviewer "Name"
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { glob } from 'glob'
+import { segmentMarkdown } from './lib/segmenter.mjs'
+import { loadSegmentOptions } from './lib/config.mjs'
+import { loadLockfile, saveLockfile, getSourceKey, readIfExists, hashText } from './lib/lockfile.mjs'
+import { readTranslationMeta, updateTranslationMeta, getSuggestionsPath } from './lib/review.mjs'
+import { TARGET_LANGUAGES as LANGUAGES, getTranslatedDirs } from '../docs/.vitepress/languages.js'
+
+/**
+ * English source pages, sorted
+ */
+async function getSourceFiles() {
+  const files = await glob('docs/**/*.md', {
+    ignore: ['docs/node_modules/**', 'docs/.vitepress/**', ...getTranslatedDirs()],
+  })
+  return files.sort()
+}
+
+/**
+ * Review state of every page in one language:
+ *   missing     no translation yet
+ *   machine     machine translation nobody has reviewed (the backlog)
+ *   outdated    reviewed, but the English changed since
+ *   reviewed    reviewed and current
+ */
+async function getReviewStatus(lang, files) {
+  const pages = []
+
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf-8')
+    if (!content.trim()) continue
+
+    const outputPath = path.join('docs', lang, getSourceKey(file))
+    const existing = await readIfExists(outputPath)
+    const meta = existing === null ? null : readTranslationMeta(existing)
+    const suggestions = JSON.parse(await readIfExists(getSuggestionsPath(outputPath)) || 'null')
+
+    let status = 'machine'
+    if (existing === null) status = 'missing'
+    else if (meta?.reviewed) status = hashText(content) === meta.sourceHash ? 'reviewed' : 'outdated'
+
+    pages.push({
+      page: getSourceKey(file),
+      status,
+      provider: meta?.provider ?? null,
+      translatedAt: meta?.translatedAt ?? null,
+      reviewer: meta?.reviewed ? meta.reviewer ?? null : null,
+      reviewedAt: meta?.reviewedAt ?? null,
+      suggestions: suggestions?.suggestions.length ?? 0,
+    })
+  }
+
+  return pages
+}
+
+/**
+ * Print (or output as JSON) the review backlog of each language
+ */
+async function report(options) {
+  const files = await getSourceFiles()
+  const results = {}
+
+  for (const lang of options.languages) {
+    const pages = await getReviewStatus(lang, files)
+    const count = status => pages.filter(page => page.status === status).length
+    results[lang] = {
+      pages: pages.length,
+      reviewed: count('reviewed'),
+      outdated: count('outdated'),
+      machine: count('machine'),
+      missing: count('missing'),
+      backlog: pages.filter(page => page.status === 'machine' || page.status === 'outdated'),
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ generatedAt: new Date().toISOString(), languages: results }, null, 2))
+    return
+  }
+
+  for (const [lang, result] of Object.entries(results)) {
+    const translated = result.pages - result.missing
+    const percent = translated === 0 ? 0 : Math.round((result.reviewed / translated) * 100)
+
+    console.log(`\n🌍 ${LANGUAGES[lang].name} (${lang})`)
+    console.log('='.repeat(60))
+    console.log(`  ✅ Reviewed: ${result.reviewed}/${translated} translated page(s) (${percent}%)`)
+    console.log(`  📝 Reviewed, English changed since: ${result.outdated}`)
+    console.log(`  🤖 Machine only: ${result.machine}`)
+    if (result.missing > 0) console.log(`  ➕ Not translated: ${result.missing}`)
+
+    if (result.backlog.length > 0) {
+      console.log('\n  Backlog:')
+      for (const page of result.backlog) {
+        const detail = page.status === 'outdated'
+          ? `reviewed by ${page.reviewer || 'unknown'}, ${page.suggestions} suggestion(s) pending`
+          : `machine (${page.provider || 'unknown provider'})`
+        console.log(`    ${page.page.padEnd(50)} ${detail}`)
+      }
+    }
+  }
+  console.log('')
+}
+
+/**
+ * Mark a translated page as reviewed: stamps the reviewer, records the
+ * English it was checked against and drops its suggestions file
+ */
+async function approve(target, options) {
+  if (!options.reviewer) {
+    console.error('❌ Error: approve needs --reviewer <name>')
+    process.exit(1)
+  }
+
+  const relative = path.relative('docs', target).split(path.sep).join('/')
+  const [first, ...rest] = relative.split('/')
+  const lang = LANGUAGES[first] ? first : options.languages[0]
+  const key = LANGUAGES[first] ? rest.join('/') : relative
+  const sourcePath = path.join('docs', key)
+  const outputPath = path.join('docs', lang, key)
+
+  const source = await readIfExists(sourcePath)
+  const page = await readIfExists(outputPath)
+  if (source === null || page === null) {
+    console.error(`❌ Error: ${source === null ? sourcePath : outputPath} not found`)
+    process.exit(1)
+  }
+
+  const meta = readTranslationMeta(page) || {}
+  const reviewedAt = new Date().toISOString()
+  const sourceHash = hashText(source)
+  await fs.writeFile(outputPath, updateTranslationMeta(page, {
+    sourceHash,
+    provider: meta.provider ?? null,
+    translatedAt: meta.translatedAt ?? null,
+    reviewed: true,
+    reviewer: options.reviewer,
+    reviewedAt,
+  }), 'utf-8')
+
+  // Later runs suggest translations only for segments changed after this
+  const segmentOptions = await loadSegmentOptions()
+  const lock = await loadLockfile(lang)
+  const entry = lock.files[key] || { sourceHash, outputHash: null, segments: [] }
+  entry.review = {
+    reviewer: options.reviewer,
+    reviewedAt,
+    sourceHash,
+    segments: segmentMarkdown(source, segmentOptions).filter(part => part.translate).map(part => hashText(part.text)),
+  }
+  lock.files[key] = entry
+  await saveLockfile(lang, lock)
+
+  const suggestionsPath = getSuggestionsPath(outputPath)
+  const hadSuggestions = await readIfExists(suggestionsPath) !== null
+  if (hadSuggestions) await fs.rm(suggestionsPath)
+
+  console.log(`\n✅ ${outputPath} reviewed by ${options.reviewer}`)
+  if (hadSuggestions) console.log(`🗑️  Removed ${suggestionsPath}`)
+  console.log('')
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const options = {
+    command: null,
+    target: null,
+    languages: [],
+    reviewer: null,
+    json: false,
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--lang':
+      case '-l':
+        options.languages = args[++i]?.split(',').filter(Boolean) || []
+        break
+      case '--reviewer':
+      case '-r':
+        options.reviewer = args[++i]
+        break
+      case '--json':
+        options.json = true
+        break
+      case '--help':
+      case '-h':
+        printHelp()
+        process.exit(0)
+      default:
+        if (!options.command) options.command = args[i]
+        else if (!options.target) options.target = args[i]
+    }
+  }
+
+  return options
+}
+
+function printHelp() {
+  console.log(`
+📝 Translation Review
+
+Usage:
+  node scripts/review.mjs [command] [options]
+
+Commands:
+  report              List reviewed pages and the review backlog (default)
+  approve <page>      Mark a translated page (docs/km/...) as reviewed
+
+Options:
+  --lang, -l          Language(s), comma-separated (default: all enabled)
+  --reviewer, -r      Reviewer name, required for approve
+  --json              Print the report as JSON
+  --help, -h          Show this help message
+
+Reviewed pages are never overwritten by the translation scripts. When their
+English changes, new machine translations of the changed segments are written
+to <page>.suggestions.json; merge them, then approve the page again.
+`)
+}
+
+async function main() {
+  const options = parseArgs()
+
+  if (options.languages.length === 0) {
+    options.languages = Object.keys(LANGUAGES)
+  }
+  for (const lang of options.languages) {
+    if (!LANGUAGES[lang]) {
+      console.error(`❌ Error: Unsupported language "${lang}"`)
+      console.error(`Supported: ${Object.keys(LANGUAGES).join(', ')}`)
+      process.exit(1)
+    }
+  }
+
+  switch (options.command || 'report') {
+    case 'report':
+      await report(options)
+      break
+    case 'approve':
+      if (!options.target) {
+        console.error('❌ Error: approve needs a page')
+        process.exit(1)
+      }
+      await approve(options.target, options)
+      break
+    default:
+      printHelp()
+      process.exit(1)
+  }
+}
+
+main().catch(error => {
+  console.error(`\n❌ Fatal error: ${error.message}`)
+  process.exit(1)
+})
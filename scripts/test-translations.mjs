@@ -2,39 +2,100 @@
 /**
  * Translation Quality Assurance & Testing Script
  * Validates all translated files for completeness and quality
+ *
+ * Every test checks every file unless --sample limits it. Each test has a
+ * severity (warning or error, overridable per test id in the `qa` section
+ * of translation.config.json); the run exits 1 when a finding reaches
+ * the --fail-on threshold (default: qa.failOn, else error) or a test crashes.
+ * The report follows scripts/schemas/qa-report.schema.json (lib/qa-report.mjs).
+ *
+ * Usage:
+ *   npm run test:translations                            # All tests, all languages
+ *   npm run test:translations -- --lang km --sample 20   # First 20 pages per test
+ *   npm run test:translations -- --format sarif > qa.sarif
+ *   npm run test:translations -- --format junit --output qa.xml --fail-on warning
  */
 
 import fs from 'fs/promises'
-import path from 'path'
 import { glob } from 'glob'
+import { loadGlossary, checkGlossary } from './lib/glossary.mjs'
+import { compareTables, getHeadings } from './lib/segmenter.mjs'
+import { compareStructure, STRUCTURE_KINDS } from './lib/structure.mjs'
+import { getSourceKey } from './lib/lockfile.mjs'
+import { findUntranslated } from './lib/untranslated.mjs'
+import { loadQaOptions, loadSegmentOptions } from './lib/config.mjs'
+import { buildReport, formatJunit, formatSarif, SEVERITIES } from './lib/qa-report.mjs'
+import { TARGET_LANGUAGES as LANGUAGES, getTranslatedDirs } from '../docs/.vitepress/languages.js'
 
-const LANGUAGES = {
-  km: { name: 'Khmer', nativeName: 'ភាសាខ្មែរ' },
-  zh: { name: 'Chinese', nativeName: '中文' },
-  ja: { name: 'Japanese', nativeName: '日本語' },
+const FORMATS = ['text', 'json', 'junit', 'sarif']
+
+const FRONTMATTER_RE = /^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/
+
+// Command line options, set in main()
+let options = {}
+
+// Progress output; goes to stderr when the report is printed to stdout
+let log = console.log
+
+/**
+ * English source pages, sorted
+ */
+async function getSourceFiles() {
+  const files = await glob('docs/**/*.md', {
+    ignore: [
+      'docs/node_modules/**',
+      'docs/.vitepress/**',
+      ...getTranslatedDirs(),
+    ]
+  })
+  return files.sort()
+}
+
+/**
+ * The first --sample files of a sorted list, or all of them
+ */
+function sample(files) {
+  return options.sample ? files.slice(0, options.sample) : files
+}
+
+/**
+ * Translated pages of a language, sorted and sampled
+ */
+async function getTranslatedFiles(lang) {
+  return sample((await glob(`docs/${lang}/**/*.md`)).sort())
+}
+
+/**
+ * English source of a translated page, or null when it has none
+ */
+async function readSource(file, lang) {
+  try {
+    return await fs.readFile(file.replace(new RegExp(`^docs/${lang}/`), 'docs/'), 'utf-8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Line number of an offset in `text`
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length
 }
 
 /**
  * Test 1: Validate all translated files exist
  */
 async function testFileCompleteness() {
-  console.log('\n🔍 TEST 1: File Completeness Check')
-  console.log('='.repeat(60))
+  log('\n🔍 TEST 1: File Completeness Check')
+  log('='.repeat(60))
 
   try {
-    const sourceFiles = await glob('docs/**/*.md', {
-      ignore: [
-        'docs/node_modules/**',
-        'docs/.vitepress/**',
-        'docs/km/**',
-        'docs/zh/**',
-        'docs/ja/**',
-      ]
-    })
-
+    const sourceFiles = await getSourceFiles()
     const results = {}
+    const findings = []
 
-    for (const lang of Object.keys(LANGUAGES)) {
+    for (const lang of options.languages) {
       let translated = 0
       let missing = []
 
@@ -45,6 +106,7 @@ async function testFileCompleteness() {
           translated++
         } catch {
           missing.push(sourceFile)
+          findings.push({ lang, file: translatedFile, message: `not translated (${sourceFile})` })
         }
       }
 
@@ -55,62 +117,72 @@ async function testFileCompleteness() {
         percentage: Math.round((translated / sourceFiles.length) * 100),
       }
 
-      console.log(`\n${LANGUAGES[lang].name}:`)
-      console.log(`  ✅ Translated: ${translated}/${sourceFiles.length} (${results[lang].percentage}%)`)
-      
+      log(`\n${LANGUAGES[lang].name}:`)
+      log(`  ✅ Translated: ${translated}/${sourceFiles.length} (${results[lang].percentage}%)`)
+
       if (missing.length > 0 && missing.length <= 5) {
-        console.log(`  ⚠️  Missing: ${missing.slice(0, 5).join(', ')}`)
+        log(`  ⚠️  Missing: ${missing.slice(0, 5).join(', ')}`)
       } else if (missing.length > 5) {
-        console.log(`  ⚠️  Missing: ${missing.length} files`)
+        log(`  ⚠️  Missing: ${missing.length} files`)
       }
     }
 
-    return { passed: true, results }
+    return { results, findings }
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`)
-    return { passed: false, error: error.message }
+    return { error: error.message }
   }
 }
 
 /**
- * Test 2: Check file sizes consistency
+ * Size in bytes of a page without its frontmatter, which holds the
+ * `translation` block on translated pages and mostly untranslated keys
+ */
+async function getBodySize(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8')
+  return Buffer.byteLength(content.replace(FRONTMATTER_RE, ''))
+}
+
+/**
+ * Test 2: Check file sizes consistency, page bodies only
  */
 async function testFileSizes() {
-  console.log('\n🔍 TEST 2: File Size Consistency Check')
-  console.log('='.repeat(60))
+  log('\n🔍 TEST 2: File Size Consistency Check')
+  log('='.repeat(60))
 
   try {
-    const sourceFiles = await glob('docs/**/*.md', {
-      ignore: [
-        'docs/node_modules/**',
-        'docs/.vitepress/**',
-        'docs/km/**',
-        'docs/zh/**',
-        'docs/ja/**',
-      ]
-    })
-
+    const sourceFiles = sample(await getSourceFiles())
     const results = {}
+    const findings = []
 
-    for (const lang of Object.keys(LANGUAGES)) {
+    for (const lang of options.languages) {
       let sizeIssues = []
+      let checked = 0
 
-      for (const sourceFile of sourceFiles.slice(0, 10)) {
+      for (const sourceFile of sourceFiles) {
         const translatedFile = sourceFile.replace(/^docs\//, `docs/${lang}/`)
-        
+
         try {
-          const sourceStat = await fs.stat(sourceFile)
-          const translatedStat = await fs.stat(translatedFile)
-          
-          const ratio = translatedStat.size / sourceStat.size
-          
+          const sourceSize = await getBodySize(sourceFile)
+          const translatedSize = await getBodySize(translatedFile)
+          // Frontmatter-only pages (the home page) have nothing to compare
+          if (sourceSize === 0) continue
+          checked++
+
+          const ratio = translatedSize / sourceSize
+
           // Flag if translation is suspiciously small (< 0.5x) or large (> 3x)
           if (ratio < 0.5 || ratio > 3) {
             sizeIssues.push({
               file: sourceFile,
               ratio: ratio.toFixed(2),
-              source: sourceStat.size,
-              translated: translatedStat.size,
+              source: sourceSize,
+              translated: translatedSize,
+            })
+            findings.push({
+              lang,
+              file: translatedFile,
+              message: `${ratio.toFixed(2)}x the size of the English (${translatedSize} / ${sourceSize} bytes without frontmatter)`,
             })
           }
         } catch (error) {
@@ -119,26 +191,26 @@ async function testFileSizes() {
       }
 
       results[lang] = {
-        checked: Math.min(10, sourceFiles.length),
+        checked,
         issues: sizeIssues.length,
         sizeIssues,
       }
 
-      console.log(`\n${LANGUAGES[lang].name}:`)
+      log(`\n${LANGUAGES[lang].name}:`)
       if (sizeIssues.length === 0) {
-        console.log(`  ✅ All file sizes look reasonable`)
+        log(`  ✅ All file sizes look reasonable (${checked} files checked)`)
       } else {
-        console.log(`  ⚠️  Found ${sizeIssues.length} potential size issues:`)
+        log(`  ⚠️  Found ${sizeIssues.length} potential size issues:`)
         sizeIssues.forEach(issue => {
-          console.log(`     ${issue.file} (ratio: ${issue.ratio}x)`)
+          log(`     ${issue.file} (ratio: ${issue.ratio}x)`)
         })
       }
     }
 
-    return { passed: true, results }
+    return { results, findings }
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`)
-    return { passed: false, error: error.message }
+    return { error: error.message }
   }
 }
 
@@ -146,23 +218,25 @@ async function testFileSizes() {
  * Test 3: Check for empty translations
  */
 async function testEmptyFiles() {
-  console.log('\n🔍 TEST 3: Empty Files Check')
-  console.log('='.repeat(60))
+  log('\n🔍 TEST 3: Empty Files Check')
+  log('='.repeat(60))
 
   try {
     const results = {}
+    const findings = []
 
-    for (const lang of Object.keys(LANGUAGES)) {
-      const translatedFiles = await glob(`docs/${lang}/**/*.md`)
+    for (const lang of options.languages) {
+      const translatedFiles = await getTranslatedFiles(lang)
       let emptyFiles = []
 
       for (const file of translatedFiles) {
         const content = await fs.readFile(file, 'utf-8')
-        
+
         // Check if file is essentially empty (only whitespace or frontmatter)
         const withoutFrontmatter = content.replace(/^---[\s\S]*?---\n/, '')
         if (!withoutFrontmatter.trim()) {
           emptyFiles.push(file)
+          findings.push({ lang, file, message: 'empty translation' })
         }
       }
 
@@ -171,87 +245,86 @@ async function testEmptyFiles() {
         empty: emptyFiles.length,
       }
 
-      console.log(`\n${LANGUAGES[lang].name}:`)
+      log(`\n${LANGUAGES[lang].name}:`)
       if (emptyFiles.length === 0) {
-        console.log(`  ✅ No empty files (${translatedFiles.length} files checked)`)
+        log(`  ✅ No empty files (${translatedFiles.length} files checked)`)
       } else {
-        console.log(`  ❌ Found ${emptyFiles.length} empty files:`)
+        log(`  ❌ Found ${emptyFiles.length} empty files:`)
         emptyFiles.slice(0, 5).forEach(file => {
-          console.log(`     ${file}`)
+          log(`     ${file}`)
         })
       }
     }
 
-    const hasEmptyFiles = Object.values(results).some(r => r.empty > 0)
-    return { passed: !hasEmptyFiles, results }
+    return { results, findings }
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`)
-    return { passed: false, error: error.message }
+    return { error: error.message }
   }
 }
 
 /**
- * Test 4: Check markdown structure integrity
+ * Test 4: Compare the structure of each translated page with its English
+ * source (lib/structure.mjs) and show a per-file diff of what diverged
  */
 async function testMarkdownIntegrity() {
-  console.log('\n🔍 TEST 4: Markdown Structure Integrity Check')
-  console.log('='.repeat(60))
+  log('\n🔍 TEST 4: Markdown Structure Check')
+  log('='.repeat(60))
 
   try {
     const results = {}
+    const findings = []
 
-    for (const lang of Object.keys(LANGUAGES)) {
-      const translatedFiles = await glob(`docs/${lang}/**/*.md`)
+    for (const lang of options.languages) {
+      const translatedFiles = await getTranslatedFiles(lang)
       let structureIssues = []
 
-      for (const file of translatedFiles.slice(0, 10)) {
-        const content = await fs.readFile(file, 'utf-8')
-        const issues = []
-
-        // Check frontmatter
-        if (!content.match(/^---[\s\S]*?---\n/)) {
-          issues.push('missing frontmatter')
-        }
-
-        // Check for unmatched code blocks
-        const codeBlockCount = (content.match(/```/g) || []).length
-        if (codeBlockCount % 2 !== 0) {
-          issues.push('unmatched code blocks')
-        }
+      for (const file of translatedFiles) {
+        const sourceFile = file.replace(new RegExp(`^docs/${lang}/`), 'docs/')
+        const source = await readSource(file, lang)
+        if (source === null) continue
 
-        // Check for unmatched brackets
-        const openBrackets = (content.match(/\[/g) || []).length
-        const closeBrackets = (content.match(/\]/g) || []).length
-        if (openBrackets !== closeBrackets) {
-          issues.push('unmatched brackets')
+        const diff = compareStructure(source, await fs.readFile(file, 'utf-8'), getSourceKey(sourceFile), lang)
+        if (diff.length > 0) {
+          structureIssues.push({ file, kinds: [...new Set(diff.map(line => line.kind))], diff })
         }
-
-        if (issues.length > 0) {
-          structureIssues.push({ file, issues })
+        for (const line of diff) {
+          // `-` lines are numbered in the English page
+          findings.push(line.sign === '-'
+            ? { lang, file, message: `${line.kind}: ${line.text} missing (${sourceFile}:${line.line})` }
+            : { lang, file, line: line.line, message: `${line.kind}: ${line.sign === '+' ? `unexpected ${line.text}` : line.text}` })
         }
       }
 
       results[lang] = {
-        checked: Math.min(10, translatedFiles.length),
+        checked: translatedFiles.length,
         issues: structureIssues.length,
         details: structureIssues,
       }
 
-      console.log(`\n${LANGUAGES[lang].name}:`)
+      log(`\n${LANGUAGES[lang].name}:`)
       if (structureIssues.length === 0) {
-        console.log(`  ✅ All files have valid markdown structure`)
+        log(`  ✅ All files match the structure of the English (${translatedFiles.length} files checked)`)
       } else {
-        console.log(`  ⚠️  Found ${structureIssues.length} files with structure issues`)
-        structureIssues.forEach(issue => {
-          console.log(`     ${issue.file}: ${issue.issues.join(', ')}`)
+        log(`  ❌ Found ${structureIssues.length} files whose structure differs from the English`)
+        log(`     (- English, missing from the translation; + only in the translation)`)
+        structureIssues.forEach(({ file, diff }) => {
+          log(`\n     ${file}`)
+          for (const kind of STRUCTURE_KINDS) {
+            const lines = diff.filter(line => line.kind === kind)
+            if (lines.length === 0) continue
+            log(`       ${kind}:`)
+            lines.slice(0, 10).forEach(line => log(`         ${line.sign} line ${line.line}: ${line.text}`))
+            if (lines.length > 10) log(`         … ${lines.length - 10} more`)
+          }
         })
       }
     }
 
-    return { passed: true, results }
+    return { results, findings }
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`)
-    return { passed: false, error: error.message }
+    return { error: error.message }
   }
 }
 
@@ -259,29 +332,42 @@ async function testMarkdownIntegrity() {
  * Test 5: Check for untranslated placeholder text
  */
 async function testUntranslatedPlaceholders() {
-  console.log('\n🔍 TEST 5: Untranslated Placeholders Check')
-  console.log('='.repeat(60))
+  log('\n🔍 TEST 5: Untranslated Placeholders Check')
+  log('='.repeat(60))
 
   try {
     const results = {}
-    
+    const findings = []
+
     // Common English patterns that shouldn't appear in translations
     const suspiciousPatterns = [
       { pattern: /__[A-Z_]+__/g, name: 'placeholder markers' },
+      { pattern: /⟦\s*\d+\s*⟧/g, name: 'placeholder tokens' },
       { pattern: /undefined/gi, name: 'undefined values' },
     ]
 
-    for (const lang of Object.keys(LANGUAGES)) {
-      const translatedFiles = await glob(`docs/${lang}/**/*.md`)
+    for (const lang of options.languages) {
+      const translatedFiles = await getTranslatedFiles(lang)
       let filesWithIssues = []
 
-      for (const file of translatedFiles.slice(0, 10)) {
-        const content = await fs.readFile(file, 'utf-8')
+      for (const file of translatedFiles) {
+        // Heading ids (`{#optional-vs-undefined}`) are blanked, keeping offsets
+        const content = (await fs.readFile(file, 'utf-8')).replace(/\{#[^}]*\}/g, id => ' '.repeat(id.length))
+        const source = await readSource(file, lang) ?? ''
         const issues = []
 
+        // Only what the translation added: code samples may print `undefined`
         for (const { pattern, name } of suspiciousPatterns) {
-          if (content.match(pattern)) {
+          const matches = [...content.matchAll(pattern)]
+          const expected = source.match(pattern)?.length ?? 0
+          if (matches.length > expected) {
             issues.push(name)
+            findings.push({
+              lang,
+              file,
+              line: lineAt(content, matches[0].index),
+              message: `${name}: ${matches.length} × "${matches[0][0]}"${expected ? ` (${expected} in the English)` : ''}`,
+            })
           }
         }
 
@@ -291,128 +377,455 @@ async function testUntranslatedPlaceholders() {
       }
 
       results[lang] = {
-        checked: Math.min(10, translatedFiles.length),
+        checked: translatedFiles.length,
         issues: filesWithIssues.length,
         details: filesWithIssues,
       }
 
-      console.log(`\n${LANGUAGES[lang].name}:`)
+      log(`\n${LANGUAGES[lang].name}:`)
       if (filesWithIssues.length === 0) {
-        console.log(`  ✅ No suspicious placeholder patterns found`)
+        log(`  ✅ No suspicious placeholder patterns found (${translatedFiles.length} files checked)`)
       } else {
-        console.log(`  ⚠️  Found ${filesWithIssues.length} files with potential issues`)
+        log(`  ⚠️  Found ${filesWithIssues.length} files with potential issues`)
         filesWithIssues.forEach(issue => {
-          console.log(`     ${issue.file}: ${issue.issues.join(', ')}`)
+          log(`     ${issue.file}: ${issue.issues.join(', ')}`)
         })
       }
     }
 
-    return { passed: true, results }
+    return { results, findings }
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`)
-    return { passed: false, error: error.message }
+    return { error: error.message }
   }
 }
 
 /**
- * Generate QA report
+ * Test 6: Check glossary compliance (protected terms and forced translations)
  */
-async function generateQAReport() {
-  console.log('\n🔍 TEST 6: Generating QA Report')
-  console.log('='.repeat(60))
+async function testGlossaryCompliance() {
+  log('\n🔍 TEST 6: Glossary Compliance Check')
+  log('='.repeat(60))
 
   try {
-    const report = {
-      timestamp: new Date().toISOString(),
-      languages: LANGUAGES,
-      tests: [],
+    const results = {}
+    const findings = []
+
+    for (const lang of options.languages) {
+      const glossary = await loadGlossary(lang)
+      const translatedFiles = await getTranslatedFiles(lang)
+      let filesWithViolations = []
+
+      for (const file of translatedFiles) {
+        const source = await readSource(file, lang)
+        if (source === null) continue
+
+        const violations = checkGlossary(source, await fs.readFile(file, 'utf-8'), glossary)
+        if (violations.length > 0) {
+          filesWithViolations.push({ file, violations })
+        }
+        for (const v of violations) {
+          findings.push({
+            lang,
+            file,
+            message: v.kind === 'protected'
+              ? `"${v.term}" translated (${v.found}/${v.expected} kept)`
+              : `"${v.term}" not rendered as "${v.translation}" (${v.found}/${v.expected})`,
+          })
+        }
+      }
+
+      results[lang] = {
+        checked: translatedFiles.length,
+        issues: filesWithViolations.length,
+        details: filesWithViolations,
+      }
+
+      log(`\n${LANGUAGES[lang].name}:`)
+      if (filesWithViolations.length === 0) {
+        log(`  ✅ No glossary violations`)
+      } else {
+        log(`  ⚠️  Found ${filesWithViolations.length} files with glossary violations`)
+        filesWithViolations.forEach(({ file }) => {
+          const summary = findings.filter(finding => finding.file === file).map(finding => finding.message)
+          log(`     ${file}: ${summary.join(', ')}`)
+        })
+      }
     }
 
-    // Run all tests and collect results
-    const tests = [
-      { name: 'File Completeness', fn: testFileCompleteness },
-      { name: 'File Sizes', fn: testFileSizes },
-      { name: 'Empty Files', fn: testEmptyFiles },
-      { name: 'Markdown Integrity', fn: testMarkdownIntegrity },
-      { name: 'Untranslated Placeholders', fn: testUntranslatedPlaceholders },
-    ]
+    return { results, findings }
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`)
+    return { error: error.message }
+  }
+}
+
+/**
+ * Test 7: Check that tables keep their rows and column counts
+ */
+async function testTableStructure() {
+  log('\n🔍 TEST 7: Table Structure Check')
+  log('='.repeat(60))
+
+  try {
+    const results = {}
+    const findings = []
 
-    for (const test of tests) {
-      try {
-        const result = await test.fn()
-        report.tests.push({
-          name: test.name,
-          passed: result.passed,
-          results: result.results,
+    for (const lang of options.languages) {
+      const translatedFiles = await getTranslatedFiles(lang)
+      let brokenTables = []
+
+      for (const file of translatedFiles) {
+        const source = await readSource(file, lang)
+        if (source === null) continue
+
+        const issues = compareTables(source, await fs.readFile(file, 'utf-8'))
+        if (issues.length > 0) {
+          brokenTables.push({ file, issues })
+        }
+        findings.push(...issues.map(issue => ({ lang, file, line: issue.line, message: issue.message })))
+      }
+
+      results[lang] = {
+        checked: translatedFiles.length,
+        issues: brokenTables.length,
+        details: brokenTables,
+      }
+
+      log(`\n${LANGUAGES[lang].name}:`)
+      if (brokenTables.length === 0) {
+        log(`  ✅ All tables keep their structure`)
+      } else {
+        log(`  ❌ Found ${brokenTables.length} files with broken tables`)
+        brokenTables.forEach(({ file, issues }) => {
+          issues.forEach(issue => log(`     ${file}:${issue.line} ${issue.message}`))
         })
-      } catch (error) {
-        report.tests.push({
-          name: test.name,
-          passed: false,
-          error: error.message,
+      }
+    }
+
+    return { results, findings }
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`)
+    return { error: error.message }
+  }
+}
+
+/**
+ * Test 8: Check that every source heading keeps its anchor and level
+ */
+async function testHeadingAnchors() {
+  log('\n🔍 TEST 8: Heading Anchors Check')
+  log('='.repeat(60))
+
+  try {
+    const results = {}
+    const findings = []
+
+    for (const lang of options.languages) {
+      const translatedFiles = await getTranslatedFiles(lang)
+      let brokenAnchors = []
+
+      for (const file of translatedFiles) {
+        const source = await readSource(file, lang)
+        if (source === null) continue
+
+        const translated = await fs.readFile(file, 'utf-8')
+        const found = new Map(getHeadings(translated).map(heading => [heading.slug, heading]))
+        const issues = []
+
+        for (const heading of getHeadings(source)) {
+          const match = found.get(heading.slug)
+          if (!match) {
+            issues.push({ line: heading.line, message: `#${heading.slug} missing`, english: true })
+          } else if (match.level !== heading.level) {
+            issues.push({ line: match.line, message: `#${heading.slug} is h${match.level}, expected h${heading.level}` })
+          }
+        }
+
+        if (issues.length > 0) {
+          brokenAnchors.push({ file, issues: issues.map(issue => `line ${issue.line}: ${issue.message}`) })
+        }
+        for (const issue of issues) {
+          findings.push(issue.english
+            ? { lang, file, message: `${issue.message} (English line ${issue.line})` }
+            : { lang, file, line: issue.line, message: issue.message })
+        }
+      }
+
+      results[lang] = {
+        checked: translatedFiles.length,
+        issues: brokenAnchors.length,
+        details: brokenAnchors,
+      }
+
+      log(`\n${LANGUAGES[lang].name}:`)
+      if (brokenAnchors.length === 0) {
+        log(`  ✅ All heading anchors match the source`)
+      } else {
+        log(`  ❌ Found ${brokenAnchors.length} files with broken heading anchors`)
+        brokenAnchors.forEach(({ file, issues }) => {
+          issues.forEach(issue => log(`     ${file} ${issue}`))
+        })
+      }
+    }
+
+    return { results, findings }
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`)
+    return { error: error.message }
+  }
+}
+
+/**
+ * Test 9: Find prose still in English (lib/untranslated.mjs), such as
+ * paragraphs the translator fell back to English for
+ */
+async function testUntranslatedText() {
+  log('\n🔍 TEST 9: Untranslated Text Check')
+  log('='.repeat(60))
+
+  try {
+    const results = {}
+    const findings = []
+    const segmentOptions = await loadSegmentOptions()
+
+    for (const lang of options.languages) {
+      const { script } = LANGUAGES[lang]
+      const glossary = await loadGlossary(lang)
+      const translatedFiles = await getTranslatedFiles(lang)
+      let untranslated = []
+
+      for (const file of translatedFiles) {
+        const runs = findUntranslated(await fs.readFile(file, 'utf-8'), { lang, script, glossary, options: segmentOptions })
+        if (runs.length > 0) {
+          untranslated.push({ file, runs })
+        }
+        findings.push(...runs.map(run => ({ lang, file, line: run.line, message: `${run.reason}: ${run.text}` })))
+      }
+
+      results[lang] = {
+        checked: translatedFiles.length,
+        issues: untranslated.length,
+        paragraphs: untranslated.reduce((sum, { runs }) => sum + runs.length, 0),
+        details: untranslated,
+      }
+
+      log(`\n${LANGUAGES[lang].name} (${script} script):`)
+      if (untranslated.length === 0) {
+        log(`  ✅ No untranslated paragraphs (${translatedFiles.length} files checked)`)
+      } else {
+        log(`  ⚠️  Found ${results[lang].paragraphs} untranslated paragraphs in ${untranslated.length} files`)
+        untranslated.forEach(({ file, runs }) => {
+          log(`\n     ${file}`)
+          runs.slice(0, 10).forEach(run => log(`       line ${run.line}: ${run.text}`))
+          if (runs.length > 10) log(`       … ${runs.length - 10} more`)
         })
       }
     }
 
-    // Save report
+    return { results, findings }
+  } catch (error) {
+    console.error(`  ❌ Error: ${error.message}`)
+    return { error: error.message }
+  }
+}
+
+// Test id (report key, `qa.severity` key), name, default severity
+const TESTS = [
+  { id: 'fileCompleteness', name: 'File Completeness', severity: 'warning', fn: testFileCompleteness },
+  { id: 'fileSizes', name: 'File Sizes', severity: 'warning', fn: testFileSizes },
+  { id: 'emptyFiles', name: 'Empty Files', severity: 'error', fn: testEmptyFiles },
+  { id: 'markdownIntegrity', name: 'Markdown Integrity', severity: 'error', fn: testMarkdownIntegrity },
+  { id: 'untranslatedPlaceholders', name: 'Untranslated Placeholders', severity: 'error', fn: testUntranslatedPlaceholders },
+  { id: 'glossaryCompliance', name: 'Glossary Compliance', severity: 'warning', fn: testGlossaryCompliance },
+  { id: 'tableStructure', name: 'Table Structure', severity: 'error', fn: testTableStructure },
+  { id: 'headingAnchors', name: 'Heading Anchors', severity: 'error', fn: testHeadingAnchors },
+  { id: 'untranslatedText', name: 'Untranslated Text', severity: 'warning', fn: testUntranslatedText },
+]
+
+/**
+ * Test 10: Build the QA report from the test runs and save it
+ */
+async function generateQAReport(runs) {
+  log('\n🔍 TEST 10: Generating QA Report')
+  log('='.repeat(60))
+
+  const languages = Object.fromEntries(options.languages.map(lang => [lang, LANGUAGES[lang]]))
+  const report = buildReport(runs, { languages, options })
+
+  try {
     const reportPath = `translation-report-${new Date().toISOString().split('T')[0]}.json`
     await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8')
-    
-    console.log(`\n  ✅ Report saved: ${reportPath}`)
-    
-    return { passed: true, reportPath }
+    log(`\n  ✅ Report saved: ${reportPath}`)
   } catch (error) {
     console.error(`  ❌ Error: ${error.message}`)
-    return { passed: false, error: error.message }
   }
+
+  return report
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const parsed = {
+    languages: [],
+    sample: null,
+    format: 'text',
+    output: null,
+    failOn: null,
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--lang':
+      case '-l':
+        parsed.languages = args[++i]?.split(',').filter(Boolean) || []
+        break
+      case '--sample':
+        parsed.sample = parseInt(args[++i], 10) || null
+        break
+      case '--format':
+        parsed.format = args[++i]
+        break
+      case '--output':
+      case '-o':
+        parsed.output = args[++i]
+        break
+      case '--fail-on':
+        parsed.failOn = args[++i]
+        break
+      case '--help':
+      case '-h':
+        printHelp()
+        process.exit(0)
+    }
+  }
+
+  return parsed
+}
+
+function printHelp() {
+  console.log(`
+🧪 Translation QA & Testing Suite
+
+Usage:
+  npm run test:translations -- [options]
+
+Options:
+  --lang, -l      Language(s), comma-separated (default: all enabled)
+  --sample N      Check only the first N pages per test and language (default: all)
+  --format        ${FORMATS.join(', ')} (default: text). Other formats are printed
+                  to stdout, with the progress on stderr, unless --output is given
+  --output, -o    Write the --format report to a file
+  --fail-on       Lowest severity that exits 1: ${[...SEVERITIES].reverse().join(', ')} or none
+                  (default: qa.failOn in translation.config.json, else error)
+  --help, -h      Show this help message
+
+Tests and default severities:
+${TESTS.map(test => `  ${test.id.padEnd(26)} ${test.severity}`).join('\n')}
+Override them per test id in qa.severity of translation.config.json.
+
+The JSON report (translation-report-YYYY-MM-DD.json) follows
+scripts/schemas/qa-report.schema.json.
+`)
 }
 
 /**
  * Main execution
  */
 async function main() {
-  console.log('\n' + '='.repeat(60))
-  console.log('🧪 TRANSLATION QA & TESTING SUITE')
-  console.log('='.repeat(60))
-
-  const results = {
-    fileCompleteness: await testFileCompleteness(),
-    fileSizes: await testFileSizes(),
-    emptyFiles: await testEmptyFiles(),
-    markdownIntegrity: await testMarkdownIntegrity(),
-    untranslatedPlaceholders: await testUntranslatedPlaceholders(),
-    qaReport: await generateQAReport(),
+  options = parseArgs()
+  const qa = await loadQaOptions()
+  options.failOn ||= qa.failOn || 'error'
+
+  if (options.languages.length === 0) {
+    options.languages = Object.keys(LANGUAGES)
+  }
+  for (const lang of options.languages) {
+    if (!LANGUAGES[lang]) {
+      console.error(`❌ Error: Unsupported language "${lang}"`)
+      console.error(`Supported: ${Object.keys(LANGUAGES).join(', ')}`)
+      process.exit(1)
+    }
+  }
+  if (!FORMATS.includes(options.format)) {
+    console.error(`❌ Error: Unknown format "${options.format}" (${FORMATS.join(', ')})`)
+    process.exit(1)
+  }
+  if (![...SEVERITIES, 'none'].includes(options.failOn)) {
+    console.error(`❌ Error: --fail-on must be one of ${[...SEVERITIES, 'none'].join(', ')}`)
+    process.exit(1)
+  }
+  if (options.format !== 'text' && !options.output) {
+    log = console.error
+  }
+
+  log('\n' + '='.repeat(60))
+  log('🧪 TRANSLATION QA & TESTING SUITE')
+  log('='.repeat(60))
+  if (options.sample) log(`🎲 Sample: first ${options.sample} page(s) per test and language`)
+
+  const runs = []
+  for (const test of TESTS) {
+    const severity = qa.severity[test.id] || test.severity
+    const result = await test.fn()
+    const findings = (result.findings || []).map(finding => ({ ...finding, severity }))
+    runs.push({
+      id: test.id,
+      name: test.name,
+      severity,
+      passed: !result.error && findings.length === 0,
+      results: result.results,
+      findings,
+      error: result.error,
+    })
   }
 
+  const report = await generateQAReport(runs)
+
   // Summary
-  console.log('\n' + '='.repeat(60))
-  console.log('📊 TEST SUMMARY')
-  console.log('='.repeat(60))
-
-  let allPassed = true
-  for (const [testName, result] of Object.entries(results)) {
-    const symbol = result.passed ? '✅' : '⚠️'
-    console.log(`${symbol} ${testName.replace(/([A-Z])/g, ' $1').trim()}`)
-    if (!result.passed && result.error) {
-      console.log(`   Error: ${result.error}`)
-      allPassed = false
+  log('\n' + '='.repeat(60))
+  log('📊 TEST SUMMARY')
+  log('='.repeat(60))
+
+  for (const run of report.tests) {
+    const symbol = run.passed ? '✅' : run.error || run.severity === 'error' ? '❌' : '⚠️ '
+    const count = run.findings.length > 0 ? ` (${run.findings.length} ${run.severity}${run.findings.length === 1 ? '' : 's'})` : ''
+    log(`${symbol} ${run.name}${count}`)
+    if (run.error) {
+      log(`   Error: ${run.error}`)
     }
   }
 
-  console.log('\n' + '='.repeat(60))
-  
-  if (allPassed) {
-    console.log('✨ All tests passed! Translations are working correctly.')
+  log('\n' + '='.repeat(60))
+
+  if (!report.summary.failed && report.summary.passed === report.summary.tests) {
+    log('✨ All tests passed! Translations are working correctly.')
+  } else if (!report.summary.failed) {
+    log(`⚠️  Some tests found issues below the --fail-on threshold (${options.failOn}). Review the report above.`)
   } else {
-    console.log('⚠️  Some tests found issues. Review the report above.')
+    log(`❌ Issues at or above ${options.failOn} severity. Review the report above.`)
+  }
+
+  log('='.repeat(60) + '\n')
+
+  if (options.format !== 'text') {
+    const formatted = options.format === 'junit'
+      ? formatJunit(report)
+      : JSON.stringify(options.format === 'sarif' ? formatSarif(report) : report, null, 2) + '\n'
+    if (options.output) {
+      await fs.writeFile(options.output, formatted, 'utf-8')
+      log(`📄 ${options.format} report saved: ${options.output}\n`)
+    } else {
+      process.stdout.write(formatted)
+    }
   }
-  
-  console.log('='.repeat(60) + '\n')
 
-  return allPassed ? 0 : 1
+  return report.summary.failed ? 1 : 0
 }
 
-main().catch(error => {
+main().then(code => {
+  process.exitCode = code
+}).catch(error => {
   console.error('\n❌ Fatal error:', error.message)
   process.exit(1)
 })
@@ -3,176 +3,44 @@
  * Master Translation Script
  * Runs translation for ALL pages to Khmer language
  * With progress tracking and detailed reporting
+ *
+ * Usage:
+ *   node scripts/translate-all.mjs [--provider <name>] [--concurrency <n>]
  */
 
-import { translate } from '@vitalets/google-translate-api'
 import fs from 'fs/promises'
 import path from 'path'
 import { glob } from 'glob'
 import { fileURLToPath } from 'url'
+import { loadProvider } from './lib/providers.mjs'
+import { loadScheduler, formatThroughput } from './lib/scheduler.mjs'
+import { openMemory } from './lib/memory.mjs'
+import { loadGlossary } from './lib/glossary.mjs'
+import { createTranslator } from './lib/translator.mjs'
+import { loadSegmentOptions } from './lib/config.mjs'
+import { loadLinkTargets } from './lib/links.mjs'
+import { TARGET_LANGUAGES as LANGUAGES, getTranslatedDirs } from '../docs/.vitepress/languages.js'
+import { loadLockfile } from './lib/lockfile.mjs'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
-// Supported languages - ONLY Khmer
-const LANGUAGES = {
-  km: { name: 'Khmer', nativeName: 'ភាសាខ្មែរ', code: 'km' },
-}
+// Persistent translation memory (.translation-cache/memory.jsonl), opened in main()
+let memory = null
 
-const translationCache = new Map()
+// Glossary per target language (glossary/common.json + glossary/{lang}.json)
+const glossaries = {}
 
-async function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
-}
+// Link targets per target language (lib/links.mjs), loaded in main()
+const linkTargets = {}
 
-/**
- * Parse markdown with enhanced code block detection
- */
-function parseMarkdown(content) {
-  const parts = []
-  let currentIndex = 0
-
-  const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---\n/)
-  if (frontmatterMatch) {
-    parts.push({
-      type: 'frontmatter',
-      content: frontmatterMatch[0],
-      translate: false,
-    })
-    currentIndex = frontmatterMatch[0].length
-  }
+// Translation provider, resolved in main() from --provider or config
+let provider = null
 
-  const restContent = content.slice(currentIndex)
-  const codeBlockRegex = /(```[\s\S]*?```|<style[^>]*>[\s\S]*?<\/style>|<script[^>]*>[\s\S]*?<\/script>|<!--[\s\S]*?-->)/gi
-  
-  const segments = restContent.split(codeBlockRegex)
-
-  for (const segment of segments) {
-    if (!segment) continue
-
-    if (segment.match(/^```[\s\S]*```$/) || 
-        segment.match(/^<style/i) || 
-        segment.match(/^<script/i) ||
-        segment.match(/^<!--/)) {
-      parts.push({
-        type: 'code',
-        content: segment,
-        translate: false,
-      })
-    } else if (segment.trim()) {
-      parts.push({
-        type: 'text',
-        content: segment,
-        translate: true,
-      })
-    } else if (segment) {
-      parts.push({
-        type: 'whitespace',
-        content: segment,
-        translate: false,
-      })
-    }
-  }
+// Segmenter options (translationSettings in translation.config.json), set in main()
+let segmentOptions = {}
 
-  return parts
-}
-
-/**
- * Translate text with all preservation logic
- */
-async function translateText(text, targetLang, retries = 3) {
-  if (!text.trim()) return text
-
-  const cacheKey = `${text.substring(0, 100)}_${targetLang}`
-  if (translationCache.has(cacheKey)) {
-    return translationCache.get(cacheKey)
-  }
-
-  const langCode = LANGUAGES[targetLang].code
-
-  const inlineCodeMatches = []
-  let processedText = text.replace(/`([^`]+)`/g, (match) => {
-    inlineCodeMatches.push(match)
-    return `__INLINE_CODE_${inlineCodeMatches.length - 1}__`
-  })
-
-  const linkMatches = []
-  processedText = processedText.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
-    linkMatches.push({ text: linkText, url })
-    return `__LINK_${linkMatches.length - 1}__`
-  })
-
-  const imageMatches = []
-  processedText = processedText.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, url) => {
-    imageMatches.push({ alt, url })
-    return `__IMAGE_${imageMatches.length - 1}__`
-  })
-
-  const htmlMatches = []
-  processedText = processedText.replace(/<[^>]+>/g, (match) => {
-    htmlMatches.push(match)
-    return `__HTML_${htmlMatches.length - 1}__`
-  })
-
-  try {
-    const result = await translate(processedText, { to: langCode })
-    let translatedText = result.text
-
-    htmlMatches.forEach((tag, i) => {
-      const regex = new RegExp(`__HTML_\\s*${i}\\s*__`, 'gi')
-      translatedText = translatedText.replace(regex, tag)
-    })
-
-    inlineCodeMatches.forEach((code, i) => {
-      const regex = new RegExp(`__INLINE_CODE_\\s*${i}\\s*__`, 'gi')
-      translatedText = translatedText.replace(regex, code)
-    })
-
-    for (let i = 0; i < linkMatches.length; i++) {
-      const { text: linkText, url } = linkMatches[i]
-      const translatedLinkText = (await translate(linkText, { to: langCode })).text
-      const regex = new RegExp(`__LINK_\\s*${i}\\s*__`, 'gi')
-      translatedText = translatedText.replace(regex, `[${translatedLinkText}](${url})`)
-    }
-
-    for (let i = 0; i < imageMatches.length; i++) {
-      const { alt, url } = imageMatches[i]
-      let translatedAlt = alt
-      if (alt.trim()) {
-        translatedAlt = (await translate(alt, { to: langCode })).text
-      }
-      const regex = new RegExp(`__IMAGE_\\s*${i}\\s*__`, 'gi')
-      translatedText = translatedText.replace(regex, `![${translatedAlt}](${url})`)
-    }
-
-    translationCache.set(cacheKey, translatedText)
-    return translatedText
-  } catch (error) {
-    if (retries > 0) {
-      await delay(1000)
-      return translateText(text, targetLang, retries - 1)
-    }
-    return text
-  }
-}
-
-/**
- * Translate markdown content
- */
-async function translateMarkdown(content, targetLang) {
-  const parts = parseMarkdown(content)
-  const translatedParts = []
-
-  for (const part of parts) {
-    if (part.translate) {
-      const translated = await translateText(part.content, targetLang)
-      translatedParts.push(translated)
-    } else {
-      translatedParts.push(part.content)
-    }
-  }
-
-  return translatedParts.join('')
-}
+// Page and segment translation (lib/translator.mjs), created in main()
+let translator = null
 
 /**
  * Get all markdown files
@@ -183,50 +51,19 @@ async function getMarkdownFiles() {
       'docs/node_modules/**',
       'docs/.vitepress/cache/**',
       'docs/.vitepress/dist/**',
-      'docs/km/**',
+      ...getTranslatedDirs(),
     ]
   })
 
   return files.sort()
 }
 
-/**
- * Get translated file path
- */
-function getTranslatedPath(originalPath, lang) {
-  const relativePath = originalPath.replace(/^docs\//, '')
-  return path.join('docs', lang, relativePath)
-}
-
-/**
- * Translate single file
- */
-async function translateFile(filePath, lang, progressCallback) {
-  const outputPath = getTranslatedPath(filePath, lang)
-
-  try {
-    const content = await fs.readFile(filePath, 'utf-8')
-
-    if (!content.trim()) {
-      return { skipped: true, reason: 'empty' }
-    }
-
-    // Check if already exists
-    try {
-      await fs.access(outputPath)
-      return { skipped: true, reason: 'exists' }
-    } catch {
-      // Continue with translation
-    }
-
-    const translated = await translateMarkdown(content, lang)
-    await fs.mkdir(path.dirname(outputPath), { recursive: true })
-    await fs.writeFile(outputPath, translated, 'utf-8')
-
-    return { success: true }
-  } catch (error) {
-    return { error: error.message }
-  }
+const SKIP_REASONS = {
+  empty: '(empty)',
+  current: '(up to date)',
+  untracked: '(exists, not in lockfile)',
+  edited: '(edited by hand)',
+  reviewed: '(reviewed, kept)',
 }
 
 /**
@@ -253,10 +90,28 @@ function formatDuration(ms) {
   return `${seconds}s`
 }
 
+/**
+ * Read the value of a command line option such as --provider / -p, if any
+ */
+function getArg(...names) {
+  const args = process.argv.slice(2)
+  const index = args.findIndex(arg => names.includes(arg))
+  return index !== -1 ? args[index + 1] : null
+}
+
 /**
  * Main execution
  */
 async function main() {
+  const concurrency = parseInt(getArg('--concurrency', '-c'), 10) || null
+  provider = await loadScheduler(await loadProvider(getArg('--provider', '-p')), { concurrency })
+  segmentOptions = await loadSegmentOptions()
+  memory = await openMemory()
+  for (const lang of Object.keys(LANGUAGES)) {
+    glossaries[lang] = await loadGlossary(lang)
+  }
+  translator = createTranslator({ provider, memory, glossaries, linkTargets, segmentOptions })
+
   console.clear()
   console.log('\n' + '='.repeat(70))
   console.log('🌍 MASTER TRANSLATION SUITE - ALL PAGES TO KHMER')
@@ -267,9 +122,13 @@ async function main() {
   // Get all files
   const files = await getMarkdownFiles()
   const langs = Object.keys(LANGUAGES)
+  for (const lang of langs) {
+    linkTargets[lang] = await loadLinkTargets(lang, files)
+  }
 
   console.log(`\n📁 Source files: ${files.length}`)
   console.log(`🌐 Target languages: ${langs.length}`)
+  console.log(`🔌 Provider: ${provider.name}`)
   console.log(`📊 Total translations: ${files.length * langs.length}\n`)
 
   const stats = {
@@ -279,6 +138,8 @@ async function main() {
     errors: 0,
     byLanguage: {},
     byFile: {},
+    failures: [],
+    suggestions: 0,
   }
 
   // Initialize stats
@@ -299,6 +160,7 @@ async function main() {
     console.log(`${'='.repeat(70)}\n`)
 
     const langStartTime = Date.now()
+    const lock = await loadLockfile(lang)
 
     for (const fileIndex in files) {
       const file = files[fileIndex]
@@ -306,7 +168,7 @@ async function main() {
       const currentTranslation = (parseInt(langIndex) * files.length) + fileNum
       const totalTranslations = files.length * langs.length
 
-      const result = await translateFile(file, lang)
+      const result = await translator.translatePage(file, lang, lock)
 
       stats.total++
 
@@ -318,14 +180,28 @@ async function main() {
         const shortPath = file.length > 45 ? '...' + file.slice(-42) : file
         const progress = getProgressBar(currentTranslation, totalTranslations, 25)
         console.log(`${status} ${shortPath}`)
+        for (const issue of result.tableIssues) {
+          console.log(`   ⚠️  Table at line ${issue.line}: ${issue.message}`)
+        }
+        for (const issue of result.diagramIssues) {
+          console.log(`   ⚠️  Diagram at line ${issue.line}: ${issue.message}`)
+        }
+        for (const failure of result.failures) {
+          console.log(`   ⚠️  Line ${failure.line}: ${failure.message}`)
+          stats.failures.push({ file, lang, ...failure })
+        }
         console.log(`   ${progress}`)
       } else if (result.skipped) {
         stats.skipped++
         stats.byLanguage[lang].skipped++
         stats.byFile[file].skipped++
-        const reason = result.reason === 'exists' ? '(already exists)' : '(empty)'
+        const reason = SKIP_REASONS[result.reason]
         const shortPath = file.length > 45 ? '...' + file.slice(-42) : file
         console.log(`⏭️  ${shortPath} ${reason}`)
+        if (result.suggestions) {
+          console.log(`   📝 ${result.suggestions} suggestion(s) for the reviewer`)
+          stats.suggestions += result.suggestions
+        }
       } else if (result.error) {
         stats.errors++
         stats.byLanguage[lang].errors++
@@ -334,10 +210,6 @@ async function main() {
         console.log(`❌ ${shortPath}`)
         console.log(`   Error: ${result.error}`)
       }
-
-      if (result.success) {
-        await delay(500)
-      }
     }
 
     const langDuration = formatDuration(Date.now() - langStartTime)
@@ -355,7 +227,15 @@ async function main() {
   console.log(`📝 Total operations: ${stats.total}`)
   console.log(`✅ Successful: ${stats.success}`)
   console.log(`⏭️  Skipped: ${stats.skipped}`)
-  console.log(`❌ Errors: ${stats.errors}\n`)
+  console.log(`❌ Errors: ${stats.errors}`)
+  console.log(`⚠️  Segment issues: ${stats.failures.length}`)
+  console.log(`📝 Suggestions for reviewed pages: ${stats.suggestions}\n`)
+
+  console.log(`⚡ Throughput:`)
+  for (const line of formatThroughput(provider.stats)) {
+    console.log(`  ${line}`)
+  }
+  console.log('')
 
   console.log(`Per-Language Stats:`)
   for (const lang of langs) {
@@ -381,6 +261,7 @@ async function main() {
       timestamp: new Date().toISOString(),
       duration: totalDuration,
       stats,
+      throughput: provider.stats,
     }, null, 2),
     'utf-8'
   )
@@ -5,6 +5,8 @@
  * 
  * ⚠️  NODE.JS ONLY - Do not import in browser/HTML files
  * Run from command line: node scripts/translate-css.mjs --lang km
+ * Without --lang it translates to every enabled language in
+ * docs/.vitepress/languages.js
  */
 
 // Check if running in Node.js environment
@@ -12,156 +14,38 @@ if (typeof window !== 'undefined') {
   throw new Error('❌ This script can only be run in Node.js environment, not in a browser. Use: node scripts/translate-css.mjs')
 }
 
-import { translate } from '@vitalets/google-translate-api'
-import fs from 'fs/promises'
-import path from 'path'
 import { glob } from 'glob'
+import { loadProvider, PROVIDERS } from './lib/providers.mjs'
+import { loadScheduler, formatThroughput } from './lib/scheduler.mjs'
+import { openMemory } from './lib/memory.mjs'
+import { loadGlossary } from './lib/glossary.mjs'
+import { createTranslator } from './lib/translator.mjs'
+import { loadSegmentOptions } from './lib/config.mjs'
+import { loadLinkTargets } from './lib/links.mjs'
+import { getSuggestionsPath } from './lib/review.mjs'
+import { TARGET_LANGUAGES as CSS_LANGUAGES, getTranslatedDirs } from '../docs/.vitepress/languages.js'
+import { loadLockfile } from './lib/lockfile.mjs'
 
-const CSS_LANGUAGES = {
-  km: { name: 'Khmer', nativeName: 'ភាសាខ្មែរ', code: 'km' },
-  zh: { name: 'Chinese', nativeName: '中文', code: 'zh-CN' },
-  ja: { name: 'Japanese', nativeName: '日本語', code: 'ja' },
-}
+// Translation provider, resolved in main() from --provider or config
+let provider = null
 
-/**
- * Parse CSS-specific markdown with enhanced code block preservation
- */
-function parseCSSMarkdown(content) {
-  const parts = []
-  let currentIndex = 0
-
-  // Extract frontmatter first
-  const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---\n/)
-  if (frontmatterMatch) {
-    parts.push({
-      type: 'frontmatter',
-      content: frontmatterMatch[0],
-      translate: false,
-    })
-    currentIndex = frontmatterMatch[0].length
-  }
+// Segmenter options (translationSettings in translation.config.json), set in main()
+let segmentOptions = {}
 
-  const restContent = content.slice(currentIndex)
-
-  // Enhanced regex to catch CSS, HTML, JavaScript code blocks
-  const codeBlockRegex = /(```(?:css|html|javascript|js|vue|jsx)\n[\s\S]*?```|```\n[\s\S]*?```|<style[^>]*>[\s\S]*?<\/style>|<script[^>]*>[\s\S]*?<\/script>|<!--[\s\S]*?-->)/gi
-  const segments = restContent.split(codeBlockRegex)
-
-  for (const segment of segments) {
-    if (segment.match(/^```(?:css|html|javascript|js|vue|jsx)\n/) || 
-        segment.match(/^```\n/) ||
-        segment.match(/^<style/i) || 
-        segment.match(/^<script/i) ||
-        segment.match(/^<!--/)) {
-      // Code block, style, script, or comment - don't translate
-      parts.push({
-        type: 'code',
-        content: segment,
-        translate: false,
-      })
-    } else if (segment.trim()) {
-      // Regular text - translate it
-      parts.push({
-        type: 'text',
-        content: segment,
-        translate: true,
-      })
-    } else if (segment) {
-      // Whitespace only
-      parts.push({
-        type: 'whitespace',
-        content: segment,
-        translate: false,
-      })
-    }
-  }
+// Persistent translation memory (.translation-cache/memory.jsonl), opened in main()
+let memory = null
 
-  return parts
-}
+// Glossary per target language (glossary/common.json + glossary/{lang}.json)
+const glossaries = {}
 
-/**
- * Translate CSS tutorial text with better error handling
- */
-async function translateCSSText(text, targetLang, retries = 3) {
-  if (!text.trim()) return text
-
-  const langCode = CSS_LANGUAGES[targetLang].code
+// Link targets per target language (lib/links.mjs), loaded in main()
+const linkTargets = {}
 
-  // Preserve CSS property names and values
-  const cssMatches = []
-  let processedText = text.replace(/\b(color|background|padding|margin|border|font-size|width|height|display|flex|grid):/gi, (match) => {
-    cssMatches.push(match)
-    return `__CSS_PROP_${cssMatches.length - 1}__`
-  })
-
-  // Preserve inline code
-  const inlineCodeMatches = []
-  processedText = processedText.replace(/`([^`]+)`/g, (match) => {
-    inlineCodeMatches.push(match)
-    return `__CODE_${inlineCodeMatches.length - 1}__`
-  })
-
-  // Preserve links
-  const linkMatches = []
-  processedText = processedText.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
-    linkMatches.push({ text: linkText, url })
-    return `__LINK_${linkMatches.length - 1}__`
-  })
-
-  try {
-    const result = await translate(processedText, { to: langCode })
-    let translatedText = result.text
-
-    // Restore CSS properties
-    cssMatches.forEach((prop, i) => {
-      translatedText = translatedText.replace(new RegExp(`__CSS_PROP_\\s*${i}\\s*__`, 'gi'), prop)
-    })
-
-    // Restore inline code
-    inlineCodeMatches.forEach((code, i) => {
-      translatedText = translatedText.replace(new RegExp(`__CODE_\\s*${i}\\s*__`, 'gi'), code)
-    })
-
-    // Restore links
-    for (let i = 0; i < linkMatches.length; i++) {
-      const { text: linkText, url } = linkMatches[i]
-      const translatedLinkText = (await translate(linkText, { to: langCode })).text
-      translatedText = translatedText.replace(
-        new RegExp(`__LINK_\\s*${i}\\s*__`, 'gi'),
-        `[${translatedLinkText}](${url})`
-      )
-    }
-
-    return translatedText
-  } catch (error) {
-    if (retries > 0) {
-      console.log(`    ⏳ Retrying (${retries} attempts left)...`)
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      return translateCSSText(text, targetLang, retries - 1)
-    }
-    console.error(`    ❌ Translation failed: ${error.message}`)
-    return text
-  }
-}
-
-/**
- * Translate CSS markdown content
- */
-async function translateCSSMarkdown(content, targetLang) {
-  const parts = parseCSSMarkdown(content)
-  const translatedParts = []
-
-  for (const part of parts) {
-    if (part.translate) {
-      const translated = await translateCSSText(part.content, targetLang)
-      translatedParts.push(translated)
-    } else {
-      translatedParts.push(part.content)
-    }
-  }
+// Page and segment translation (lib/translator.mjs), created in main()
+let translator = null
 
-  return translatedParts.join('')
-}
+// CSS property names and values stay in English
+const CSS_PROPERTY_PATTERN = /\b(color|background|padding|margin|border|font-size|width|height|display|flex|grid):/gi
 
 /**
  * Get CSS tutorial files
@@ -176,50 +60,54 @@ async function getCSSFiles(specificFile = null) {
       'docs/node_modules/**',
       'docs/.vitepress/cache/**',
       'docs/.vitepress/dist/**',
-      'docs/km/**',
-      'docs/zh/**',
-      'docs/ja/**',
+      ...getTranslatedDirs(),
     ]
   })
 
   return files.sort()
 }
 
-/**
- * Get translated file path
- */
-function getTranslatedPath(originalPath, lang) {
-  const relativePath = originalPath.replace(/^docs\//, '')
-  return path.join('docs', lang, relativePath)
+// Why translatePage() left a page alone
+const SKIP_MESSAGES = {
+  empty: '⏭️  Skipping (empty)',
+  untracked: '⏭️  Skipping (exists, not in lockfile)',
+  edited: '⚠️  Skipping (edited since last run)',
+  current: '⏭️  Skipping (up to date)',
 }
 
 /**
  * Translate CSS tutorial file
  */
-async function translateCSSFile(filePath, lang) {
-  const outputPath = getTranslatedPath(filePath, lang)
-
-  try {
-    const content = await fs.readFile(filePath, 'utf-8')
+async function translateCSSFile(filePath, lang, lock) {
+  const result = await translator.translatePage(filePath, lang, lock)
 
-    if (!content.trim()) {
-      console.log(`  ⏭️  Skipping (empty): ${filePath}`)
-      return { skipped: true }
+  if (result.reason === 'reviewed') {
+    if (!result.outdated) {
+      console.log(`  ⏭️  Skipping (reviewed, up to date): ${result.outputPath}`)
+    } else {
+      console.log(`  📝 Kept (reviewed by ${result.reviewer || 'unknown'}): ${result.outputPath}`)
+      if (result.suggestions > 0) console.log(`     ${result.suggestions} suggestion(s) written to ${getSuggestionsPath(result.outputPath)}`)
     }
+    return { skipped: true }
+  }
+  if (result.skipped) {
+    console.log(`  ${SKIP_MESSAGES[result.reason]}: ${result.reason === 'empty' ? filePath : result.outputPath}`)
+    return { skipped: true }
+  }
+  if (result.error) {
+    console.error(`  ❌ Error translating ${filePath}: ${result.error}`)
+    return { error: result.error }
+  }
 
-    console.log(`  🔄 Translating: ${filePath}`)
-
-    const translated = await translateCSSMarkdown(content, lang)
-
-    await fs.mkdir(path.dirname(outputPath), { recursive: true })
-    await fs.writeFile(outputPath, translated, 'utf-8')
-
-    console.log(`  ✅ Saved: ${outputPath}`)
-    return { success: true }
-  } catch (error) {
-    console.error(`  ❌ Error translating ${filePath}: ${error.message}`)
-    return { error: error.message }
+  console.log(`  🔄 ${result.created ? 'Translated' : 'Updated'}: ${filePath}`)
+  for (const issue of result.diagramIssues) {
+    console.warn(`    ⚠️  Diagram at line ${issue.line}: ${issue.message}`)
   }
+  for (const failure of result.failures) {
+    console.warn(`    ⚠️  Line ${failure.line}: ${failure.message}`)
+  }
+  console.log(`  ✅ Saved: ${result.outputPath} (${result.translated} translated, ${result.reused} reused)`)
+  return { success: true }
 }
 
 /**
@@ -228,16 +116,19 @@ async function translateCSSFile(filePath, lang) {
 function parseArgs() {
   const args = process.argv.slice(2)
   const options = {
-    lang: 'km',
+    languages: [],
     file: null,
     verbose: false,
+    provider: null,
   }
 
   for (let i = 0; i < args.length; i++) {
     if ((args[i] === '--lang' || args[i] === '-l') && args[i + 1]) {
-      options.lang = args[++i]
+      options.languages = args[++i].split(',').filter(Boolean)
     } else if ((args[i] === '--file' || args[i] === '-f') && args[i + 1]) {
       options.file = args[++i]
+    } else if ((args[i] === '--provider' || args[i] === '-p') && args[i + 1]) {
+      options.provider = args[++i]
     } else if (args[i] === '--verbose' || args[i] === '-v') {
       options.verbose = true
     } else if (args[i] === '--help' || args[i] === '-h') {
@@ -257,16 +148,19 @@ Usage:
   node scripts/translate-css.mjs --lang <code> [options]
 
 Options:
-  --lang, -l    Target language code (default: km)
+  --lang, -l    Target language code(s), comma-separated (default: all enabled)
                 Supported: ${Object.keys(CSS_LANGUAGES).join(', ')}
   --file, -f    Translate specific file only
+  --provider, -p  Translation provider (default: google, or "provider" in translation.config.json)
+                Supported: ${Object.keys(PROVIDERS).join(', ')}
   --verbose, -v Show detailed debug information
   --help, -h    Show this help message
 
 Examples:
   node scripts/translate-css.mjs --lang km
-  node scripts/translate-css.mjs --lang zh --file docs/css/basics/01-introduction.md
-  node scripts/translate-css.mjs --lang ja --verbose
+  node scripts/translate-css.mjs --lang km --file docs/css/basics/01-introduction.md
+  node scripts/translate-css.mjs --lang km --verbose
+  node scripts/translate-css.mjs --lang km --provider pseudo
 `)
 }
 
@@ -276,13 +170,30 @@ Examples:
 async function main() {
   const options = parseArgs()
 
-  if (!CSS_LANGUAGES[options.lang]) {
-    console.error(`❌ Error: Unsupported language "${options.lang}"`)
-    console.error(`✅ Supported: ${Object.keys(CSS_LANGUAGES).join(', ')}`)
-    process.exit(1)
+  // Default to every enabled language in the registry
+  if (options.languages.length === 0) {
+    options.languages = Object.keys(CSS_LANGUAGES)
+  }
+
+  for (const lang of options.languages) {
+    if (!CSS_LANGUAGES[lang]) {
+      console.error(`❌ Error: Unsupported language "${lang}"`)
+      console.error(`✅ Supported: ${Object.keys(CSS_LANGUAGES).join(', ')}`)
+      process.exit(1)
+    }
   }
 
+  provider = await loadScheduler(await loadProvider(options.provider))
+  segmentOptions = await loadSegmentOptions()
+
+  memory = await openMemory()
+  translator = createTranslator({ provider, memory, glossaries, linkTargets, segmentOptions, patterns: [CSS_PROPERTY_PATTERN] })
+
   const files = await getCSSFiles(options.file)
+  for (const lang of options.languages) {
+    glossaries[lang] = await loadGlossary(lang)
+    linkTargets[lang] = await loadLinkTargets(lang, files)
+  }
 
   if (files.length === 0) {
     console.log(`⚠️  No CSS files found in docs/css/`)
@@ -294,23 +205,25 @@ async function main() {
   console.log(`🎨 CSS Tutorial Translation`)
   console.log(`${'='.repeat(60)}`)
   console.log(`📚 Found ${files.length} CSS tutorial file(s)`)
-  console.log(`🌐 Target language: ${CSS_LANGUAGES[options.lang].name} (${CSS_LANGUAGES[options.lang].nativeName})`)
+  console.log(`🌐 Target: ${options.languages.map(lang => `${CSS_LANGUAGES[lang].name} (${CSS_LANGUAGES[lang].nativeName})`).join(', ')}`)
+  console.log(`🔌 Provider: ${provider.name}`)
   if (options.verbose) console.log(`🔍 Verbose mode: ON\n`)
   else console.log(``)
 
   let success = 0, skipped = 0, errors = 0
 
-  for (const file of files) {
-    if (options.verbose) console.log(`📄 Processing: ${file}`)
-    
-    const result = await translateCSSFile(file, options.lang)
-    
-    if (result.success) success++
-    else if (result.skipped) skipped++
-    else if (result.error) errors++
-
-    if (result.success) {
-      await new Promise(resolve => setTimeout(resolve, 500))
+  for (const lang of options.languages) {
+    if (options.languages.length > 1) console.log(`🌍 ${CSS_LANGUAGES[lang].name}`)
+    const lock = await loadLockfile(lang)
+
+    for (const file of files) {
+      if (options.verbose) console.log(`📄 Processing: ${file}`)
+
+      const result = await translateCSSFile(file, lang, lock)
+
+      if (result.success) success++
+      else if (result.skipped) skipped++
+      else if (result.error) errors++
     }
   }
 
@@ -320,6 +233,11 @@ async function main() {
   console.log(`✅ Translated: ${success}`)
   console.log(`⏭️  Skipped: ${skipped}`)
   console.log(`❌ Errors: ${errors}`)
+  console.log(`${'='.repeat(60)}`)
+  console.log(`⚡ Throughput`)
+  for (const line of formatThroughput(provider.stats)) {
+    console.log(`  ${line}`)
+  }
   console.log(`${'='.repeat(60)}\n`)
 
   if (errors > 0) process.exit(1)
@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/**
+ * Translation Exchange
+ * Export the translatable segments of the docs to XLIFF or PO for
+ * translators working in CAT tools, and merge their work back
+ * (see scripts/lib/exchange.mjs)
+ *
+ * Usage:
+ *   npm run translate:export -- --format xliff --lang km            # translation-export-km.xlf
+ *   npm run translate:export -- --format po --lang km --output km.po
+ *   npm run translate:import -- km.po                               # Merge into docs/km
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { glob } from 'glob'
+import { segmentMarkdown, compareTables, compareDiagrams } from './lib/segmenter.mjs'
+import { loadSegmentOptions } from './lib/config.mjs'
+import { loadLinkTargets, localizeLinks } from './lib/links.mjs'
+import { readTranslationMeta, stampTranslation } from './lib/review.mjs'
+import {
+  EXCHANGE_FORMATS,
+  getExchangeUnits,
+  getUnitHash,
+  checkTarget,
+  formatXliff,
+  parseXliff,
+  formatPo,
+  parsePo,
+} from './lib/exchange.mjs'
+import {
+  loadLockfile,
+  saveLockfile,
+  getSourceKey,
+  readIfExists,
+  hashText,
+  getReusableTranslations,
+  renderTranslation,
+  createLockEntry,
+} from './lib/lockfile.mjs'
+import { LANGUAGES as ALL_LANGUAGES, SOURCE_LANGUAGE, TARGET_LANGUAGES as LANGUAGES, getTranslatedDirs } from '../docs/.vitepress/languages.js'
+
+/**
+ * English source pages, sorted
+ */
+async function getSourceFiles(specificFile = null) {
+  if (specificFile) return [specificFile]
+  const files = await glob('docs/**/*.md', {
+    ignore: ['docs/node_modules/**', 'docs/.vitepress/**', ...getTranslatedDirs()],
+  })
+  return files.sort()
+}
+
+/**
+ * Language of an imported file, from its target-language / Language header
+ */
+function findLanguage(code) {
+  if (!code) return null
+  const lower = code.toLowerCase().replace(/_/g, '-')
+  return Object.keys(LANGUAGES).find(lang => [lang, LANGUAGES[lang].code, LANGUAGES[lang].locale]
+    .some(name => name.toLowerCase() === lower)) || null
+}
+
+/**
+ * Write one exchange file per language with every translatable segment
+ */
+async function exportUnits(options) {
+  const files = await getSourceFiles(options.file)
+  const segmentOptions = await loadSegmentOptions()
+  const units = []
+
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf-8')
+    if (!content.trim()) continue
+    units.push(...getExchangeUnits(getSourceKey(file), content, segmentMarkdown(content, segmentOptions)))
+  }
+
+  const format = EXCHANGE_FORMATS[options.format]
+  for (const lang of options.languages) {
+    const outputPath = options.output || `translation-export-${lang}${format.extension}`
+    const document = options.format === 'po'
+      ? formatPo(units, { targetLanguage: LANGUAGES[lang].code, project: 'vitepress-doc' })
+      : formatXliff(units, { sourceLanguage: ALL_LANGUAGES[SOURCE_LANGUAGE].code, targetLanguage: LANGUAGES[lang].code })
+    await fs.writeFile(outputPath, document, 'utf-8')
+
+    console.log(`\n📤 ${LANGUAGES[lang].name} (${lang}): ${outputPath}`)
+    console.log(`  ${format.name}, ${units.length} unit(s) from ${new Set(units.map(unit => unit.page)).size} page(s)`)
+  }
+  console.log('')
+}
+
+/**
+ * Merge the translated units of one page into its translation. Units
+ * without a usable translation keep the current translation of their
+ * segment, or the English when there is none.
+ */
+async function importPage(page, pageUnits, lang, options, context) {
+  const { lock, segmentOptions, linkTargets, report } = context
+  const sourcePath = path.join('docs', page)
+  const outputPath = path.join('docs', lang, page)
+
+  const content = await readIfExists(sourcePath)
+  if (content === null) {
+    report.stale.push(...pageUnits.map(unit => ({ ...unit, reason: `${sourcePath} no longer exists` })))
+    return
+  }
+
+  const parts = segmentMarkdown(content, segmentOptions)
+  const partsByHash = new Map(parts.filter(part => part.translate).map(part => [hashText(part.text), part]))
+
+  // Usable translations by segment hash, in unit order
+  const imported = new Map()
+  for (const unit of pageUnits) {
+    const hash = getUnitHash(unit.id)
+    const part = partsByHash.get(hash)
+    if (!part) {
+      report.stale.push({ ...unit, reason: 'English changed since the export' })
+    } else if (unit.problem) {
+      report.rejected.push({ ...unit, reason: unit.problem })
+    } else if (unit.target === null) {
+      report.untranslated++
+    } else {
+      const problems = checkTarget(part, unit.target)
+      if (problems.length > 0) {
+        report.rejected.push({ ...unit, reason: problems.join(', ') })
+        continue
+      }
+      if (!imported.has(hash)) imported.set(hash, [])
+      imported.get(hash).push(unit.target)
+    }
+  }
+  if (imported.size === 0) return
+  const count = [...imported.values()].reduce((sum, targets) => sum + targets.length, 0)
+
+  const existing = await readIfExists(outputPath)
+  const entry = lock.files[page]
+  if (readTranslationMeta(existing || '')?.reviewed) {
+    report.skipped.push({ page: outputPath, reason: 'reviewed, kept' })
+    return
+  }
+  if (!options.force && existing !== null && (!entry || hashText(existing) !== entry.outputHash)) {
+    report.skipped.push({ page: outputPath, reason: 'edited since last run - use --force to overwrite' })
+    return
+  }
+
+  // Imported segments replace what the page had; the rest is reused
+  const reuse = getReusableTranslations(entry, existing)
+  for (const hash of imported.keys()) reuse.delete(hash)
+
+  let english = 0
+  const result = stampTranslation(await renderTranslation(parts, reuse, async (text, part) => {
+    const targets = imported.get(hashText(part.text))
+    if (!targets) {
+      english++
+      return text
+    }
+    // A text repeated on the page with fewer units takes the last one
+    const target = targets.length > 1 ? targets.shift() : targets[0]
+    const missing = []
+    const localized = localizeLinks(target, page, linkTargets, missing)
+    for (const link of missing) {
+      console.warn(`  ⚠️  ${outputPath}: ${link} has no ${LANGUAGES[lang].name} translation, link left in English`)
+    }
+    return localized
+  }), hashText(content), options.format)
+
+  for (const issue of compareTables(content, result.output)) {
+    console.warn(`  ⚠️  ${outputPath}: table at line ${issue.line}: ${issue.message}`)
+  }
+  for (const issue of compareDiagrams(content, result.output)) {
+    console.warn(`  ⚠️  ${outputPath}: diagram at line ${issue.line}: ${issue.message}`)
+  }
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true })
+  await fs.writeFile(outputPath, result.output, 'utf-8')
+  lock.files[page] = createLockEntry(content, result)
+
+  report.pages++
+  report.imported += count
+  console.log(`  ✅ ${outputPath} (${result.translated - english} imported, ${result.reused} kept${english ? `, ${english} in English` : ''})`)
+}
+
+/**
+ * Merge a translated XLIFF or PO file into docs/{lang}
+ */
+async function importUnits(filePath, options) {
+  const text = await readIfExists(filePath)
+  if (text === null) {
+    console.error(`❌ Error: ${filePath} not found`)
+    process.exit(1)
+  }
+
+  const format = options.format || (path.extname(filePath) === '.po' ? 'po' : 'xliff')
+  const { targetLanguage, units } = format === 'po' ? parsePo(text) : parseXliff(text)
+  const lang = options.languages[0] || findLanguage(targetLanguage)
+  if (!lang) {
+    console.error(`❌ Error: ${filePath} has no known target language, pass --lang`)
+    process.exit(1)
+  }
+  if (targetLanguage && findLanguage(targetLanguage) !== lang) {
+    console.warn(`⚠️  ${filePath} is for "${targetLanguage}", importing into ${lang} as requested`)
+  }
+
+  const files = await getSourceFiles()
+  const context = {
+    lock: await loadLockfile(lang),
+    segmentOptions: await loadSegmentOptions(),
+    linkTargets: await loadLinkTargets(lang, files),
+    report: { pages: 0, imported: 0, untranslated: 0, stale: [], rejected: [], skipped: [] },
+  }
+
+  const pages = new Map()
+  for (const unit of units) {
+    if (!pages.has(unit.page)) pages.set(unit.page, [])
+    pages.get(unit.page).push(unit)
+  }
+
+  console.log(`\n📥 ${filePath}: ${EXCHANGE_FORMATS[format].name}, ${units.length} unit(s) from ${pages.size} page(s)`)
+  console.log(`🌍 Target: ${LANGUAGES[lang].name} (${lang})\n`)
+
+  for (const [page, pageUnits] of pages) {
+    await importPage(page, pageUnits, lang, { ...options, format }, context)
+  }
+  await saveLockfile(lang, context.lock)
+
+  const { report } = context
+  console.log(`\n${'='.repeat(60)}`)
+  console.log('📊 Import Summary')
+  console.log(`${'='.repeat(60)}`)
+  console.log(`  ✅ Pages updated: ${report.pages}`)
+  console.log(`  📥 Units imported: ${report.imported}`)
+  console.log(`  ⏭️  Units without translation: ${report.untranslated}`)
+
+  if (report.skipped.length > 0) {
+    console.log(`\n⏭️  Pages skipped: ${report.skipped.length}`)
+    for (const { page, reason } of report.skipped) console.log(`  ${page} (${reason})`)
+  }
+  if (report.rejected.length > 0) {
+    console.log(`\n⚠️  Units rejected: ${report.rejected.length}`)
+    for (const unit of report.rejected) console.log(`  ${unit.page}#${unit.id}: ${unit.reason}`)
+  }
+  if (report.stale.length > 0) {
+    console.log(`\n🔄 Units that no longer match the source: ${report.stale.length}`)
+    for (const unit of report.stale) {
+      console.log(`  ${unit.page}#${unit.id}: ${unit.reason}`)
+      console.log(`    "${unit.source.replace(/\s+/g, ' ').slice(0, 70)}"`)
+    }
+    console.log('  Export again to get the current English for these')
+  }
+  console.log('')
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const options = {
+    command: null,
+    target: null,
+    languages: [],
+    format: null,
+    file: null,
+    output: null,
+    force: false,
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--lang':
+      case '-l':
+        options.languages = args[++i]?.split(',').filter(Boolean) || []
+        break
+      case '--format':
+        options.format = args[++i]
+        break
+      case '--file':
+      case '-f':
+        options.file = args[++i]
+        break
+      case '--output':
+      case '-o':
+        options.output = args[++i]
+        break
+      case '--force':
+        options.force = true
+        break
+      case '--help':
+      case '-h':
+        printHelp()
+        process.exit(0)
+      default:
+        if (!options.command) options.command = args[i]
+        else if (!options.target) options.target = args[i]
+    }
+  }
+
+  return options
+}
+
+function printHelp() {
+  console.log(`
+🔁 Translation Exchange
+
+Usage:
+  node scripts/translate-exchange.mjs <command> [options]
+
+Commands:
+  export              Write every translatable segment to an XLIFF or PO file
+  import <file>       Merge a translated XLIFF or PO file into docs/<lang>
+
+Options:
+  --format            ${Object.entries(EXCHANGE_FORMATS).map(([name, format]) => `${name} (${format.name})`).join(', ')}
+                      (export default: xliff; import: from the file extension)
+  --lang, -l          Target language(s), comma-separated (default: all enabled;
+                      import: the file's target language)
+  --file, -f          Export one page only
+  --output, -o        Export file (default: translation-export-<lang>.xlf / .po)
+  --force             Import into pages edited by hand since the last run; their
+                      segments without a translation in the file revert to English
+  --help, -h          Show this help message
+
+Units are matched to the English by the hash of their source text. Units whose
+English changed since the export, and translations that lost inline code, link
+targets or HTML tags, are reported and not imported. Segments without a
+translation keep the current one. Reviewed pages are never overwritten.
+`)
+}
+
+async function main() {
+  const options = parseArgs()
+
+  if (options.format && !EXCHANGE_FORMATS[options.format]) {
+    console.error(`❌ Error: Unknown format "${options.format}"`)
+    console.error(`Supported: ${Object.keys(EXCHANGE_FORMATS).join(', ')}`)
+    process.exit(1)
+  }
+  for (const lang of options.languages) {
+    if (!LANGUAGES[lang]) {
+      console.error(`❌ Error: Unsupported language "${lang}"`)
+      console.error(`Supported: ${Object.keys(LANGUAGES).join(', ')}`)
+      process.exit(1)
+    }
+  }
+
+  switch (options.command) {
+    case 'export':
+      if (options.languages.length === 0) options.languages = Object.keys(LANGUAGES)
+      if (options.output && options.languages.length > 1) {
+        console.error('❌ Error: --output needs a single --lang')
+        process.exit(1)
+      }
+      options.format ||= 'xliff'
+      await exportUnits(options)
+      break
+    case 'import':
+      if (!options.target) {
+        console.error('❌ Error: import needs a file')
+        process.exit(1)
+      }
+      await importUnits(options.target, options)
+      break
+    default:
+      printHelp()
+      process.exit(1)
+  }
+}
+
+main().catch(error => {
+  console.error(`\n❌ Fatal error: ${error.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+/**
+ * Navigation Translation Script
+ * Builds docs/.vitepress/locales/{lang}.js from the English nav and sidebar
+ * (docs/.vitepress/locales/en.js), which config.ts imports for each locale
+ *
+ * Links get the `/{lang}/` prefix, labels go through the translation
+ * provider, memory and glossary. Translated labels are stored in the
+ * generated module's `labels` map and reused on the next run, so hand
+ * corrections made there survive regeneration.
+ *
+ * Usage:
+ *   npm run translate:nav                          # Regenerate every enabled locale
+ *   npm run translate:nav -- --force               # Retranslate every label
+ *   npm run translate:nav -- --no-translate        # Relink only, new labels stay English
+ *   npm run translate:nav -- --provider pseudo     # Offline dry run
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { loadProvider, PROVIDERS } from './lib/providers.mjs'
+import { loadScheduler } from './lib/scheduler.mjs'
+import { openMemory } from './lib/memory.mjs'
+import { loadGlossary, protectTerms, restoreTerms } from './lib/glossary.mjs'
+import { TOKEN_PATTERN, translateVerified } from './lib/placeholders.mjs'
+import { LOCALES_DIR, collectLabels } from './lib/ui-strings.mjs'
+import { TARGET_LANGUAGES as LANGUAGES } from '../docs/.vitepress/languages.js'
+
+// Persistent translation memory (.translation-cache/memory.jsonl), opened in main()
+let memory = null
+
+// Glossary per target language (glossary/common.json + glossary/{lang}.json)
+const glossaries = {}
+
+// Translation provider, resolved in main() from --provider or config
+let provider = null
+
+/**
+ * Import a locale module, bypassing the module cache so a regenerated
+ * file is read fresh. Returns null when it does not exist yet.
+ */
+async function importLocale(lang) {
+  const filePath = path.resolve(LOCALES_DIR, `${lang}.js`)
+  try {
+    await fs.access(filePath)
+  } catch {
+    return null
+  }
+  return import(`${pathToFileURL(filePath).href}?t=${Date.now()}`)
+}
+
+/**
+ * Translate one label: a label that is a glossary term as a whole uses the
+ * glossary entry, anything else goes through memory and the provider
+ */
+async function translateLabel(text, lang) {
+  const glossary = glossaries[lang]
+  if (glossary.replacements.has(text)) return glossary.replacements.get(text)
+
+  const remembered = memory.get(text, lang, provider.name)
+  if (remembered !== undefined) return remembered
+
+  const termMatches = []
+  const processed = protectTerms(text, glossary, termMatches)
+  if (!/\p{L}/u.test(processed.replace(TOKEN_PATTERN, ''))) {
+    // Nothing left to translate (e.g. "C#", "HTML & CSS")
+    return restoreTerms(processed, termMatches)
+  }
+
+  try {
+    const result = await translateVerified(processed, label => provider.translate(label, { to: LANGUAGES[lang].code }))
+    for (const issue of result.issues) {
+      console.warn(`  ⚠️  "${text}": ${issue.message}`)
+    }
+    const translated = restoreTerms(result.text, termMatches).trim()
+    if (result.issues.length === 0) await memory.set(text, lang, provider.name, translated)
+    return translated
+  } catch (error) {
+    console.error(`  ❌ "${text}": ${error.message}`)
+    return text
+  }
+}
+
+/**
+ * Prefix a site-internal link with the locale, e.g. /guide/ -> /km/guide/
+ */
+function localizeLink(link, lang) {
+  return link.startsWith('/') && !link.startsWith('//') ? `/${lang}${link}` : link
+}
+
+/**
+ * Copy a nav or sidebar tree with localized links and translated labels
+ */
+function localizeTree(node, lang, labels) {
+  if (Array.isArray(node)) {
+    return node.map(item => localizeTree(item, lang, labels))
+  }
+  if (!node || typeof node !== 'object') return node
+
+  const result = {}
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'text' && typeof value === 'string') {
+      result.text = labels[value] ?? value
+    } else if ((key === 'link' || key === 'activeMatch') && typeof value === 'string') {
+      result[key] = localizeLink(value, lang)
+    } else {
+      result[key] = localizeTree(value, lang, labels)
+    }
+  }
+  return result
+}
+
+function quote(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key)
+}
+
+/**
+ * Serialize a value as JavaScript source in the style of config.ts:
+ * single quotes, unquoted keys, leaf items such as { text, link } on one line
+ */
+function toSource(value, indent = '') {
+  if (typeof value === 'string') return quote(value)
+  if (typeof value !== 'object' || value === null) return String(value)
+
+  const inner = indent + '  '
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]'
+    return `[\n${value.map(item => inner + toSource(item, inner)).join(',\n')}\n${indent}]`
+  }
+
+  const entries = Object.entries(value)
+  if (entries.length === 0) return '{}'
+  if (entries.every(([, v]) => typeof v !== 'object' || v === null)) {
+    const line = `{ ${entries.map(([k, v]) => `${formatKey(k)}: ${toSource(v)}`).join(', ')} }`
+    if (indent.length + line.length <= 100) return line
+  }
+  return `{\n${entries.map(([k, v]) => `${inner}${formatKey(k)}: ${toSource(v, inner)}`).join(',\n')}\n${indent}}`
+}
+
+/**
+ * Write docs/.vitepress/locales/{lang}.js
+ */
+async function writeLocale(lang, labels, nav, sidebar) {
+  const source = [
+    '/**',
+    ` * ${LANGUAGES[lang].name} navigation and sidebar`,
+    ' * Generated by scripts/translate-nav.mjs from locales/en.js - do not edit',
+    ' * nav or sidebar here. Corrections go in `labels`, which is kept on rerun.',
+    ' */',
+    '',
+    `export const labels = ${toSource(labels)}`,
+    '',
+    `export const nav = ${toSource(nav)}`,
+    '',
+    `export const sidebar = ${toSource(sidebar)}`,
+    '',
+  ].join('\n')
+
+  const filePath = path.join(LOCALES_DIR, `${lang}.js`)
+  await fs.writeFile(filePath, source, 'utf-8')
+  return filePath
+}
+
+/**
+ * Build the locale module for one language
+ */
+async function translateNav(lang, en, options) {
+  console.log(`\n🌍 ${LANGUAGES[lang].name} (${lang})`)
+
+  const previous = options.force ? null : await importLocale(lang)
+  const known = previous?.labels || {}
+  const labels = {}
+  let reused = 0
+  let translated = 0
+  let untranslated = 0
+
+  const pending = []
+  for (const text of collectLabels([en.nav, en.sidebar])) {
+    if (known[text] !== undefined) {
+      labels[text] = known[text]
+      reused++
+    } else if (!options.translate && !glossaries[lang].replacements.has(text)) {
+      untranslated++
+    } else {
+      // Keep the label order; the scheduler batches the requests
+      labels[text] = text
+      pending.push(translateLabel(text, lang).then((translation) => {
+        labels[text] = translation
+        if (options.verbose) console.log(`  ✓ ${text} → ${translation}`)
+      }))
+      translated++
+    }
+  }
+  await Promise.all(pending)
+
+  const sidebar = {}
+  for (const [prefix, items] of Object.entries(en.sidebar)) {
+    sidebar[localizeLink(prefix, lang)] = localizeTree(items, lang, labels)
+  }
+
+  const filePath = await writeLocale(lang, labels, localizeTree(en.nav, lang, labels), sidebar)
+  console.log(`  ✅ ${filePath}`)
+  console.log(`  💾 ${reused} label(s) reused, ${translated} translated${untranslated ? `, ${untranslated} left in English` : ''}`)
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const options = {
+    languages: [],
+    force: false,
+    translate: true,
+    verbose: false,
+    provider: null,
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--lang':
+      case '-l':
+        options.languages = args[++i]?.split(',').filter(Boolean) || []
+        break
+      case '--force':
+        options.force = true
+        break
+      case '--no-translate':
+        options.translate = false
+        break
+      case '--provider':
+      case '-p':
+        options.provider = args[++i]
+        break
+      case '--verbose':
+      case '-v':
+        options.verbose = true
+        break
+      case '--help':
+      case '-h':
+        printHelp()
+        process.exit(0)
+    }
+  }
+
+  return options
+}
+
+function printHelp() {
+  console.log(`
+🧭 Navigation Translation Script
+
+Builds docs/.vitepress/locales/<lang>.js from docs/.vitepress/locales/en.js
+
+Usage:
+  npm run translate:nav                     # Regenerate every enabled locale
+  npm run translate:nav -- --force          # Retranslate every label
+
+Options:
+  --lang, -l      Target language(s), comma-separated (default: all enabled)
+  --force         Ignore labels from the previous run and retranslate all
+  --no-translate  Do not call the provider; new labels stay English
+                  unless the glossary covers them
+  --provider, -p  Translation provider (default: google, or "provider" in translation.config.json)
+                  Supported: ${Object.keys(PROVIDERS).join(', ')}
+  --verbose, -v   Print every translated label
+  --help, -h      Show this help message
+`)
+}
+
+async function main() {
+  const options = parseArgs()
+
+  if (options.languages.length === 0) {
+    options.languages = Object.keys(LANGUAGES)
+  }
+
+  for (const lang of options.languages) {
+    if (!LANGUAGES[lang]) {
+      console.error(`❌ Error: Unsupported language "${lang}"`)
+      console.error(`Supported: ${Object.keys(LANGUAGES).join(', ')}`)
+      process.exit(1)
+    }
+  }
+
+  const en = await importLocale('en')
+  if (!en) {
+    console.error(`❌ Error: ${LOCALES_DIR}/en.js not found`)
+    process.exit(1)
+  }
+
+  provider = await loadScheduler(await loadProvider(options.provider))
+  memory = await openMemory()
+  for (const lang of options.languages) {
+    glossaries[lang] = await loadGlossary(lang)
+  }
+
+  console.log(`\n🧭 Navigation: ${en.nav.length} nav item(s), ${Object.keys(en.sidebar).length} sidebar(s)`)
+  console.log(`🔌 Provider: ${options.translate ? provider.name : 'none (--no-translate)'}`)
+
+  for (const lang of options.languages) {
+    await translateNav(lang, en, options)
+  }
+  console.log('')
+}
+
+main().catch(error => {
+  console.error(`\n❌ Fatal error: ${error.message}`)
+  process.exit(1)
+})
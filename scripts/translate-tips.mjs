@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Tips Translation Script
+ * Builds the locale files of the CssTip and JsTip components
+ * (docs/.vitepress/components/css/cssTips.{lang}.json and js/jsTips.{lang}.json)
+ * from the English cssTips.json and jsTips.json
+ *
+ * Only `title` and `description` are translated; `code` and `resultHtml`
+ * always come from the English file. Each entry keeps the English text it
+ * was translated from (`source`), so the components can fall back to
+ * English for a tip that changed, and a rerun only translates new or
+ * changed tips. Hand corrections to unchanged tips survive regeneration.
+ *
+ * Usage:
+ *   npm run translate:tips                         # Refresh every enabled locale
+ *   npm run translate:tips -- --force              # Retranslate every tip
+ *   npm run translate:tips -- --provider pseudo    # Offline dry run
+ */
+
+import fs from 'fs/promises'
+import { loadProvider, PROVIDERS } from './lib/providers.mjs'
+import { loadScheduler } from './lib/scheduler.mjs'
+import { openMemory } from './lib/memory.mjs'
+import { loadGlossary, protectTerms } from './lib/glossary.mjs'
+import { protect, restoreTokens, translateVerified } from './lib/placeholders.mjs'
+import { TIP_FILES, TRANSLATED_FIELDS } from './lib/ui-strings.mjs'
+import { TARGET_LANGUAGES as LANGUAGES } from '../docs/.vitepress/languages.js'
+
+// API names and operators in titles (`Array.flat`, `&&`) stay as written
+const CODE_PATTERN = /`[^`]+`|\b[A-Za-z_$][\w$]*(?:\.[\w$]+)+(?:\(\))?|&&|\|\||\?\?/g
+
+// Persistent translation memory (.translation-cache/memory.jsonl), opened in main()
+let memory = null
+
+// Glossary per target language (glossary/common.json + glossary/{lang}.json)
+const glossaries = {}
+
+// Translation provider, resolved in main() from --provider or config
+let provider = null
+
+/**
+ * Locale file path for an English tips file (cssTips.json -> cssTips.km.json)
+ */
+function getLocalePath(file, lang) {
+  return file.replace(/\.json$/, `.${lang}.json`)
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw new Error(`Invalid ${filePath}: ${error.message}`)
+  }
+}
+
+/**
+ * Translate one title or description through memory, glossary and provider.
+ * Returns null when it fell back to English.
+ */
+async function translateField(text, lang) {
+  const remembered = memory.get(text, lang, provider.name)
+  if (remembered !== undefined) return remembered
+
+  const values = []
+  let processed = protect(text, CODE_PATTERN, values)
+  processed = protectTerms(processed, glossaries[lang], values)
+
+  try {
+    const result = await translateVerified(processed, part => provider.translate(part, { to: LANGUAGES[lang].code }))
+    for (const issue of result.issues) {
+      console.warn(`  ⚠️  "${text}": ${issue.message}`)
+    }
+    const translated = restoreTokens(result.text, values).trim()
+    if (result.issues.length > 0) return null
+    await memory.set(text, lang, provider.name, translated)
+    return translated
+  } catch (error) {
+    console.error(`  ❌ "${text}": ${error.message}`)
+    return null
+  }
+}
+
+/**
+ * Whether a locale entry was translated from the current English tip
+ */
+function isCurrent(entry, tip) {
+  return TRANSLATED_FIELDS.every(field => entry.source?.[field] === tip[field])
+}
+
+/**
+ * Build or refresh the locale file of one tips file
+ */
+async function translateTips(file, lang, options) {
+  const tips = await readJson(file)
+  const localePath = getLocalePath(file, lang)
+  const previous = options.force ? [] : (await readJson(localePath)) || []
+  const known = new Map(previous.map(entry => [entry.source?.title, entry]))
+
+  let reused = 0
+  let translated = 0
+  let failed = 0
+
+  // Keep the English order; the scheduler batches the requests
+  const entries = await Promise.all(tips.map(async (tip) => {
+    const entry = known.get(tip.title)
+    if (entry && isCurrent(entry, tip)) {
+      reused++
+      return entry
+    }
+
+    const fields = await Promise.all(TRANSLATED_FIELDS.map(field => translateField(tip[field], lang)))
+    if (fields.includes(null)) {
+      failed++
+      return null
+    }
+    translated++
+    if (options.verbose) console.log(`  ✓ ${tip.title} → ${fields[0]}`)
+    return {
+      source: Object.fromEntries(TRANSLATED_FIELDS.map(field => [field, tip[field]])),
+      ...Object.fromEntries(TRANSLATED_FIELDS.map((field, i) => [field, fields[i]])),
+    }
+  }))
+
+  await fs.writeFile(localePath, JSON.stringify(entries.filter(Boolean), null, 4) + '\n', 'utf-8')
+  console.log(`  ✅ ${localePath}`)
+  console.log(`  💾 ${reused} tip(s) reused, ${translated} translated${failed ? `, ${failed} left in English` : ''}`)
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const options = {
+    languages: [],
+    force: false,
+    verbose: false,
+    provider: null,
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--lang':
+      case '-l':
+        options.languages = args[++i]?.split(',').filter(Boolean) || []
+        break
+      case '--force':
+        options.force = true
+        break
+      case '--provider':
+      case '-p':
+        options.provider = args[++i]
+        break
+      case '--verbose':
+      case '-v':
+        options.verbose = true
+        break
+      case '--help':
+      case '-h':
+        printHelp()
+        process.exit(0)
+    }
+  }
+
+  return options
+}
+
+function printHelp() {
+  console.log(`
+💡 Tips Translation Script
+
+Builds <name>.<lang>.json next to each English tips file:
+${TIP_FILES.map(file => `  ${file}`).join('\n')}
+
+Usage:
+  npm run translate:tips                     # Refresh every enabled locale
+  npm run translate:tips -- --force          # Retranslate every tip
+
+Options:
+  --lang, -l      Target language(s), comma-separated (default: all enabled)
+  --force         Ignore the existing locale files and retranslate all
+  --provider, -p  Translation provider (default: google, or "provider" in translation.config.json)
+                  Supported: ${Object.keys(PROVIDERS).join(', ')}
+  --verbose, -v   Print every translated tip title
+  --help, -h      Show this help message
+
+Only title and description are translated; code and resultHtml come from the
+English file. Tips that changed in English show in English until the next run.
+`)
+}
+
+async function main() {
+  const options = parseArgs()
+
+  if (options.languages.length === 0) {
+    options.languages = Object.keys(LANGUAGES)
+  }
+
+  for (const lang of options.languages) {
+    if (!LANGUAGES[lang]) {
+      console.error(`❌ Error: Unsupported language "${lang}"`)
+      console.error(`Supported: ${Object.keys(LANGUAGES).join(', ')}`)
+      process.exit(1)
+    }
+  }
+
+  provider = await loadScheduler(await loadProvider(options.provider))
+  memory = await openMemory()
+  for (const lang of options.languages) {
+    glossaries[lang] = await loadGlossary(lang)
+  }
+
+  console.log(`\n💡 Tips: ${TIP_FILES.length} file(s)`)
+  console.log(`🔌 Provider: ${provider.name}`)
+
+  for (const lang of options.languages) {
+    console.log(`\n🌍 ${LANGUAGES[lang].name} (${lang})`)
+    for (const file of TIP_FILES) {
+      await translateTips(file, lang, options)
+    }
+  }
+  console.log('')
+}
+
+main().catch(error => {
+  console.error(`\n❌ Fatal error: ${error.message}`)
+  process.exit(1)
+})
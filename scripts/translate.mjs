@@ -1,225 +1,60 @@
 #!/usr/bin/env node
 /**
  * AI Translation Script for VitePress Documentation
- * Uses Google Translate (free, no API key required)
+ * Uses Google Translate by default (free, no API key required)
+ * Other engines can be selected with --provider (see scripts/lib/providers.mjs)
  * 
- * Supports: Khmer (km)
+ * Supports: the enabled languages in docs/.vitepress/languages.js
  *
  * Usage:
  *   npm run translate:km                  # Translate all to Khmer
  *   npm run translate -- --lang km --force # Force regenerate all
+ *   npm run translate -- --lang km --check # List stale pages, no translation
  *   npm run translate -- --lang km --file docs/guide.md  # Single file
+ *   npm run translate -- --lang km --provider pseudo     # Offline dry run
  */
 
-import { translate } from '@vitalets/google-translate-api'
 import fs from 'fs/promises'
 import path from 'path'
 import { glob } from 'glob'
-
-// Supported languages - ONLY Khmer
-const LANGUAGES = {
-  km: { name: 'Khmer', nativeName: 'ភាសាខ្មែរ', code: 'km' },
-}
-
-const translationCache = new Map()
-
-// Rate limiting configuration
-const RATE_LIMIT = {
-  delayMs: 2000,           // 2 seconds between translations
-  retryDelayMs: 5000,      // 5 seconds before retry on rate limit
-  maxRetries: 5,           // Maximum retries on rate limit
-  batchSize: 5,            // Process 5 files before longer pause
-}
-
+import { loadProvider, PROVIDERS } from './lib/providers.mjs'
+import { loadScheduler, formatThroughput } from './lib/scheduler.mjs'
+import { openMemory } from './lib/memory.mjs'
+import { loadGlossary } from './lib/glossary.mjs'
+import { createTranslator } from './lib/translator.mjs'
+import { segmentMarkdown } from './lib/segmenter.mjs'
+import { loadSegmentOptions } from './lib/config.mjs'
+import { loadLinkTargets } from './lib/links.mjs'
+import { readTranslationMeta, getSuggestionsPath } from './lib/review.mjs'
+import { TARGET_LANGUAGES as LANGUAGES, getTranslatedDirs } from '../docs/.vitepress/languages.js'
+import {
+  loadLockfile,
+  getSourceKey,
+  readIfExists,
+  hashText,
+  getFileStatus,
+} from './lib/lockfile.mjs'
+
+// Persistent translation memory (.translation-cache/memory.jsonl), opened in main()
+let memory = null
+
+// Glossary per target language (glossary/common.json + glossary/{lang}.json)
+const glossaries = {}
+
+// Link targets per target language (lib/links.mjs), loaded in main()
+const linkTargets = {}
+
+// Translation provider, resolved in main() from --provider or config
+let provider = null
+
+// Segmenter options (translationSettings in translation.config.json), set in main()
+let segmentOptions = {}
+
+// Page and segment translation (lib/translator.mjs), created in main()
+let translator = null
+
+// Translated segments across all files, for the summary
 let translationCount = 0
-let batchCount = 0
-
-/**
- * Split markdown into translatable and non-translatable parts
- * Preserves code blocks, frontmatter, and special syntax
- */
-function parseMarkdown(content) {
-  const parts = []
-  let currentIndex = 0
-
-  // Extract frontmatter first
-  const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---\n/)
-  if (frontmatterMatch) {
-    parts.push({
-      type: 'frontmatter',
-      content: frontmatterMatch[0],
-      translate: false,
-    })
-    currentIndex = frontmatterMatch[0].length
-  }
-
-  // Process the rest of the content
-  const restContent = content.slice(currentIndex)
-
-  // Enhanced regex to catch ALL code blocks:
-  // - Code blocks with language specification (```js, ```css, etc.)
-  // - Code blocks without language specification
-  // - Inline code with backticks (handled separately)
-  // - HTML style/script tags
-  // - HTML comments
-  const codeBlockRegex = /(```[\s\S]*?```|<style[^>]*>[\s\S]*?<\/style>|<script[^>]*>[\s\S]*?<\/script>|<!--[\s\S]*?-->)/gi
-  
-  const segments = restContent.split(codeBlockRegex)
-
-  for (const segment of segments) {
-    if (!segment) continue
-
-    // Check if this is a code block
-    if (segment.match(/^```[\s\S]*```$/) || 
-        segment.match(/^<style/i) || 
-        segment.match(/^<script/i) ||
-        segment.match(/^<!--/)) {
-      // Code block - don't translate
-      parts.push({
-        type: 'code',
-        content: segment,
-        translate: false,
-      })
-    } else if (segment.trim()) {
-      // Regular text - ALWAYS translate
-      parts.push({
-        type: 'text',
-        content: segment,
-        translate: true,
-      })
-    } else if (segment) {
-      // Whitespace only - preserve as-is
-      parts.push({
-        type: 'whitespace',
-        content: segment,
-        translate: false,
-      })
-    }
-  }
-
-  return parts
-}
-
-/**
- * Translate text while preserving markdown formatting
- */
-async function translateText(text, targetLang, retries = RATE_LIMIT.maxRetries) {
-  if (!text.trim()) return text
-
-  const cacheKey = `${text.substring(0, 100)}_${targetLang}`
-  if (translationCache.has(cacheKey)) {
-    return translationCache.get(cacheKey)
-  }
-
-  const langCode = LANGUAGES[targetLang].code
-
-  // Preserve inline code
-  const inlineCodeMatches = []
-  let processedText = text.replace(/`([^`]+)`/g, (match) => {
-    inlineCodeMatches.push(match)
-    return `__INLINE_CODE_${inlineCodeMatches.length - 1}__`
-  })
-
-  // Preserve links
-  const linkMatches = []
-  processedText = processedText.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
-    linkMatches.push({ text: linkText, url })
-    return `__LINK_${linkMatches.length - 1}__`
-  })
-
-  // Preserve images
-  const imageMatches = []
-  processedText = processedText.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, url) => {
-    imageMatches.push({ alt, url })
-    return `__IMAGE_${imageMatches.length - 1}__`
-  })
-
-  // Preserve HTML tags
-  const htmlMatches = []
-  processedText = processedText.replace(/<[^>]+>/g, (match) => {
-    htmlMatches.push(match)
-    return `__HTML_${htmlMatches.length - 1}__`
-  })
-
-  try {
-    const result = await translate(processedText, { to: langCode })
-    let translatedText = result.text
-
-    // Restore HTML tags
-    htmlMatches.forEach((tag, i) => {
-      const regex = new RegExp(`__HTML_\\s*${i}\\s*__`, 'gi')
-      translatedText = translatedText.replace(regex, tag)
-    })
-
-    // Restore inline code
-    inlineCodeMatches.forEach((code, i) => {
-      const regex = new RegExp(`__INLINE_CODE_\\s*${i}\\s*__`, 'gi')
-      translatedText = translatedText.replace(regex, code)
-    })
-
-    // Restore and translate links
-    for (let i = 0; i < linkMatches.length; i++) {
-      const { text: linkText, url } = linkMatches[i]
-      const translatedLinkText = (await translate(linkText, { to: langCode })).text
-      const regex = new RegExp(`__LINK_\\s*${i}\\s*__`, 'gi')
-      translatedText = translatedText.replace(regex, `[${translatedLinkText}](${url})`)
-    }
-
-    // Restore images with translated alt text
-    for (let i = 0; i < imageMatches.length; i++) {
-      const { alt, url } = imageMatches[i]
-      let translatedAlt = alt
-      if (alt.trim()) {
-        translatedAlt = (await translate(alt, { to: langCode })).text
-      }
-      const regex = new RegExp(`__IMAGE_\\s*${i}\\s*__`, 'gi')
-      translatedText = translatedText.replace(regex, `![${translatedAlt}](${url})`)
-    }
-
-    translationCache.set(cacheKey, translatedText)
-    return translatedText
-  } catch (error) {
-    // Check if it's a rate limiting error
-    if (error.message.includes('Too Many Requests') || error.status === 429) {
-      if (retries > 0) {
-        const waitTime = RATE_LIMIT.retryDelayMs
-        console.warn(`    ⚠️  Rate limited. Waiting ${waitTime}ms before retry (${retries} attempts left)`)
-        await delay(waitTime)
-        return translateText(text, targetLang, retries - 1)
-      } else {
-        console.error(`    ❌ Rate limit exceeded after ${RATE_LIMIT.maxRetries} retries`)
-        return text
-      }
-    }
-
-    // Other errors - retry with standard delay
-    if (retries > 0) {
-      await delay(1000)
-      return translateText(text, targetLang, retries - 1)
-    }
-    console.error(`    ❌ Translation error: ${error.message}`)
-    return text
-  }
-}
-
-/**
- * Translate markdown content
- */
-async function translateMarkdown(content, targetLang) {
-  const parts = parseMarkdown(content)
-  const translatedParts = []
-
-  for (const part of parts) {
-    if (part.translate) {
-      const translated = await translateText(part.content, targetLang)
-      translatedParts.push(translated)
-    } else {
-      translatedParts.push(part.content)
-    }
-  }
-
-  return translatedParts.join('')
-}
 
 // Get all markdown files
 async function getMarkdownFiles(specificFile = null) {
@@ -232,7 +67,7 @@ async function getMarkdownFiles(specificFile = null) {
       'docs/node_modules/**',
       'docs/.vitepress/cache/**',
       'docs/.vitepress/dist/**',
-      'docs/km/**',
+      ...getTranslatedDirs(),
     ]
   })
 
@@ -245,11 +80,6 @@ function getTranslatedPath(originalPath, lang) {
   return path.join('docs', lang, relativePath)
 }
 
-// Delay function for rate limiting
-async function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
-}
-
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2)
@@ -257,7 +87,10 @@ function parseArgs() {
     languages: [],
     file: null,
     force: false,
+    check: false,
     verbose: false,
+    provider: null,
+    concurrency: null,
   }
 
   for (let i = 0; i < args.length; i++) {
@@ -273,6 +106,17 @@ function parseArgs() {
       case '--force':
         options.force = true
         break
+      case '--check':
+        options.check = true
+        break
+      case '--provider':
+      case '-p':
+        options.provider = args[++i]
+        break
+      case '--concurrency':
+      case '-c':
+        options.concurrency = parseInt(args[++i], 10) || null
+        break
       case '--verbose':
       case '-v':
         options.verbose = true
@@ -290,9 +134,9 @@ function parseArgs() {
 function printHelp() {
   console.log(`
 📚 VitePress Translation Script
-Uses Google Translate (free, no API key required)
+Uses Google Translate by default (free, no API key required)
 
-Supported Languages: Khmer (km)
+Supported Languages: ${Object.entries(LANGUAGES).map(([code, l]) => `${l.name} (${code})`).join(', ')}
 
 Usage:
   npm run translate:km                    # Translate all to Khmer
@@ -300,79 +144,150 @@ Usage:
   npm run translate -- --lang km --file <file>  # Single file
 
 Options:
-  --lang, -l    Target language (default: km)
+  --lang, -l    Target language(s), comma-separated (default: all enabled)
   --file, -f    Translate specific file only
   --force       Regenerate all translations (overwrite existing)
+  --check       List missing and stale pages without translating (exit 1 if any)
+  --provider, -p  Translation provider (default: google, or "provider" in translation.config.json)
+                Supported: ${Object.keys(PROVIDERS).join(', ')}
+  --concurrency, -c  Parallel requests (default: per provider, see lib/scheduler.mjs)
   --verbose, -v Show detailed information
   --help, -h    Show this help message
 
 Examples:
   npm run translate:km
   npm run translate -- --lang km --force
+  npm run translate -- --lang km --check
   npm run translate -- --lang km --verbose
   npm run translate -- --lang km --file docs/guide/ai/01-introduction.md
-
-Note: Translation includes automatic rate limiting to prevent API throttling
+  npm run translate -- --lang km --provider pseudo
+
+Note: Requests run in parallel under a per-provider rate limit; short texts
+(link texts, image alts, table cells) are batched into one request
+Incremental: docs/<lang>/translation.lock.json records a hash of every English
+segment, so reruns only translate paragraphs that changed since the last run
+Memory: every translation is kept in .translation-cache/memory.jsonl and reused
+across runs (npm run memory:stats / npm run memory:prune)
+Code comments: code blocks are copied as-is; add translate-comments to a fence
+(\`\`\`js translate-comments) or translateComments: true to a page's frontmatter
+to translate their comments (js/ts, css, html, python, C#)
+Diagrams: box diagrams are never translated unless the fence has translate-labels
+(\`\`\`txt translate-labels) or the page sets translateDiagrams: true; labels are
+re-padded to keep the borders aligned and stay in English when they do not fit
+Components: Vue component tags are copied as-is except the props and slots listed
+per component in translationSettings.components (translation.config.json)
 
 Clean & Regenerate:
-  npm run clean:translations    # Remove all Khmer translations
-  npm run translate:km          # Regenerate fresh translations
+  npm run clean:translations    # Remove the translations of every language
+  npm run translate             # Regenerate fresh translations
 `)
 }
 
+// Why translatePage() left a page alone
+const SKIP_MESSAGES = {
+  empty: '⏭️  Skipping (empty)',
+  untracked: '⏭️  Skipping (exists, not in lockfile - use --force to retranslate)',
+  edited: '⚠️  Skipping (edited since last run - use --force to overwrite)',
+  current: '⏭️  Skipping (up to date)',
+}
+
 // Translate file
-async function translateFile(filePath, lang, options) {
-  const outputPath = getTranslatedPath(filePath, lang)
-
-  // Check if translation exists
-  if (!options.force) {
-    try {
-      await fs.access(outputPath)
-      console.log(`  ⏭️  Skipping (exists): ${outputPath}`)
-      return { skipped: true }
-    } catch {
-      // File doesn't exist, continue
-    }
-  } else {
-    // Force mode - remove existing file
-    try {
-      await fs.unlink(outputPath)
-      console.log(`  🔄 Replacing: ${outputPath}`)
-    } catch {
-      // File doesn't exist, that's fine
+async function translateFile(filePath, lang, options, lock) {
+  const result = await translator.translatePage(filePath, lang, lock, { force: options.force })
+  const { outputPath } = result
+
+  if (result.reason === 'reviewed') {
+    if (!result.outdated) {
+      console.log(`  ⏭️  Skipping (reviewed, up to date): ${outputPath}`)
+    } else {
+      console.log(`  📝 Kept (reviewed by ${result.reviewer || 'unknown'}): ${outputPath}`)
+      if (result.suggestions > 0) console.log(`     ${result.suggestions} suggestion(s) written to ${getSuggestionsPath(outputPath)}`)
     }
+    return { skipped: true, suggestions: result.suggestions }
+  }
+  if (result.skipped) {
+    console.log(`  ${SKIP_MESSAGES[result.reason]}: ${result.reason === 'empty' ? filePath : outputPath}`)
+    return { skipped: true }
+  }
+  if (result.error) {
+    console.error(`  ❌ Error: ${result.error}`)
+    return { error: result.error }
   }
 
-  try {
-    const content = await fs.readFile(filePath, 'utf-8')
+  console.log(`  🔄 ${result.created ? 'Translated' : 'Updated'}: ${filePath}`)
+  for (const issue of result.tableIssues) {
+    console.warn(`  ⚠️  Table at line ${issue.line}: ${issue.message}`)
+  }
+  for (const issue of result.diagramIssues) {
+    console.warn(`  ⚠️  Diagram at line ${issue.line}: ${issue.message}`)
+  }
+  for (const failure of result.failures) {
+    console.warn(`  ⚠️  Line ${failure.line}: ${failure.message}`)
+  }
+  console.log(`  ✅ Saved: ${outputPath} (${result.translated} translated, ${result.reused} reused)`)
+  return { success: true, translated: result.translated, failures: result.failures.length }
+}
 
-    if (!content.trim()) {
-      console.log(`  ⏭️  Skipping (empty): ${filePath}`)
-      return { skipped: true }
-    }
+/**
+ * --check: report pages whose translation is missing or out of date
+ * without calling the translation provider
+ */
+async function checkFiles(files, languages) {
+  let outdated = 0
 
-    console.log(`  🔄 Translating: ${filePath}`)
+  for (const lang of languages) {
+    const lock = await loadLockfile(lang)
+    const { translated } = await loadLinkTargets(lang)
+    const byStatus = { missing: [], untracked: [], modified: [], stale: [], current: [], reviewed: [] }
 
-    const translated = await translateMarkdown(content, lang)
+    for (const file of files) {
+      const content = await fs.readFile(file, 'utf-8')
+      if (!content.trim()) continue
+
+      const existing = await readIfExists(getTranslatedPath(file, lang))
+      const meta = existing === null ? null : readTranslationMeta(existing)
+      if (meta?.reviewed) {
+        byStatus.reviewed.push({ file, outdated: hashText(content) !== meta.sourceHash })
+        continue
+      }
+      const { status, changed, links } = getFileStatus(content, segmentMarkdown(content, segmentOptions), lock.files[getSourceKey(file)], existing, translated)
+      byStatus[status].push({ file, changed, links })
+    }
 
-    await fs.mkdir(path.dirname(outputPath), { recursive: true })
-    await fs.writeFile(outputPath, translated, 'utf-8')
+    console.log(`\n🌍 ${LANGUAGES[lang].name} (${lang})`)
+    console.log(`  ✅ Up to date: ${byStatus.current.length}`)
+    console.log(`  📝 Reviewed: ${byStatus.reviewed.length}`)
+    for (const { file, changed, links } of byStatus.stale) {
+      const reasons = [changed > 0 && `${changed} changed segment(s)`, links > 0 && `${links} link(s) to newly translated pages`]
+      console.log(`  🔄 Stale: ${file} (${reasons.filter(Boolean).join(', ') || '0 changed segment(s)'})`)
+    }
+    for (const { file } of byStatus.missing) {
+      console.log(`  ➕ Missing: ${file}`)
+    }
+    for (const { file } of byStatus.modified) {
+      console.log(`  ✏️  Edited by hand: ${file}`)
+    }
+    for (const { file } of byStatus.untracked) {
+      console.log(`  ❔ Not in lockfile: ${file}`)
+    }
+    for (const { file } of byStatus.reviewed.filter(page => page.outdated)) {
+      console.log(`  📝 Reviewed, English changed since: ${file}`)
+    }
 
-    console.log(`  ✅ Saved: ${outputPath}`)
-    return { success: true }
-  } catch (error) {
-    console.error(`  ❌ Error: ${error.message}`)
-    return { error: error.message }
+    outdated += byStatus.stale.length + byStatus.missing.length
   }
+
+  console.log(`\n${outdated === 0 ? '✨ All translations are up to date' : `⚠️  ${outdated} page(s) need translation`}\n`)
+  return outdated
 }
 
 // Main execution
 async function main() {
   const options = parseArgs()
 
-  // Set default language to Khmer if not specified
+  // Default to every enabled language in the registry
   if (options.languages.length === 0) {
-    options.languages = ['km']
+    options.languages = Object.keys(LANGUAGES)
   }
 
   // Validate languages
@@ -385,15 +300,35 @@ async function main() {
   }
 
   const files = await getMarkdownFiles(options.file)
+  segmentOptions = await loadSegmentOptions()
+
+  if (options.check) {
+    const outdated = await checkFiles(files, options.languages)
+    process.exit(outdated > 0 ? 1 : 0)
+  }
+
+  try {
+    provider = await loadScheduler(await loadProvider(options.provider), { concurrency: options.concurrency })
+    memory = await openMemory()
+    for (const lang of options.languages) {
+      glossaries[lang] = await loadGlossary(lang)
+      linkTargets[lang] = await loadLinkTargets(lang, files)
+    }
+    translator = createTranslator({ provider, memory, glossaries, linkTargets, segmentOptions })
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`)
+    process.exit(1)
+  }
 
   console.log(`\n📚 Found ${files.length} markdown file(s)`)
   console.log(`🌐 Target: ${options.languages.map(l => `${LANGUAGES[l].name} (${l})`).join(', ')}`)
+  console.log(`🔌 Provider: ${provider.name}`)
   console.log(`💡 Mode: Translate all text except code blocks`)
-  console.log(`⏱️  Rate limit: ${RATE_LIMIT.delayMs}ms between translations`)
+  console.log(`⏱️  Rate limit: ${provider.settings.requestsPerSecond} request(s)/s, ${provider.settings.concurrency} in parallel`)
   if (options.force) {
     console.log(`⚡ Force: Regenerating all translations\n`)
   } else {
-    console.log(`💾 Skip existing translations\n`)
+    console.log(`💾 Incremental: only new and changed segments are translated\n`)
   }
 
   const stats = {
@@ -401,6 +336,8 @@ async function main() {
     success: 0,
     skipped: 0,
     errors: 0,
+    failures: 0,
+    suggestions: 0,
   }
 
   for (const lang of options.languages) {
@@ -408,29 +345,19 @@ async function main() {
     console.log(`🌍 Translating to ${LANGUAGES[lang].name}`)
     console.log(`${'='.repeat(60)}\n`)
 
-    translationCount = 0
-    batchCount = 0
+    const lock = await loadLockfile(lang)
 
     for (const file of files) {
       stats.total++
-      const result = await translateFile(file, lang, options)
+      const result = await translateFile(file, lang, options, lock)
 
       if (result.success) {
         stats.success++
-        translationCount++
-        batchCount++
-
-        // Longer pause every N files to avoid rate limiting
-        if (batchCount >= RATE_LIMIT.batchSize) {
-          console.log(`  ⏸️  Batch pause (${RATE_LIMIT.delayMs * 2}ms)...`)
-          await delay(RATE_LIMIT.delayMs * 2)
-          batchCount = 0
-        } else {
-          // Standard delay between files
-          await delay(RATE_LIMIT.delayMs)
-        }
+        translationCount += result.translated
+        stats.failures += result.failures
       } else if (result.skipped) {
         stats.skipped++
+        stats.suggestions += result.suggestions || 0
       } else if (result.error) {
         stats.errors++
       }
@@ -445,6 +372,17 @@ async function main() {
   console.log(`  ⏭️  Skipped: ${stats.skipped}`)
   console.log(`  ❌ Errors: ${stats.errors}`)
   console.log(`  Total translations: ${translationCount}`)
+  if (stats.failures > 0) {
+    console.log(`  ⚠️  Segment issues: ${stats.failures} (see warnings above)`)
+  }
+  if (stats.suggestions > 0) {
+    console.log(`  📝 Suggestions for reviewed pages: ${stats.suggestions} (npm run review)`)
+  }
+  console.log(`${'='.repeat(60)}`)
+  console.log('⚡ Throughput')
+  for (const line of formatThroughput(provider.stats)) {
+    console.log(`  ${line}`)
+  }
   console.log(`${'='.repeat(60)}\n`)
 
   if (stats.errors > 0) {
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Translation Memory Maintenance
+ * Inspect, search and prune .translation-cache/memory.jsonl
+ *
+ * Usage:
+ *   npm run memory:stats                            # Entries per language/provider
+ *   npm run memory:prune                            # Drop entries nothing uses
+ *   npm run memory -- search "text" --lang km       # Exact + fuzzy lookup
+ *
+ * An entry is in use while its English text is a segment of a source
+ * page, a tip title or description, or a nav / sidebar label.
+ *
+ * search looks in every enabled language and the configured provider
+ * unless --lang / --provider say otherwise.
+ */
+
+import fs from 'fs/promises'
+import { glob } from 'glob'
+import { openMemory, DEFAULT_MEMORY_DIR } from './lib/memory.mjs'
+import { segmentMarkdown } from './lib/segmenter.mjs'
+import { hashText } from './lib/lockfile.mjs'
+import { loadTranslationConfig, loadSegmentOptions } from './lib/config.mjs'
+import { DEFAULT_PROVIDER } from './lib/providers.mjs'
+import { getInterfaceTexts } from './lib/ui-strings.mjs'
+import { TARGET_LANGUAGES, getTranslatedDirs } from '../docs/.vitepress/languages.js'
+
+/**
+ * Hashes of every translatable segment in the English source pages, and of
+ * the tip and nav texts (lib/ui-strings.mjs)
+ */
+async function getUsedHashes() {
+  const config = await loadTranslationConfig()
+  const segmentOptions = await loadSegmentOptions()
+  const files = await glob(config.sourceDirectories, {
+    ignore: [...config.ignoreDirectories, ...getTranslatedDirs()],
+  })
+  const hashes = new Set()
+
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf-8')
+    for (const part of segmentMarkdown(content, segmentOptions)) {
+      if (part.translate) hashes.add(hashText(part.text))
+    }
+  }
+
+  const interfaceTexts = await getInterfaceTexts()
+  for (const text of interfaceTexts) {
+    hashes.add(hashText(text))
+  }
+
+  return { hashes, fileCount: files.length, interfaceCount: interfaceTexts.size }
+}
+
+/**
+ * Print entry counts and source coverage
+ */
+async function showStats(memory) {
+  const { hashes, fileCount, interfaceCount } = await getUsedHashes()
+  const groups = {}
+  let used = 0
+  let sourceChars = 0
+
+  for (const entry of memory.entries.values()) {
+    const group = `${entry.lang} / ${entry.provider}`
+    groups[group] = (groups[group] || 0) + 1
+    sourceChars += entry.source.length
+    if (hashes.has(entry.hash)) used++
+  }
+
+  let fileSize = 0
+  try {
+    fileSize = (await fs.stat(memory.filePath)).size
+  } catch {
+    // Memory file not created yet
+  }
+
+  console.log(`\n📁 ${memory.filePath} (${(fileSize / 1024).toFixed(1)} KB)`)
+  console.log(`📝 Entries: ${memory.entries.size} (${sourceChars} source characters)`)
+  console.log(`✅ Used by current pages, tips and nav: ${used}`)
+  console.log(`🗑️  Unused (prunable): ${memory.entries.size - used}`)
+  console.log(`📚 Translatable texts: ${hashes.size} (segments of ${fileCount} source page(s), ${interfaceCount} tip and nav text(s))\n`)
+
+  console.log('By language / provider:')
+  for (const [group, count] of Object.entries(groups).sort()) {
+    console.log(`  ${group.padEnd(24)} ${count.toString().padStart(6)}`)
+  }
+  console.log('')
+}
+
+/**
+ * Remove entries whose source text no page, tip or nav label uses anymore
+ */
+async function prune(memory) {
+  const { hashes } = await getUsedHashes()
+  const removed = await memory.prune(hashes)
+  console.log(`\n🗑️  Removed ${removed} unused entr${removed === 1 ? 'y' : 'ies'}, ${memory.entries.size} kept\n`)
+}
+
+/**
+ * Look up a text in each language, falling back to the closest fuzzy match
+ */
+function search(memory, text, options) {
+  console.log('')
+  for (const lang of options.languages) {
+    const match = memory.findFuzzy(text, lang, options.provider, options.threshold)
+    const label = `${TARGET_LANGUAGES[lang]?.name ?? lang} (${lang}, ${options.provider})`
+
+    if (!match) {
+      console.log(`❌ ${label}: no match at or above ${Math.round(options.threshold * 100)}%\n`)
+      continue
+    }
+
+    const kind = match.score === 1 ? 'Exact match' : `Fuzzy match (${Math.round(match.score * 100)}%)`
+    console.log(`✅ ${label}: ${kind}`)
+    console.log(`  Source: ${match.entry.source}`)
+    console.log(`  Target: ${match.entry.target}\n`)
+  }
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const options = {
+    command: null,
+    text: null,
+    languages: Object.keys(TARGET_LANGUAGES),
+    provider: null,
+    threshold: 0.8,
+    dir: DEFAULT_MEMORY_DIR,
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--lang':
+      case '-l':
+        options.languages = args[++i]?.split(',').filter(Boolean) || []
+        break
+      case '--provider':
+      case '-p':
+        options.provider = args[++i]
+        break
+      case '--threshold':
+        options.threshold = parseFloat(args[++i])
+        break
+      case '--dir':
+        options.dir = args[++i]
+        break
+      case '--help':
+      case '-h':
+        printHelp()
+        process.exit(0)
+      default:
+        if (!options.command) options.command = args[i]
+        else if (!options.text) options.text = args[i]
+    }
+  }
+
+  return options
+}
+
+function printHelp() {
+  console.log(`
+🧠 Translation Memory
+
+Usage:
+  node scripts/translation-memory.mjs <command> [options]
+
+Commands:
+  stats           Show entry counts and how many are still in use
+  prune           Remove entries whose source text no page, tip or nav label uses
+  search <text>   Find an exact or fuzzy match for <text>
+
+Options:
+  --lang, -l      Language(s) for search, comma-separated (default: all enabled)
+  --provider, -p  Provider for search (default: "provider" in translation.config.json, else ${DEFAULT_PROVIDER})
+  --threshold     Minimum fuzzy similarity, 0-1 (default: 0.8)
+  --dir           Memory directory (default: ${DEFAULT_MEMORY_DIR})
+  --help, -h      Show this help message
+`)
+}
+
+async function main() {
+  const options = parseArgs()
+  options.provider ||= (await loadTranslationConfig()).provider || DEFAULT_PROVIDER
+  const memory = await openMemory(options.dir)
+
+  switch (options.command) {
+    case 'stats':
+      await showStats(memory)
+      break
+    case 'prune':
+      await prune(memory)
+      break
+    case 'search':
+      if (!options.text) {
+        console.error('❌ Error: search needs a text to look up')
+        process.exit(1)
+      }
+      search(memory, options.text, options)
+      break
+    default:
+      printHelp()
+      process.exit(options.command ? 1 : 0)
+  }
+}
+
+main().catch(error => {
+  console.error(`\n❌ Fatal error: ${error.message}`)
+  process.exit(1)
+})
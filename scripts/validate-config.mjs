@@ -2,10 +2,37 @@
 /**
  * Configuration Validation Script
  * Verifies all translation and VitePress configuration is correct
+ *
+ * The JSON configs are validated against their schemas in scripts/schemas/
+ * and then against each other (lib/config-validation.mjs). Problems are
+ * reported with the file and the JSON path inside it.
+ *
+ * Usage:
+ *   npm run validate:config
  */
 
 import fs from 'fs/promises'
-import path from 'path'
+import {
+  CONFIG_SCHEMAS,
+  VITEPRESS_CONFIG_PATH,
+  validateConfigFile,
+  validateLanguages,
+  checkLanguageCodes,
+  checkLocales,
+  checkTutorialFiles,
+  checkPackageScripts,
+} from './lib/config-validation.mjs'
+import { LANGUAGES, SOURCE_LANGUAGE, TARGET_LANGUAGES } from '../docs/.vitepress/languages.js'
+
+/**
+ * Print problems as `file path: message`. Returns whether there were none.
+ */
+function report(problems) {
+  for (const problem of problems) {
+    console.log(`  ❌ ${problem.file} ${problem.path}: ${problem.message}`)
+  }
+  return problems.length === 0
+}
 
 async function validateConfigs() {
   console.log('\n' + '='.repeat(60))
@@ -14,54 +41,62 @@ async function validateConfigs() {
 
   let allValid = true
 
-  // Check translation.config.json
-  try {
-    console.log('📋 Checking translation.config.json...')
-    const translationConfig = JSON.parse(
-      await fs.readFile('translation.config.json', 'utf-8')
-    )
+  // Check the language registry
+  console.log('📋 Checking docs/.vitepress/languages.js...')
+  if (!LANGUAGES[SOURCE_LANGUAGE]) {
+    console.log(`  ❌ Source language "${SOURCE_LANGUAGE}" has no entry`)
+    allValid = false
+  } else {
+    console.log(`  ✅ Source language: ${SOURCE_LANGUAGE}`)
+  }
 
-    if (!translationConfig.sourceLanguage) {
-      console.log('  ❌ Missing sourceLanguage')
-      allValid = false
-    } else {
-      console.log(`  ✅ Source language: ${translationConfig.sourceLanguage}`)
-    }
+  if (Object.keys(TARGET_LANGUAGES).length === 0) {
+    console.log('  ❌ No enabled target languages')
+    allValid = false
+  } else {
+    console.log(`  ✅ Target languages: ${Object.keys(TARGET_LANGUAGES).join(', ')}`)
+  }
+  console.log(`  ✅ Registered languages: ${Object.keys(LANGUAGES).length}`)
 
-    if (!translationConfig.targetLanguages || translationConfig.targetLanguages.length === 0) {
-      console.log('  ❌ Missing or empty targetLanguages')
-      allValid = false
-    } else {
-      console.log(`  ✅ Target languages: ${translationConfig.targetLanguages.join(', ')}`)
-    }
+  if (report(await validateLanguages())) {
+    console.log('  ✅ Entries match languages.schema.json')
+  } else {
+    allValid = false
+  }
 
-    if (!translationConfig.languages || Object.keys(translationConfig.languages).length === 0) {
-      console.log('  ❌ Missing or empty languages configuration')
-      allValid = false
+  // Check the JSON configs against their schemas
+  const configs = {}
+  for (const [file, schema] of Object.entries(CONFIG_SCHEMAS)) {
+    console.log(`\n📋 Checking ${file}...`)
+    const { data, problems } = await validateConfigFile(file)
+    configs[file] = data
+
+    if (report(problems)) {
+      console.log(`  ✅ Matches ${schema}`)
     } else {
-      console.log(`  ✅ Configured languages: ${Object.keys(translationConfig.languages).length}`)
+      allValid = false
     }
+  }
 
-    if (!translationConfig.translationSettings) {
-      console.log('  ⚠️  Missing translationSettings')
+  // Check the configs against each other and the docs tree
+  console.log('\n📋 Checking cross-file consistency...')
+  const crossChecks = [
+    ['Language codes are registered', await checkLanguageCodes(configs)],
+    ['VitePress locales match the registry', await checkLocales()],
+    ['CSS tutorial pages exist', await checkTutorialFiles(configs['css-tutorials.config.json'])],
+  ]
+  for (const [name, problems] of crossChecks) {
+    if (report(problems)) {
+      console.log(`  ✅ ${name}`)
     } else {
-      console.log('  ✅ Translation settings configured')
+      allValid = false
     }
-  } catch (error) {
-    console.log(`  ❌ Error reading translation.config.json: ${error.message}`)
-    allValid = false
   }
 
   // Check VitePress config
   try {
     console.log('\n📋 Checking VitePress config...')
-    const config = await fs.readFile('.vitepress/config.js', 'utf-8')
-
-    if (!config.includes('locales')) {
-      console.log('  ⚠️  No locales configured in VitePress')
-    } else {
-      console.log('  ✅ Locales configured')
-    }
+    const config = await fs.readFile(VITEPRESS_CONFIG_PATH, 'utf-8')
 
     if (!config.includes('defineConfig')) {
       console.log('  ❌ Missing defineConfig')
@@ -101,7 +136,7 @@ async function validateConfigs() {
     console.log('\n📋 Checking package.json...')
     const pkg = JSON.parse(await fs.readFile('package.json', 'utf-8'))
 
-    const requiredScripts = ['docs:dev', 'docs:build', 'translate:all', 'debug']
+    const requiredScripts = ['docs:dev', 'docs:build', 'translate', 'debug']
     const missingScripts = requiredScripts.filter(s => !pkg.scripts[s])
 
     if (missingScripts.length > 0) {
@@ -110,7 +145,13 @@ async function validateConfigs() {
       console.log('  ✅ All required scripts present')
     }
 
-    const requiredDeps = ['vitepress', '@vitalets/google-translate-api', 'glob']
+    if (report(await checkPackageScripts(pkg))) {
+      console.log('  ✅ Every script file exists')
+    } else {
+      allValid = false
+    }
+
+    const requiredDeps = ['vitepress', '@vitalets/google-translate-api', 'glob', 'ajv']
     const missingDeps = requiredDeps.filter(d => !pkg.dependencies[d])
 
     if (missingDeps.length > 0) {
@@ -127,7 +168,7 @@ async function validateConfigs() {
   // Check directory structure
   try {
     console.log('\n📋 Checking directory structure...')
-    const requiredDirs = ['docs', 'scripts', '.vitepress']
+    const requiredDirs = ['docs', 'scripts', 'docs/.vitepress']
     
     for (const dir of requiredDirs) {
       const exists = await fs.access(dir).then(() => true).catch(() => false)